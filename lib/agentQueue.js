@@ -0,0 +1,165 @@
+'use strict';
+
+// Live-agent handoff queue. A session handed to a human is pinned to the
+// Human Handoff flow (`awaiting: 'agent'`) and tracked by a row in the
+// handoffs table: queued -> active (claimed by an agent) -> closed.
+// Agent replies are pushed straight to platforms that can receive them and
+// otherwise wait in the session `outbox` until the user's next turn. Every
+// change is published as a `handoff` event for the live dashboard.
+
+const { extractName, extractEmail, validateName, validateEmail } = require('./extractors');
+
+const HANDOFF_STATUSES = ['queued', 'active', 'closed'];
+
+function createAgentQueue({ storage, table, sessionStore, saveConversationRecord, events, pushers = {} }) {
+    async function getHandoff(id) {
+        const rows = await storage.select(table, { where: { id }, limit: 1 });
+        return rows[0] || null;
+    }
+
+    async function openHandoff(id) {
+        const row = await getHandoff(id);
+        if (row && row.status === 'closed') throw new RangeError('Handoff is already closed');
+        return row;
+    }
+
+    async function updateHandoff(row, patch) {
+        const updated = await storage.update(table, row.id, { ...patch, updated_at: new Date().toISOString() });
+        if (updated) events.publish('handoff', updated);
+        return updated;
+    }
+
+    // Queues the session behind `ctx` for a human and pins it to the handoff flow
+    async function escalate(ctx, reason) {
+        const [row] = await storage.insert(table, [{
+            session_id: ctx.sessionId,
+            platform: ctx.turn.platform,
+            channel: ctx.channel,
+            status: 'queued',
+            reason,
+            user_name: validateName(extractName(ctx.parameters)),
+            user_email: validateEmail(extractEmail(ctx.parameters)),
+            last_message: ctx.queryText || null,
+            agent: null,
+            claimed_at: null,
+            closed_at: null,
+            updated_at: new Date().toISOString()
+        }]);
+        await ctx.updateSession({
+            awaiting: 'agent',
+            handoff: { id: row.id, status: 'queued', reason, agent: null },
+            fallbackStreak: 0
+        });
+        console.log(`🙋 Session ${ctx.sessionId} queued for an agent (${reason})`);
+        events.publish('handoff', row);
+        return row;
+    }
+
+    async function noteUserMessage(id, text) {
+        const row = await getHandoff(id);
+        if (row) await updateHandoff(row, { last_message: text });
+    }
+
+    // Open handoffs oldest first, or every handoff with the given status
+    async function listHandoffs({ status } = {}) {
+        const statuses = status ? [status] : ['queued', 'active'];
+        const groups = await Promise.all(statuses.map(s => storage.select(table, {
+            where: { status: s },
+            orderBy: 'id',
+            ascending: status !== 'closed',
+            limit: 200
+        })));
+        return groups.flat().sort((a, b) => (
+            status === 'closed' ? b.id - a.id : a.id - b.id
+        ));
+    }
+
+    async function deliver(row, texts) {
+        const push = pushers[row.platform];
+        if (push) {
+            try {
+                await push(row.session_id, texts);
+                return 'pushed';
+            } catch (error) {
+                console.error(`❌ Push to ${row.platform} failed, queuing for the next turn:`, error.message);
+            }
+        }
+        const session = (await sessionStore.get(row.session_id)) || {};
+        await sessionStore.update(row.session_id, { outbox: (session.outbox || []).concat(texts) });
+        return 'queued';
+    }
+
+    async function claim(id, agent) {
+        const row = await openHandoff(id);
+        if (!row) return null;
+        const updated = await updateHandoff(row, { status: 'active', agent, claimed_at: new Date().toISOString() });
+        const session = (await sessionStore.get(row.session_id)) || {};
+        // Re-pins the session in case it expired while waiting in the queue
+        await sessionStore.update(row.session_id, {
+            awaiting: 'agent',
+            handoff: { ...(session.handoff || { id: row.id, reason: row.reason }), status: 'active', agent }
+        });
+        console.log(`🙋 ${agent} claimed handoff ${row.id} (session ${row.session_id})`);
+        return updated;
+    }
+
+    // Sends an agent's message to the user; claims the handoff if still queued
+    async function sendReply(id, agent, text) {
+        let row = await openHandoff(id);
+        if (!row) return null;
+        if (row.status === 'queued' || row.agent !== agent) row = await claim(id, agent);
+
+        await saveConversationRecord({
+            session_id: row.session_id,
+            intent_name: 'Human Handoff',
+            channel: row.channel,
+            user_message: null,
+            response_text: text,
+            record_type: 'agent_reply',
+            agent_name: agent,
+            used_gemini: false
+        });
+        const delivery = await deliver(row, [text]);
+        await updateHandoff(row, {});
+        return { handoff: row, delivery };
+    }
+
+    // Hands the session back to the bot, optionally with a parting message
+    async function close(id, agent, message) {
+        const row = await openHandoff(id);
+        if (!row) return null;
+        const updated = await updateHandoff(row, {
+            status: 'closed',
+            agent: row.agent || agent,
+            closed_at: new Date().toISOString()
+        });
+        await sessionStore.update(row.session_id, { awaiting: null, handoff: null });
+        if (message) {
+            await saveConversationRecord({
+                session_id: row.session_id,
+                intent_name: 'Human Handoff',
+                channel: row.channel,
+                user_message: null,
+                response_text: message,
+                record_type: 'agent_reply',
+                agent_name: agent,
+                used_gemini: false
+            });
+            await deliver(row, [message]);
+        }
+        console.log(`🙋 Handoff ${row.id} closed${agent ? ` by ${agent}` : ''}`);
+        return updated;
+    }
+
+    // Agent messages waiting for the user; cleared once taken
+    async function takeOutbox(sessionId) {
+        const session = await sessionStore.get(sessionId);
+        if (!session || !session.outbox || !session.outbox.length) return [];
+        await sessionStore.update(sessionId, { outbox: [] });
+        return session.outbox;
+    }
+
+    return { escalate, noteUserMessage, listHandoffs, getHandoff, claim, sendReply, close, takeOutbox };
+}
+
+module.exports = { createAgentQueue, HANDOFF_STATUSES };
@@ -0,0 +1,163 @@
+'use strict';
+
+// Time-range analytics over the conversation and FAQ records. All grouping
+// happens in `storage.aggregate()`; this module only parses filters, fills
+// empty buckets and derives rates.
+
+const { GRANULARITIES, bucketStart, nextBucket } = require('./storage/aggregate');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BUCKETS = 1000;
+const BUCKET_MS = { hour: DAY_MS / 24, day: DAY_MS, week: 7 * DAY_MS, month: 31 * DAY_MS };
+
+const CONVERSATION_METRICS = {
+    llm_replies: { countTrue: 'used_gemini' },
+    fallbacks: { countNotNull: 'fallback_reason' },
+    llm_cost_usd: { sum: 'llm_cost_usd' }
+};
+
+function parseDate(value, name) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw new RangeError(`${name} must be an ISO date`);
+    return time;
+}
+
+function ratio(part, whole) {
+    return whole ? Math.round(part / whole * 1000) / 1000 : 0;
+}
+
+// Query string -> filters. Defaults to the last 30 days by day. A bare date
+// for `to` (YYYY-MM-DD) includes that whole day.
+function parseAnalyticsFilters(query = {}) {
+    const granularity = query.granularity || 'day';
+    if (!GRANULARITIES.includes(granularity)) {
+        throw new RangeError(`granularity must be one of ${GRANULARITIES.join(', ')}`);
+    }
+
+    let to = query.to ? parseDate(query.to, 'to') : Date.now();
+    if (query.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) to += DAY_MS;
+    const from = query.from ? parseDate(query.from, 'from') : to - 30 * DAY_MS;
+    if (from >= to) throw new RangeError('from must be before to');
+    if ((to - from) / BUCKET_MS[granularity] > MAX_BUCKETS) {
+        throw new RangeError(`Range too long for ${granularity} granularity (max ${MAX_BUCKETS} buckets)`);
+    }
+
+    const where = {};
+    if (query.channel) where.channel = String(query.channel);
+    if (query.intent) where.intent_name = String(query.intent);
+
+    return {
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        granularity,
+        where
+    };
+}
+
+function createAnalytics({ storage, conversationsTable, faqTable }) {
+    // Conversations, fallback rate, LLM share and cost per bucket; buckets
+    // without traffic are returned as zeros so charts keep their time axis.
+    async function timeseries(filters) {
+        const rows = await storage.aggregate(conversationsTable, { ...filters, metrics: CONVERSATION_METRICS });
+        const byBucket = new Map(rows.map(row => [row.bucket, row]));
+
+        const series = [];
+        for (let bucket = bucketStart(filters.from, filters.granularity); bucket < filters.to; bucket = nextBucket(bucket, filters.granularity)) {
+            const row = byBucket.get(bucket) || { count: 0, llm_replies: 0, fallbacks: 0, llm_cost_usd: 0 };
+            series.push({
+                bucket,
+                conversations: row.count,
+                fallbacks: row.fallbacks,
+                fallback_rate: ratio(row.fallbacks, row.count),
+                llm_replies: row.llm_replies,
+                llm_share: ratio(row.llm_replies, row.count),
+                llm_cost_usd: Math.round(row.llm_cost_usd * 1e6) / 1e6
+            });
+        }
+
+        const totals = series.reduce((acc, point) => ({
+            conversations: acc.conversations + point.conversations,
+            fallbacks: acc.fallbacks + point.fallbacks,
+            llm_replies: acc.llm_replies + point.llm_replies,
+            llm_cost_usd: acc.llm_cost_usd + point.llm_cost_usd
+        }), { conversations: 0, fallbacks: 0, llm_replies: 0, llm_cost_usd: 0 });
+        totals.fallback_rate = ratio(totals.fallbacks, totals.conversations);
+        totals.llm_share = ratio(totals.llm_replies, totals.conversations);
+        totals.llm_cost_usd = Math.round(totals.llm_cost_usd * 1e6) / 1e6;
+
+        return { series, totals };
+    }
+
+    async function intents(filters) {
+        const rows = await storage.aggregate(conversationsTable, {
+            where: filters.where,
+            from: filters.from,
+            to: filters.to,
+            groupBy: ['intent_name'],
+            metrics: CONVERSATION_METRICS
+        });
+        return rows.map(row => ({
+            intent_name: row.intent_name || 'Unknown',
+            conversations: row.count,
+            fallbacks: row.fallbacks,
+            fallback_rate: ratio(row.fallbacks, row.count),
+            llm_replies: row.llm_replies,
+            llm_cost_usd: Math.round(row.llm_cost_usd * 1e6) / 1e6
+        }));
+    }
+
+    // Conversations per locale the bot answered in; records written before
+    // locales were tracked have none
+    async function locales(filters) {
+        const rows = await storage.aggregate(conversationsTable, {
+            where: filters.where,
+            from: filters.from,
+            to: filters.to,
+            groupBy: ['locale'],
+            metrics: CONVERSATION_METRICS
+        });
+        const total = rows.reduce((sum, row) => sum + row.count, 0);
+        return rows
+            .map(row => ({
+                locale: row.locale || 'unknown',
+                conversations: row.count,
+                share: ratio(row.count, total),
+                fallbacks: row.fallbacks,
+                fallback_rate: ratio(row.fallbacks, row.count),
+                llm_replies: row.llm_replies
+            }))
+            .sort((a, b) => b.conversations - a.conversations);
+    }
+
+    async function fallbackReasons(filters) {
+        const rows = await storage.aggregate(conversationsTable, {
+            where: { ...filters.where, used_gemini: true },
+            from: filters.from,
+            to: filters.to,
+            groupBy: ['intent_name', 'fallback_reason']
+        });
+        return rows
+            .filter(row => row.fallback_reason)
+            .map(row => ({ intent_name: row.intent_name || 'Unknown', fallback_reason: row.fallback_reason, count: row.count }));
+    }
+
+    async function topFaqs(filters, limit = 10) {
+        const rows = await storage.aggregate(faqTable, {
+            where: filters.where,
+            from: filters.from,
+            to: filters.to,
+            groupBy: ['question_text'],
+            metrics: { llm_answers: { countTrue: 'used_gemini' } },
+            limit
+        });
+        return rows.map(row => ({
+            question_text: row.question_text || 'Unknown',
+            count: row.count,
+            llm_answers: row.llm_answers
+        }));
+    }
+
+    return { timeseries, intents, locales, fallbackReasons, topFaqs };
+}
+
+module.exports = { createAnalytics, parseAnalyticsFilters, parseDate, DAY_MS };
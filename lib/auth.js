@@ -0,0 +1,193 @@
+'use strict';
+
+// Admin authentication (scrypt password hashes + HMAC-signed tokens carried
+// in a cookie or bearer header) and Dialogflow webhook verification.
+
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'agent', 'admin'];
+const TOKEN_COOKIE = 'admin_token';
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, 64);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'base64');
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of String(header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+    return cookies;
+}
+
+function hasRole(userRole, minRole) {
+    return ROLES.indexOf(userRole) >= ROLES.indexOf(minRole);
+}
+
+function createAuth({ storage, table, secret, tokenTtlMs, bootstrapUser }) {
+    const signingKey = secret || crypto.randomBytes(32).toString('hex');
+    // Checked against for unknown usernames, so a failed login takes as long
+    // whether or not the user exists
+    const dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+    if (!secret) {
+        console.warn('⚠️ AUTH_SECRET not set; admin sessions will not survive a restart.');
+    }
+
+    function sign(payload) {
+        const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        const signature = crypto.createHmac('sha256', signingKey).update(body).digest('base64url');
+        return `${body}.${signature}`;
+    }
+
+    function verifyToken(token) {
+        const [body, signature] = String(token || '').split('.');
+        if (!body || !signature) return null;
+        const expected = crypto.createHmac('sha256', signingKey).update(body).digest('base64url');
+        if (!safeEqual(signature, expected)) return null;
+        try {
+            const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+            return payload.exp > Date.now() ? payload : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async function findUser(username) {
+        const rows = await storage.select(table, { where: { username }, limit: 1 });
+        return rows[0] || null;
+    }
+
+    // Creates the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when the
+    // users table is still empty.
+    async function ensureBootstrapUser() {
+        if (!bootstrapUser || !bootstrapUser.username || !bootstrapUser.password) return;
+        if (await storage.count(table)) return;
+        await createUser({ ...bootstrapUser, role: 'admin' });
+        console.log(`👤 Bootstrapped admin user "${bootstrapUser.username}"`);
+    }
+
+    async function createUser({ username, password, role }) {
+        if (!ROLES.includes(role)) throw new RangeError(`role must be one of ${ROLES.join(', ')}`);
+        if (await findUser(username)) throw new RangeError(`User "${username}" already exists`);
+        const [user] = await storage.insert(table, [{ username, password_hash: hashPassword(password), role }]);
+        return { id: user.id, username: user.username, role: user.role };
+    }
+
+    async function listUsers() {
+        return storage.select(table, { columns: 'id, username, role, created_at', orderBy: 'username' });
+    }
+
+    // Returns { token, user } or null for bad credentials
+    async function login(username, password) {
+        const user = await findUser(username);
+        if (!user) {
+            verifyPassword(password, dummyHash);
+            return null;
+        }
+        if (!verifyPassword(password, user.password_hash)) return null;
+        const payload = { sub: user.username, role: user.role, exp: Date.now() + tokenTtlMs };
+        return { token: sign(payload), user: { username: user.username, role: user.role } };
+    }
+
+    function readToken(req) {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) return header.slice(7).trim();
+        return parseCookies(req.headers.cookie)[TOKEN_COOKIE] || null;
+    }
+
+    function requireRole(minRole = 'viewer') {
+        return (req, res, next) => {
+            const payload = verifyToken(readToken(req));
+            if (!payload) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+            if (!hasRole(payload.role, minRole)) {
+                return res.status(403).json({ error: `Requires ${minRole} role` });
+            }
+            req.adminUser = { username: payload.sub, role: payload.role };
+            return next();
+        };
+    }
+
+    function setTokenCookie(res, token) {
+        res.cookie(TOKEN_COOKIE, token, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: process.env.NODE_ENV === 'production',
+            maxAge: tokenTtlMs,
+            path: '/'
+        });
+    }
+
+    function clearTokenCookie(res) {
+        res.clearCookie(TOKEN_COOKIE, { path: '/' });
+    }
+
+    return {
+        ensureBootstrapUser,
+        createUser,
+        listUsers,
+        login,
+        requireRole,
+        setTokenCookie,
+        clearTokenCookie
+    };
+}
+
+// Accepts Dialogflow's basic-auth credentials or a shared secret header.
+// Several secrets may be configured at once so they can be rotated. With no
+// credentials every call is rejected, unless verification was explicitly
+// turned off (`allowUnverified`) outside production.
+function createWebhookVerifier({
+    basicUser,
+    basicPass,
+    secretHeader,
+    secrets,
+    allowUnverified = false,
+    production = process.env.NODE_ENV === 'production'
+}) {
+    const enabled = Boolean((basicUser && basicPass) || secrets.length);
+    const open = !enabled && allowUnverified && !production;
+    if (open) {
+        console.warn('⚠️ Webhook verification disabled (WEBHOOK_VERIFICATION=off); never use this in production.');
+    } else if (!enabled) {
+        console.error(`❌ No webhook credentials set; rejecting all webhook calls. Set WEBHOOK_SECRETS or WEBHOOK_BASIC_AUTH_USER/PASS${production ? '' : ', or WEBHOOK_VERIFICATION=off for local development'}.`);
+    }
+
+    function isAuthorized(req) {
+        const header = req.headers.authorization || '';
+        if (basicUser && basicPass && header.startsWith('Basic ')) {
+            const [user, ...rest] = Buffer.from(header.slice(6), 'base64').toString('utf8').split(':');
+            if (safeEqual(user, basicUser) && safeEqual(rest.join(':'), basicPass)) return true;
+        }
+        const provided = req.headers[secretHeader.toLowerCase()];
+        return Boolean(provided) && secrets.some(secret => safeEqual(provided, secret));
+    }
+
+    return (req, res, next) => {
+        if (open || (enabled && isAuthorized(req))) return next();
+        if (!enabled) return res.status(503).json({ error: 'Webhook verification is not configured' });
+        console.warn('🚫 Rejected unauthenticated webhook call from', req.ip);
+        return res.status(401).json({ error: 'Unauthorized' });
+    };
+}
+
+module.exports = { createAuth, createWebhookVerifier, hashPassword, verifyPassword, ROLES };
@@ -0,0 +1,50 @@
+'use strict';
+
+// BM25 scoring shared by the FAQ matcher and the knowledge base, so FAQ
+// answers and retrieved passages are ranked the same way. Documents and
+// queries are token arrays from faqMatcher's `tokenize`.
+
+const K1 = 1.2;
+const B = 0.75;
+
+function countTerms(tokens) {
+    const counts = new Map();
+    for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+    return counts;
+}
+
+// `documents` is an array of token arrays; documents are addressed by index
+function createBm25Index(documents) {
+    const docs = documents.map(tokens => ({ terms: countTerms(tokens), length: tokens.length }));
+    const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+    const docFreq = new Map();
+    for (const doc of docs) {
+        for (const term of doc.terms.keys()) docFreq.set(term, (docFreq.get(term) || 0) + 1);
+    }
+
+    function idf(term) {
+        const df = docFreq.get(term) || 0;
+        return Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+    }
+
+    // Term -> count map of document `i`
+    function terms(i) {
+        return docs[i].terms;
+    }
+
+    // `queryTerms` is a Set of tokens
+    function score(queryTerms, i) {
+        const doc = docs[i];
+        let total = 0;
+        for (const term of queryTerms) {
+            const tf = doc.terms.get(term);
+            if (!tf) continue;
+            total += idf(term) * tf * (K1 + 1) / (tf + K1 * (1 - B + B * doc.length / avgLength));
+        }
+        return total;
+    }
+
+    return { size: docs.length, idf, terms, score };
+}
+
+module.exports = { createBm25Index };
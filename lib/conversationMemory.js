@@ -0,0 +1,90 @@
+'use strict';
+
+// Rolling per-session transcript kept in the session store (`history` and
+// `summary`) and replayed to the LLM as multi-turn chat. Once the transcript
+// grows past `tokenBudget`, the older turns are folded into a running summary
+// in the background so the webhook reply never waits on it.
+
+const { primaryText } = require('./platforms/messages');
+const { maskSessionId } = require('./redaction');
+
+const SUMMARY_PROMPT = 'Summarize this customer support conversation in at most five sentences. ' +
+    'Keep names, email addresses, ticket IDs, products and any open questions.';
+
+// Rough estimate (~4 characters per token); good enough for budgeting
+function estimateTokens(messages) {
+    return messages.reduce((sum, m) => sum + Math.ceil(m.content.length / 4), 0);
+}
+
+function createConversationMemory({ sessionStore, llm, maxMessages = 20, keepMessages = 6, tokenBudget = 1000 }) {
+    const summarizing = new Set();
+
+    async function summarize(sessionId, session) {
+        const older = session.history.slice(0, -keepMessages);
+        if (!older.length || summarizing.has(sessionId)) return;
+        summarizing.add(sessionId);
+        try {
+            const transcript = older
+                .map(m => `${m.role === 'assistant' ? 'Assistant' : 'Customer'}: ${m.content}`)
+                .join('\n');
+            const result = await llm.generate([
+                { role: 'system', content: SUMMARY_PROMPT },
+                {
+                    role: 'user',
+                    content: session.summary ? `Earlier summary: ${session.summary}\n\n${transcript}` : transcript
+                }
+            ], { cache: false });
+
+            // Turns may have been appended meanwhile; only drop the ones summarized
+            const current = (await sessionStore.get(sessionId)) || {};
+            const history = (current.history || []).slice(older.length);
+            const patch = { history };
+            if (!result.degraded) patch.summary = result.text;
+            await sessionStore.update(sessionId, patch);
+            console.log(`🧠 Summarized ${older.length} message(s) for session ${maskSessionId(sessionId)}`);
+        } catch (error) {
+            console.error('❌ Conversation summary failed:', error);
+        } finally {
+            summarizing.delete(sessionId);
+        }
+    }
+
+    // Flow middleware: appends the user's text and the bot's reply
+    async function after(ctx, response) {
+        const userText = ctx.queryText.trim();
+        const botText = response ? primaryText(response) : '';
+        if (!ctx.sessionId || !userText || ctx.forget) return;
+
+        const history = (ctx.session.history || []).concat(
+            [{ role: 'user', content: userText }],
+            botText ? [{ role: 'assistant', content: botText }] : []
+        ).slice(-maxMessages);
+        const session = await ctx.updateSession({ history });
+
+        if (estimateTokens(history) > tokenBudget) {
+            summarize(ctx.sessionId, session);
+        }
+    }
+
+    // Chat messages for an LLM call: summary, prior turns, then the new prompt
+    function toMessages(session, prompt) {
+        const messages = [];
+        if (session && session.summary) {
+            messages.push({ role: 'system', content: `Conversation so far: ${session.summary}` });
+        }
+        messages.push(...((session && session.history) || []));
+        messages.push({ role: 'user', content: prompt });
+        return messages;
+    }
+
+    // Follow-ups ("and how long does that take?") are searched together with
+    // the previous question so retrieval still finds the topic.
+    function searchText(session, text) {
+        const previous = ((session && session.history) || []).filter(m => m.role === 'user').pop();
+        return previous ? `${previous.content} ${text}` : text;
+    }
+
+    return { after, toMessages, searchText };
+}
+
+module.exports = { createConversationMemory, estimateTokens };
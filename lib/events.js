@@ -0,0 +1,54 @@
+'use strict';
+
+// In-process event bus for the live admin dashboard. The webhook publishes
+// when it stores a record or queues a handoff; every open dashboard holds a
+// Server-Sent Events stream that relays them.
+
+const { EventEmitter } = require('events');
+
+function createEventBus() {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    let nextId = 1;
+
+    function publish(type, data) {
+        emitter.emit('event', { id: nextId++, type, data });
+    }
+
+    // Returns the unsubscribe function
+    function subscribe(listener) {
+        emitter.on('event', listener);
+        return () => emitter.off('event', listener);
+    }
+
+    function subscriberCount() {
+        return emitter.listenerCount('event');
+    }
+
+    return { publish, subscribe, subscriberCount };
+}
+
+// Express handler body: holds the response open as an SSE stream. The
+// comment heartbeat keeps proxies from closing an idle connection.
+function streamEvents(req, res, bus, { heartbeatMs = 25000 } = {}) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const unsubscribe = bus.subscribe(event => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+}
+
+module.exports = { createEventBus, streamEvents };
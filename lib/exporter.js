@@ -0,0 +1,126 @@
+'use strict';
+
+// Streaming CSV / JSONL export of the record tables. Rows are read in pages
+// with an `id` cursor and written as they arrive, so memory use stays flat no
+// matter how large the export is.
+
+const { parseDate, DAY_MS } = require('./analytics');
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+// CSV columns per dataset; JSONL rows are written whole
+const DATASET_COLUMNS = {
+    conversations: [
+        'id', 'created_at', 'session_id', 'channel', 'locale', 'intent_name', 'intent_confidence', 'record_type',
+        'user_name', 'user_email', 'user_message', 'response_text', 'used_gemini', 'fallback_reason',
+        'llm_provider', 'llm_model', 'llm_cached', 'llm_prompt_tokens', 'llm_completion_tokens', 'llm_cost_usd'
+    ],
+    faqs: [
+        'id', 'created_at', 'session_id', 'channel', 'intent_name', 'intent_confidence', 'user_name', 'user_email',
+        'question_text', 'answer_text', 'faq_entry_id', 'match_score', 'used_gemini', 'llm_provider', 'llm_model',
+        'llm_cost_usd'
+    ],
+    feedback: [
+        'id', 'created_at', 'session_id', 'channel', 'intent_name', 'user_name', 'user_email', 'feedback_rating',
+        'feedback_text', 'sentiment', 'sentiment_score', 'topics'
+    ]
+};
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Spreadsheets run cells starting with these as formulas
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+    return values.map(csvCell).join(',') + '\r\n';
+}
+
+// Resolves on 'drain', or on 'close' when the client disconnects mid-export
+function waitForDrain(res) {
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+// Query string -> filters. Unlike the analytics filters there is no default
+// range and no length cap: without from/to the whole dataset is exported.
+// A bare date for `to` (YYYY-MM-DD) includes that whole day.
+function parseExportFilters(query = {}) {
+    let to = query.to ? parseDate(query.to, 'to') : null;
+    if (to !== null && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) to += DAY_MS;
+    const from = query.from ? parseDate(query.from, 'from') : null;
+    if (from !== null && to !== null && from >= to) throw new RangeError('from must be before to');
+
+    const where = {};
+    if (query.channel) where.channel = String(query.channel);
+    if (query.intent) where.intent_name = String(query.intent);
+
+    return {
+        from: from === null ? null : new Date(from).toISOString(),
+        to: to === null ? null : new Date(to).toISOString(),
+        where
+    };
+}
+
+function createExporter({ storage, tables, pageSize = 500 }) {
+    const datasets = Object.keys(tables);
+
+    // Pages through `dataset` oldest first; `filters` as from parseExportFilters
+    async function* readRows(dataset, { from, to, where }) {
+        let cursor = 0;
+        while (true) {
+            const rows = await storage.select(tables[dataset], {
+                where,
+                gt: { id: cursor },
+                gte: from ? { created_at: from } : undefined,
+                lt: to ? { created_at: to } : undefined,
+                orderBy: 'id',
+                ascending: true,
+                limit: pageSize
+            });
+            for (const row of rows) yield row;
+            if (rows.length < pageSize) return;
+            cursor = rows[rows.length - 1].id;
+        }
+    }
+
+    // Writes the export to an HTTP response, honouring backpressure and
+    // stopping early if the client goes away. Returns the row count.
+    async function streamExport(res, { dataset, format, filters }) {
+        const { contentType, extension } = FORMATS[format];
+        const stamp = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${dataset}-${stamp}.${extension}"`);
+
+        const columns = DATASET_COLUMNS[dataset];
+        const write = async chunk => {
+            if (!res.write(chunk)) await waitForDrain(res);
+        };
+
+        let count = 0;
+        if (format === 'csv') await write(csvLine(columns));
+        for await (const row of readRows(dataset, filters)) {
+            if (res.destroyed) break;
+            await write(format === 'csv' ? csvLine(columns.map(column => row[column])) : JSON.stringify(row) + '\n');
+            count++;
+        }
+        res.end();
+        return count;
+    }
+
+    return { datasets, streamExport };
+}
+
+module.exports = { createExporter, parseExportFilters, EXPORT_FORMATS: Object.keys(FORMATS) };
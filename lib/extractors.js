@@ -0,0 +1,143 @@
+'use strict';
+
+// Helpers that pull user details out of NLU parameters and validate the
+// answers users type in.
+
+function normalizeString(value) {
+    if (value == null) return null;
+    if (typeof value === 'string') return value.trim() || null;
+    if (typeof value === 'object') {
+        if (value.name) return String(value.name).trim() || null;
+        if (value.original) return String(value.original).trim() || null;
+        if (value.displayName) return String(value.displayName).trim() || null;
+    }
+    return null;
+}
+
+function extractName(params) {
+    return normalizeString(
+        params?.name ||
+        params?.person?.name ||
+        params?.person?.original ||
+        params?.['given-name']
+    );
+}
+
+function extractEmail(params) {
+    return normalizeString(
+        params?.email ||
+        params?.emailAddress ||
+        params?.['email-address']
+    );
+}
+
+function extractUserMessage(params, fallbackText) {
+    return normalizeString(
+        params?.problem ||
+        params?.issue ||
+        params?.message ||
+        params?.['problem-description'] ||
+        params?.['customer_message'] ||
+        fallbackText
+    );
+}
+
+function extractRating(params) {
+    const r = params?.rating || params?.score || params?.['feedback-rating'];
+    if (r === undefined || r === null) return null;
+    const parsed = parseFloat(r);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function extractFaqTopic(params, fallbackText) {
+    return normalizeString(
+        params?.topic ||
+        params?.subject ||
+        params?.['faq-topic'] ||
+        fallbackText
+    );
+}
+
+function extractTicketCode(params) {
+    return normalizeString(
+        params?.['ticket-id'] ||
+        params?.ticket_id ||
+        params?.ticketId
+    );
+}
+
+// RFC 5321 limits; the local part allows the usual unquoted characters only
+const EMAIL_LOCAL = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const DOMAIN_LABEL = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+const TLD = /^(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+// Lead-ins people type before their name ("my name is Sara")
+const NAME_PREFIX = /^(?:(?:hi|hello|hey),?\s+)?(?:my name is|my name's|name is|name:|i am|i'm|im|this is|it's|it is|call me)\s+/i;
+const NAME_CHARS = /^[\p{L}\p{M}][\p{L}\p{M}'’. -]*$/u;
+const NOT_NAMES = new Set([
+    'hi', 'hello', 'hey', 'yes', 'no', 'ok', 'okay', 'sure', 'thanks', 'thank you', 'skip', 'none', 'nothing',
+    'anonymous', 'test', 'testing', 'idk', 'unknown', 'no name', 'help', 'asdf', 'qwerty', 'name', 'my name', 'why'
+]);
+
+// Each check returns { value, reason }: the normalized value, or null and a
+// short reason code flows can turn into a specific re-prompt.
+function checkName(value) {
+    const raw = normalizeString(value);
+    if (!raw) return { value: null, reason: 'empty' };
+
+    const name = raw.replace(NAME_PREFIX, '').replace(/[.!]+$/, '').replace(/\s+/g, ' ').trim();
+    if (name.includes('@')) return { value: null, reason: 'email' };
+    if (/\d/.test(name)) return { value: null, reason: 'digits' };
+    if (name.length > 80) return { value: null, reason: 'too_long' };
+    if (!NAME_CHARS.test(name)) return { value: null, reason: 'characters' };
+
+    const words = name.toLowerCase().split(' ');
+    const letters = name.match(/\p{L}/gu) || [];
+    const gibberish = words.some(word => /(\p{L})\1\1/u.test(word) || (/^[a-z]{5,}$/.test(word) && !/[aeiouy]/.test(word)));
+    if (letters.length < 2 || words.length > 6 || gibberish || NOT_NAMES.has(words.join(' '))) {
+        return { value: null, reason: 'not_a_name' };
+    }
+    return { value: name, reason: null };
+}
+
+function checkEmail(value) {
+    const raw = normalizeString(value);
+    if (!raw) return { value: null, reason: 'empty' };
+
+    const email = raw.replace(/^mailto:/i, '').replace(/^<(.*)>$/, '$1').replace(/[.,;:!?]+$/, '').trim().toLowerCase();
+    const at = email.lastIndexOf('@');
+    if (at === -1) return { value: null, reason: 'missing_at' };
+    if (email.length > 254) return { value: null, reason: 'too_long' };
+
+    const local = email.slice(0, at);
+    const domain = email.slice(at + 1);
+    if (!local || local.length > 64 || !EMAIL_LOCAL.test(local)) return { value: null, reason: 'format' };
+
+    const labels = domain.split('.');
+    if (labels.length < 2 || !labels.every(label => DOMAIN_LABEL.test(label)) || !TLD.test(labels[labels.length - 1])) {
+        return { value: null, reason: 'domain' };
+    }
+    return { value: email, reason: null };
+}
+
+function validateName(value) {
+    return checkName(value).value;
+}
+
+function validateEmail(value) {
+    return checkEmail(value).value;
+}
+
+module.exports = {
+    normalizeString,
+    extractName,
+    extractEmail,
+    extractUserMessage,
+    extractRating,
+    extractFaqTopic,
+    extractTicketCode,
+    checkName,
+    checkEmail,
+    validateName,
+    validateEmail
+};
@@ -0,0 +1,134 @@
+'use strict';
+
+// Local FAQ ranking: token normalization + synonyms, BM25 (lib/bm25.js) for
+// ordering and an IDF-weighted term coverage for the confidence reported back
+// to the flow.
+
+const { createBm25Index } = require('./bm25');
+
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'i', 'me', 'my', 'we', 'our', 'you', 'your', 'it', 'its', 'is', 'am', 'are', 'was', 'be',
+    'do', 'does', 'did', 'can', 'could', 'should', 'would', 'will', 'how', 'what', 'where', 'when', 'which',
+    'who', 'why', 'to', 'of', 'in', 'on', 'at', 'for', 'by', 'with', 'and', 'or', 'if', 'so', 'this', 'that',
+    'there', 'any', 'some', 'please', 'hi', 'hello', 'hey', 'want', 'need', 'get', 'have', 'has', 'from', 'about'
+]);
+
+// Multi-word phrases collapsed before tokenizing
+const PHRASES = [
+    [/\bsign(?:ing)?[\s-]+up\b/g, 'signup'],
+    [/\blog(?:ging)?[\s-]+in\b/g, 'login'],
+    [/\bsign(?:ing)?[\s-]+in\b/g, 'login'],
+    [/\bmoney[\s-]+back\b/g, 'refund'],
+    [/\bhelp[\s-]+center\b/g, 'documentation'],
+    [/\bcredit[\s-]+card\b/g, 'card'],
+    [/\bdebit[\s-]+card\b/g, 'card'],
+    [/\be[\s-]?mail\b/g, 'email']
+];
+
+// Every token on the right is rewritten to the canonical token on the left
+const SYNONYMS = {
+    password: ['pwd', 'passcode', 'passwd', 'pin', 'credential'],
+    forgot: ['forget', 'forgotten', 'lost', 'lose'],
+    login: ['logon', 'signin'],
+    signup: ['register', 'registration', 'enroll', 'join'],
+    create: ['open', 'make'],
+    account: ['profile', 'acct'],
+    contact: ['reach', 'call', 'phone', 'talk', 'speak', 'message'],
+    support: ['help', 'assistance', 'helpdesk', 'agent', 'service', 'team'],
+    refund: ['reimburse', 'reimbursement', 'return', 'chargeback'],
+    cancel: ['cancellation', 'stop', 'abort'],
+    modify: ['change', 'edit', 'update', 'amend', 'alter'],
+    order: ['purchase', 'booking', 'request', 'shipment', 'package', 'delivery'],
+    track: ['tracking', 'status', 'locate', 'follow'],
+    payment: ['pay', 'paying', 'paid', 'card', 'paypal', 'wallet', 'billing', 'method'],
+    secure: ['security', 'safe', 'safety', 'privacy', 'private', 'encryption', 'protect', 'protected'],
+    documentation: ['docs', 'doc', 'tutorial', 'tutorials', 'guide', 'guides', 'manual', 'howto'],
+    response: ['reply', 'respond', 'answer', 'wait', 'waiting'],
+    time: ['long', 'fast', 'quick', 'quickly', 'soon', 'hours'],
+    technical: ['tech', 'bug', 'error', 'crash', 'troubleshoot', 'troubleshooting', 'install', 'installation', 'setup']
+};
+
+const SYNONYM_LOOKUP = Object.entries(SYNONYMS).reduce((acc, [canonical, words]) => {
+    for (const word of words) acc[word] = canonical;
+    return acc;
+}, {});
+
+function stem(token) {
+    if (token.length > 5 && token.endsWith('ing')) return token.slice(0, -3);
+    if (token.length > 4 && token.endsWith('ed')) return token.slice(0, -2);
+    if (token.length > 4 && token.endsWith('ies')) return token.slice(0, -3) + 'y';
+    if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+    return token;
+}
+
+function canonical(token) {
+    if (SYNONYM_LOOKUP[token]) return SYNONYM_LOOKUP[token];
+    if (SYNONYMS[token]) return token;
+    const stemmed = stem(token);
+    return SYNONYM_LOOKUP[stemmed] || stemmed;
+}
+
+function tokenize(text) {
+    if (!text) return [];
+    let value = String(text).toLowerCase();
+    for (const [pattern, replacement] of PHRASES) {
+        value = value.replace(pattern, replacement);
+    }
+    // Accents are dropped so "contrasena" still finds "contraseña"; letters
+    // of any script are kept for the localized FAQ matchers
+    return value
+        .normalize('NFKD')
+        .replace(/\p{M}+/gu, '')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(token => token && !STOPWORDS.has(token))
+        .map(canonical)
+        .filter(token => !STOPWORDS.has(token));
+}
+
+// Question text counts more than answer text when ranking
+const QUESTION_WEIGHT = 2;
+
+function createFaqMatcher(entries) {
+    const docs = entries.map(entry => {
+        const questionTokens = tokenize(entry.question);
+        const tokens = [];
+        for (let i = 0; i < QUESTION_WEIGHT; i++) tokens.push(...questionTokens);
+        tokens.push(...tokenize(entry.answer));
+        return { entry, questionTerms: new Set(questionTokens), tokens };
+    });
+    const index = createBm25Index(docs.map(doc => doc.tokens));
+
+    // Share of the IDF mass of `terms` that is also present in `other`
+    function coverage(terms, other) {
+        let total = 0;
+        let hit = 0;
+        for (const term of terms) {
+            const weight = index.idf(term);
+            total += weight;
+            if (other.has(term)) hit += weight;
+        }
+        return total ? hit / total : 0;
+    }
+
+    // Returns up to `limit` candidates, best first, each with a 0..1 confidence
+    function rank(query, limit = 3) {
+        const queryTerms = new Set(tokenize(query));
+        if (!queryTerms.size) return [];
+
+        return docs
+            .map((doc, i) => {
+                const score = index.score(queryTerms, i);
+                const docTerms = new Set(index.terms(i).keys());
+                const confidence = 0.7 * coverage(queryTerms, docTerms) + 0.3 * coverage(doc.questionTerms, queryTerms);
+                return { entry: doc.entry, score, confidence: Math.round(confidence * 1000) / 1000 };
+            })
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score || b.confidence - a.confidence)
+            .slice(0, limit);
+    }
+
+    return { rank };
+}
+
+module.exports = { createFaqMatcher, tokenize };
@@ -0,0 +1,207 @@
+'use strict';
+
+// FAQ knowledge base kept in the configured storage backend, with an
+// in-process cache that is refreshed after `cacheTtlMs` or whenever an admin
+// edits an entry. Lookups can take a locale; `localize(entry, locale)`
+// translates entries and each locale gets its own matcher, built on first use.
+
+const { createFaqMatcher } = require('./faqMatcher');
+
+const FAQ_COLUMNS = 'id, question, answer, category, position, created_at, updated_at';
+
+function normalizeQuestion(value) {
+    return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+function toEntry(row) {
+    return {
+        id: row.id,
+        question: row.question,
+        answer: row.answer,
+        category: row.category || null,
+        position: typeof row.position === 'number' ? row.position : 0,
+        created_at: row.created_at || null,
+        updated_at: row.updated_at || null
+    };
+}
+
+function sortEntries(entries) {
+    return entries.slice().sort((a, b) => a.position - b.position);
+}
+
+function createFaqStore({ storage, table, seed = [], cacheTtlMs = 60000, localize = null }) {
+    let cache = null;
+    let loadedAt = 0;
+    let loading = null;
+
+    function seedRows() {
+        return seed.map((item, index) => ({
+            question: item.question,
+            answer: item.answer,
+            category: item.category || 'General',
+            position: index
+        }));
+    }
+
+    async function fetchAll() {
+        const rows = await storage.select(table, {
+            columns: FAQ_COLUMNS,
+            orderBy: 'position',
+            ascending: true
+        });
+
+        if (rows.length || !seed.length) {
+            return rows.map(toEntry);
+        }
+
+        console.log(`🌱 Seeding ${seed.length} FAQ entries into ${table}`);
+        const seeded = await storage.insert(table, seedRows());
+        return sortEntries(seeded.map(toEntry));
+    }
+
+    function buildCache(entries) {
+        const answerMap = {};
+        for (const entry of entries) {
+            answerMap[normalizeQuestion(entry.question)] = entry;
+        }
+        return { entries, answerMap, matcher: createFaqMatcher(entries), localized: new Map() };
+    }
+
+    async function reload() {
+        if (!loading) {
+            loading = fetchAll()
+                .then(entries => {
+                    cache = buildCache(entries);
+                    loadedAt = Date.now();
+                    console.log(`📚 FAQ cache loaded (${entries.length} entries)`);
+                    return cache;
+                })
+                .finally(() => {
+                    loading = null;
+                });
+        }
+        return loading;
+    }
+
+    async function getCache() {
+        if (cache && Date.now() - loadedAt < cacheTtlMs) {
+            return cache;
+        }
+        try {
+            return await reload();
+        } catch (error) {
+            // Keep serving the previous snapshot rather than failing the webhook.
+            if (cache) {
+                console.error('❌ FAQ cache refresh failed, serving stale entries:', error);
+                return cache;
+            }
+            throw error;
+        }
+    }
+
+    async function getLocalizedCache(locale) {
+        const base = await getCache();
+        if (!locale || !localize) return base;
+        if (!base.localized.has(locale)) {
+            base.localized.set(locale, buildCache(base.entries.map(entry => localize(entry, locale))));
+        }
+        return base.localized.get(locale);
+    }
+
+    function invalidate() {
+        loadedAt = 0;
+    }
+
+    async function listEntries(locale) {
+        const { entries } = await getLocalizedCache(locale);
+        return entries;
+    }
+
+    async function findByQuestion(question, locale) {
+        const key = normalizeQuestion(question);
+        if (!key) return null;
+        const { answerMap } = await getLocalizedCache(locale);
+        return answerMap[key] || null;
+    }
+
+    // Exact question matches short-circuit with full confidence; anything else
+    // goes through the BM25 matcher.
+    async function matchQuestion(question, limit = 3, locale) {
+        const key = normalizeQuestion(question);
+        if (!key) return [];
+        const { answerMap, matcher } = await getLocalizedCache(locale);
+        if (answerMap[key]) {
+            return [{ entry: answerMap[key], score: null, confidence: 1 }];
+        }
+        return matcher.rank(question, limit);
+    }
+
+    async function createEntry({ question, answer, category }) {
+        const entries = await fetchAll();
+        const position = entries.reduce((max, e) => Math.max(max, e.position + 1), 0);
+        const [created] = await storage.insert(table, [{ question, answer, category: category || null, position }]);
+        invalidate();
+        return toEntry(created);
+    }
+
+    async function updateEntry(id, changes) {
+        const patch = {};
+        for (const key of ['question', 'answer', 'category', 'position']) {
+            if (changes[key] !== undefined) patch[key] = changes[key];
+        }
+        patch.updated_at = new Date().toISOString();
+        const updated = await storage.update(table, id, patch);
+        invalidate();
+        return updated ? toEntry(updated) : null;
+    }
+
+    async function deleteEntry(id) {
+        const deleted = await storage.remove(table, id);
+        invalidate();
+        return deleted;
+    }
+
+    // `ids` is the full desired order; entries not listed keep their relative
+    // order after the listed ones.
+    async function reorderEntries(ids) {
+        const entries = await fetchAll();
+        const wanted = ids.map(String);
+        const listed = wanted
+            .map(id => entries.find(e => String(e.id) === id))
+            .filter(Boolean);
+        const rest = entries.filter(e => !wanted.includes(String(e.id)));
+        const ordered = listed.concat(rest);
+
+        await Promise.all(ordered.map((entry, position) => (
+            entry.position === position ? null : updateEntry(entry.id, { position })
+        )));
+
+        invalidate();
+        return listEntries();
+    }
+
+    async function listCategories() {
+        const entries = await listEntries();
+        const counts = {};
+        for (const entry of entries) {
+            const category = entry.category || 'Uncategorized';
+            counts[category] = (counts[category] || 0) + 1;
+        }
+        return Object.entries(counts).map(([category, count]) => ({ category, count }));
+    }
+
+    return {
+        listEntries,
+        listCategories,
+        findByQuestion,
+        matchQuestion,
+        createEntry,
+        updateEntry,
+        deleteEntry,
+        reorderEntries,
+        reload,
+        invalidate
+    };
+}
+
+module.exports = { createFaqStore, normalizeQuestion };
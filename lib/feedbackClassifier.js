@@ -0,0 +1,106 @@
+'use strict';
+
+// Local, dependency-free tagging for feedback: a small sentiment lexicon with
+// negation and intensifiers, topic keywords matched on the FAQ matcher's
+// canonical tokens, and a parser for ratings typed or tapped as chips.
+
+const { tokenize } = require('./faqMatcher');
+
+const POSITIVE = new Set([
+    'good', 'great', 'excellent', 'amazing', 'awesome', 'fantastic', 'perfect', 'love', 'loved', 'like', 'liked',
+    'helpful', 'useful', 'easy', 'fast', 'quick', 'quickly', 'friendly', 'nice', 'happy', 'satisfied', 'thanks',
+    'thank', 'brilliant', 'smooth', 'clear', 'polite', 'solved', 'resolved', 'best', 'wonderful', 'recommend'
+]);
+
+const NEGATIVE = new Set([
+    'bad', 'poor', 'terrible', 'awful', 'horrible', 'worst', 'hate', 'hated', 'slow', 'useless', 'unhelpful',
+    'confusing', 'confused', 'broken', 'bug', 'buggy', 'error', 'wrong', 'rude', 'angry', 'annoying', 'annoyed',
+    'disappointed', 'disappointing', 'frustrating', 'frustrated', 'unhappy', 'waste', 'problem',
+    'issue', 'fail', 'failed', 'fails', 'stuck', 'late', 'delay', 'delayed', 'expensive', 'scam', 'crash'
+]);
+
+const NEGATIONS = new Set(['not', 'no', 'never', 'dont', "don't", 'didnt', "didn't", 'isnt', "isn't", 'wasnt', "wasn't", 'cant', "can't", 'wont', "won't"]);
+const INTENSIFIERS = new Set(['very', 'really', 'so', 'extremely', 'super', 'too', 'totally']);
+
+// Canonical tokens (see faqMatcher) that point at each topic
+const TOPICS = {
+    billing: ['payment', 'refund', 'price', 'pricing', 'charge', 'charged', 'invoice', 'cost', 'expensive', 'fee'],
+    delivery: ['order', 'track', 'ship', 'shipping', 'late', 'delay', 'arrive', 'arrived', 'courier'],
+    account: ['account', 'login', 'password', 'signup', 'verify', 'verification', 'secure'],
+    support: ['support', 'contact', 'response', 'time', 'ticket', 'staff', 'rude', 'polite', 'friendly'],
+    product: ['product', 'quality', 'feature', 'technical', 'broken', 'crash', 'app', 'website', 'site'],
+    assistant: ['bot', 'chatbot', 'assistant', 'chat', 'answer', 'understand', 'documentation']
+};
+
+const RATING_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5 };
+
+function words(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z'\s]/g, ' ').split(/\s+/).filter(Boolean);
+}
+
+// Returns { label: 'positive' | 'neutral' | 'negative', score: -1..1 }
+function classifySentiment(text) {
+    const tokens = words(text);
+    let score = 0;
+    let hits = 0;
+    for (let i = 0; i < tokens.length; i++) {
+        const polarity = POSITIVE.has(tokens[i]) ? 1 : NEGATIVE.has(tokens[i]) ? -1 : 0;
+        if (!polarity) continue;
+        // Look back up to three words, stopping at the previous sentiment word
+        // so "no problem, thanks" does not negate "thanks"
+        let weight = 1;
+        for (let j = i - 1; j >= Math.max(0, i - 3); j--) {
+            if (POSITIVE.has(tokens[j]) || NEGATIVE.has(tokens[j])) break;
+            if (INTENSIFIERS.has(tokens[j])) weight = Math.sign(weight) * 1.5;
+            if (NEGATIONS.has(tokens[j])) weight = -weight;
+        }
+        score += polarity * weight;
+        hits++;
+    }
+    const normalized = hits ? Math.max(-1, Math.min(1, score / (hits + 1))) : 0;
+    const rounded = Math.round(normalized * 100) / 100;
+    if (rounded >= 0.2) return { label: 'positive', score: rounded };
+    if (rounded <= -0.2) return { label: 'negative', score: rounded };
+    return { label: 'neutral', score: rounded };
+}
+
+function classifyTopics(text) {
+    const tokens = new Set(tokenize(text).concat(words(text)));
+    return Object.entries(TOPICS)
+        .filter(([, keywords]) => keywords.some(keyword => tokens.has(keyword)))
+        .map(([topic]) => topic);
+}
+
+// The rating sets the baseline; a clearly worded comment can override a
+// neutral 3, and a comment alone decides when there is no rating.
+function classifyFeedback({ rating, comment }) {
+    const fromText = comment ? classifySentiment(comment) : null;
+    let label;
+    if (rating == null) {
+        label = fromText ? fromText.label : 'neutral';
+    } else if (rating >= 4) {
+        label = 'positive';
+    } else if (rating <= 2) {
+        label = 'negative';
+    } else {
+        label = fromText ? fromText.label : 'neutral';
+    }
+    return {
+        sentiment: label,
+        sentiment_score: fromText ? fromText.score : null,
+        topics: comment ? classifyTopics(comment) : []
+    };
+}
+
+// "4", "4 - Good", "⭐⭐⭐⭐", "four stars" -> 4; anything else -> null
+function parseRating(text) {
+    const value = String(text || '').trim().toLowerCase();
+    const stars = (value.match(/⭐|★/g) || []).length;
+    if (stars >= 1 && stars <= 5) return stars;
+    const digit = value.match(/^([1-5])(?:\s*(?:\/\s*5|stars?|-|–|\b))/) || value.match(/^([1-5])$/);
+    if (digit) return parseInt(digit[1], 10);
+    const word = value.match(/^(one|two|three|four|five)\b/);
+    return word ? RATING_WORDS[word[1]] : null;
+}
+
+module.exports = { classifySentiment, classifyTopics, classifyFeedback, parseRating };
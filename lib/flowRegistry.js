@@ -0,0 +1,225 @@
+'use strict';
+
+// Declarative flow registry. Flows are listed in a JSON config (intents,
+// chip phrases, reply templates, slot prompts) and implemented by modules in
+// lib/flows that export `(config, deps) => ({ handle(ctx), detect?(ctx) })`.
+//
+// Routing order for a turn:
+//   0. a flow marked `exclusive` holds the session or its `detect(ctx)` claims it
+//   1. the text is one of a flow's chips
+//   2. the session is pinned to a flow (`awaiting`) mid-conversation
+//   3. a flow's `detect(ctx)` claims it (e.g. a ticket ID in the text)
+//   4. the NLU intent is one of a flow's `intents`
+//   5. the flow marked `fallback`
+//
+// Middleware registered with `use({ before, after })` wraps every handler:
+// `before(ctx)` may return a reply to short-circuit, `after(ctx, response)`
+// may return a replacement reply. A flow can ship its own middleware by
+// exporting `middleware: { before?, after? }`. A handler that sets
+// `ctx.forget` (data erasure) asks middleware not to persist anything.
+//
+// Each turn is answered in `ctx.locale`, resolved from the request's
+// languageCode (remembered on the session for clients that only send it
+// once). `ctx.config` is the flow definition with that locale's bundle
+// applied, and chips match in the turn's locale as well as the default one.
+
+const fs = require('fs');
+const path = require('path');
+const { renderTemplate } = require('./templates');
+
+function createFlowRegistry({ sessionStore, saveConversationRecord, locales = null }) {
+    const flows = [];
+    const middleware = [];
+
+    function localize(flow, locale) {
+        return locales ? locales.localizeFlow(flow.config, locale) : flow.config;
+    }
+
+    function chipsFor(flow, locale) {
+        const localized = localize(flow, locale).chips || [];
+        return flow.chips.concat(localized.map(chip => chip.toLowerCase()));
+    }
+
+    function register(definition, implementation) {
+        const flow = {
+            name: definition.name,
+            intents: definition.intents || [],
+            chips: (definition.chips || []).map(chip => chip.toLowerCase()),
+            awaiting: definition.awaiting || null,
+            fallback: Boolean(definition.fallback),
+            exclusive: Boolean(definition.exclusive),
+            config: definition,
+            ...implementation
+        };
+        if (typeof flow.handle !== 'function') {
+            throw new TypeError(`Flow "${flow.name}" has no handle() function`);
+        }
+        flows.push(flow);
+        if (flow.middleware) use(flow.middleware);
+        return flow;
+    }
+
+    function use(hooks) {
+        middleware.push(hooks);
+    }
+
+    function buildContext(turn, session) {
+        const queryText = turn.text || '';
+        const ctx = {
+            turn,
+            session,
+            sessionId: turn.sessionId,
+            channel: turn.channel,
+            queryText,
+            normalizedQuery: queryText.trim().toLowerCase(),
+            parameters: turn.parameters || {},
+            intentConfidence: turn.confidence,
+            flow: null,
+            intentName: turn.intent,
+            isChip: false,
+            locale: locales ? locales.resolve(turn.languageCode || session.locale) : null,
+            config: null
+        };
+        // Cancel/restart words in the turn's language (see slotFilling.detectControl)
+        ctx.controls = locales ? locales.section('controls', ctx.locale) : {};
+
+        ctx.render = (key, data = {}) => renderTemplate(ctx.config.replies?.[key] ?? key, data);
+        ctx.updateSession = async patch => {
+            ctx.session = await sessionStore.update(ctx.sessionId, patch);
+            return ctx.session;
+        };
+        // Persistence hook shared by all flows: fills in the per-turn columns.
+        // The fallback reason is kept on ctx for middleware to inspect.
+        ctx.fallbackReason = null;
+        ctx.saveConversation = fields => {
+            if (fields.fallback_reason) ctx.fallbackReason = fields.fallback_reason;
+            return saveConversationRecord({
+                session_id: ctx.sessionId,
+                intent_name: ctx.intentName,
+                channel: ctx.channel,
+                intent_confidence: ctx.intentConfidence,
+                locale: ctx.locale,
+                ...fields
+            });
+        };
+        return ctx;
+    }
+
+    async function resolve(ctx) {
+        for (const flow of flows.filter(f => f.exclusive)) {
+            const holds = flow.awaiting && ctx.session.awaiting === flow.awaiting;
+            if (holds || (flow.detect && await flow.detect(ctx))) {
+                if (!holds) console.log(`🔁 ${flow.name} claimed the turn`);
+                return flow;
+            }
+        }
+
+        const chipFlow = flows.find(flow => chipsFor(flow, ctx.locale).includes(ctx.normalizedQuery));
+        if (chipFlow) {
+            console.log(`🔁 Overriding intent based on chip: ${chipFlow.name}`);
+            ctx.isChip = true;
+            return chipFlow;
+        }
+
+        const pinned = ctx.session.awaiting && flows.find(flow => flow.awaiting === ctx.session.awaiting);
+        if (pinned) {
+            if (ctx.turn.intent !== pinned.name) {
+                console.log(`🔁 Forcing to ${pinned.name} due to pending ${pinned.awaiting} session`);
+            }
+            return pinned;
+        }
+
+        for (const flow of flows) {
+            if (!flow.exclusive && flow.detect && await flow.detect(ctx)) {
+                console.log(`🔁 ${flow.name} claimed the turn`);
+                return flow;
+            }
+        }
+
+        return flows.find(flow => flow.intents.includes(ctx.turn.intent)) ||
+            flows.find(flow => flow.fallback);
+    }
+
+    async function run(turn) {
+        const session = (turn.sessionId && await sessionStore.get(turn.sessionId)) || {};
+        const ctx = buildContext(turn, session);
+        const flow = await resolve(ctx);
+        if (!flow) {
+            throw new Error('No flow matched and no fallback flow is registered');
+        }
+        ctx.flow = flow;
+        ctx.config = localize(flow, ctx.locale);
+        if (ctx.locale && ctx.locale !== session.locale) await ctx.updateSession({ locale: ctx.locale });
+        // The fallback keeps whatever intent the NLU reported for the records
+        ctx.intentName = flow.fallback ? turn.intent : flow.name;
+
+        for (const hooks of middleware) {
+            if (!hooks.before) continue;
+            const early = await hooks.before(ctx);
+            if (early) return early;
+        }
+
+        let response = await flow.handle(ctx);
+
+        for (const hooks of middleware) {
+            if (!hooks.after) continue;
+            response = (await hooks.after(ctx, response)) || response;
+        }
+        return response;
+    }
+
+    function list() {
+        return flows.map(flow => ({
+            name: flow.name,
+            intents: flow.intents,
+            chips: flow.chips,
+            awaiting: flow.awaiting,
+            fallback: flow.fallback,
+            exclusive: flow.exclusive
+        }));
+    }
+
+    return { register, use, run, list };
+}
+
+// Registers every flow in the JSON config. `module` names a file in
+// lib/flows or a path relative to the config file.
+function loadFlows(registry, configPath, deps) {
+    const { flows } = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    for (const definition of flows) {
+        const modulePath = definition.module.includes('/') ?
+            path.resolve(path.dirname(configPath), definition.module) :
+            path.join(__dirname, 'flows', definition.module);
+        const factory = require(modulePath);
+        registry.register(definition, factory(definition, deps));
+    }
+    console.log(`✅ Loaded ${flows.length} flows from ${configPath}`);
+}
+
+// Built-in middleware: per-flow logging and counters
+function createFlowMetrics() {
+    const counters = {};
+
+    function before(ctx) {
+        console.log(`✅ ${ctx.flow.name} flow`);
+        ctx.startedAt = Date.now();
+    }
+
+    function after(ctx) {
+        const entry = counters[ctx.flow.name] || (counters[ctx.flow.name] = { turns: 0, totalMs: 0 });
+        entry.turns++;
+        entry.totalMs += Date.now() - ctx.startedAt;
+    }
+
+    function snapshot() {
+        return Object.entries(counters).map(([flow, entry]) => ({
+            flow,
+            turns: entry.turns,
+            avg_ms: Math.round(entry.totalMs / entry.turns)
+        }));
+    }
+
+    return { before, after, snapshot };
+}
+
+module.exports = { createFlowRegistry, loadFlows, createFlowMetrics };
@@ -0,0 +1,126 @@
+'use strict';
+
+// Collects name, email and issue one slot at a time, then opens a ticket.
+
+const { reply, card } = require('../platforms/messages');
+const { createSlotFiller, detectControl } = require('../slotFilling');
+const {
+    normalizeString,
+    extractName,
+    extractEmail,
+    extractUserMessage,
+    checkName,
+    checkEmail
+} = require('../extractors');
+const { llmRecordFields } = require('../llm');
+
+const CHECKS = {
+    name: checkName,
+    email: checkEmail,
+    message: value => {
+        const message = normalizeString(value);
+        return message && message.length >= 5 ? { value: message, reason: null } : { value: null, reason: 'too_short' };
+    }
+};
+
+module.exports = function createCustomerSupportFlow(config, deps) {
+    const { ticketStore, notifier, generateFallbackResponse } = deps;
+
+    async function handle(ctx) {
+        const { queryText, parameters, intentConfidence, isChip } = ctx;
+        // Prompts come from the turn's locale
+        const slots = createSlotFiller(Object.keys(CHECKS).map(name => ({
+            name,
+            ...ctx.config.slots[name],
+            check: CHECKS[name]
+        })));
+        const supportState = isChip ? null : ctx.session.support || null;
+        const control = detectControl(queryText, ctx.controls);
+
+        if (supportState && control === 'cancel') {
+            await ctx.updateSession({ awaiting: null, support: null });
+            return reply(ctx.render('cancelled'));
+        }
+
+        // If confidence is too low, do fallback (only when not mid-way through collecting details)
+        if (!supportState && !isChip && typeof intentConfidence === 'number' && intentConfidence < deps.config.fallbackThreshold) {
+            const fallback = await generateFallbackResponse(queryText || 'Hello', ctx);
+
+            await ctx.saveConversation({
+                user_message: queryText,
+                response_text: fallback.text,
+                used_gemini: true,
+                ...llmRecordFields(fallback),
+                fallback_reason: 'low_confidence'
+            });
+
+            return reply(fallback.text);
+        }
+
+        // Collect whatever the NLU extracted plus the raw answer to the slot we asked for
+        const restarting = supportState && control === 'restart';
+        const asking = restarting ? null : supportState?.asking;
+        const candidates = {
+            name: extractName(parameters),
+            email: extractEmail(parameters),
+            message: extractUserMessage(parameters, null)
+        };
+        if (asking && !candidates[asking]) {
+            candidates[asking] = queryText;
+        } else if (!supportState && !isChip && !candidates.message) {
+            candidates.message = queryText;
+        }
+
+        const previous = restarting ? {} : supportState?.values || {};
+        const { values, invalid, reason } = slots.fill(previous, candidates);
+        const pendingSlot = invalid || slots.nextMissing(values);
+
+        if (pendingSlot) {
+            await ctx.updateSession({
+                awaiting: 'support',
+                support: { values, asking: pendingSlot.name }
+            });
+            return reply(invalid ? slots.invalidPrompt(invalid, reason) : pendingSlot.prompt);
+        }
+
+        const { name: userName, email: userEmail, message: userMessage } = values;
+        const ticket = await ticketStore.createTicket({
+            sessionId: ctx.sessionId,
+            userName,
+            userEmail,
+            message: userMessage,
+            channel: ctx.channel
+        });
+        console.log('🎫 Ticket created:', ticket.ticket_code);
+
+        // Only now: if the ticket could not be stored the collected details
+        // stay in the session and the user can simply try again
+        await ctx.updateSession({ awaiting: null, support: null });
+
+        const replyText = ctx.render('confirmation', ticket);
+
+        await ctx.saveConversation({
+            user_name: userName,
+            user_email: userEmail,
+            user_message: userMessage,
+            response_text: replyText,
+            used_gemini: false,
+            record_type: 'support',
+            ticket_code: ticket.ticket_code
+        });
+
+        // Not awaited: email delivery must not hold up the webhook reply
+        notifier.notify('support_ack', userEmail, ticket);
+        notifier.notify('support_alert', deps.config.supportInbox, ticket);
+
+        return reply(
+            replyText,
+            card({
+                title: ctx.render('cardTitle', ticket),
+                subtitle: ctx.render('cardSubtitle', ticket)
+            })
+        );
+    }
+
+    return { handle };
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+// "Delete my data": after an explicit yes, erases every record of the current
+// session and the session context itself. The turn leaves no trace behind
+// (`ctx.forget`), so nothing about the request is stored either.
+
+const { reply, chips } = require('../platforms/messages');
+const { detectControl } = require('../slotFilling');
+
+const DELETE_PATTERN = /\b(delete|erase|remove|wipe)\b.*\b(my|all)\b.*\b(data|information|info|details|history|conversations?)\b|\bforget (about )?me\b/i;
+const YES = /^(yes|y|yeah|yep|confirm|delete|delete it|yes,? delete( it)?)$/i;
+
+module.exports = function createDeleteDataFlow(config, deps) {
+    const { privacy } = deps;
+
+    function confirmChips(ctx) {
+        return chips([{ text: ctx.config.confirmChip || 'Yes, delete' }, { text: ctx.config.cancelChip || 'Cancel' }]);
+    }
+
+    // The (localized) chip labels count as answers alongside the English words
+    function answered(ctx, text, key) {
+        return Boolean(ctx.config[key]) && text.toLowerCase() === ctx.config[key].toLowerCase();
+    }
+
+    function detect(ctx) {
+        return DELETE_PATTERN.test(ctx.queryText);
+    }
+
+    async function handle(ctx) {
+        const text = ctx.queryText.trim().replace(/[.!]+$/, '');
+        const confirming = !ctx.isChip && ctx.session.awaiting === 'erase';
+
+        if (!confirming) {
+            await ctx.updateSession({ awaiting: 'erase' });
+            return reply(ctx.render('confirm'), confirmChips(ctx));
+        }
+
+        if (detectControl(text, ctx.controls) === 'cancel' || /^(no|nope|cancel)$/i.test(text) || answered(ctx, text, 'cancelChip')) {
+            await ctx.updateSession({ awaiting: null });
+            return reply(ctx.render('cancelled'));
+        }
+
+        if (!YES.test(text) && !answered(ctx, text, 'confirmChip')) {
+            return reply(ctx.render('confirmAgain'), confirmChips(ctx));
+        }
+
+        await privacy.erase({ sessionId: ctx.sessionId, actor: null, source: 'user' });
+        ctx.forget = true;
+        return reply(ctx.render('done'));
+    }
+
+    return { detect, handle };
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+// Anything no other flow claimed goes to the LLM, grounded in whatever the
+// knowledge base retrieves for the message.
+
+const { reply } = require('../platforms/messages');
+const { formatContext } = require('../knowledgeBase');
+const { llmRecordFields } = require('../llm');
+
+module.exports = function createFallbackFlow(config, deps) {
+    async function handle(ctx) {
+        const question = ctx.queryText || 'Hello';
+        const passages = await deps.knowledgeBase.retrieve(deps.conversationMemory.searchText(ctx.session, question));
+        const fallback = await deps.generateFallbackResponse(ctx.render('groundedPrompt', {
+            question,
+            context: formatContext(passages)
+        }), ctx);
+
+        await ctx.saveConversation({
+            user_message: ctx.queryText,
+            response_text: fallback.text,
+            used_gemini: true,
+            ...llmRecordFields(fallback),
+            sources: passages,
+            fallback_reason: 'unknown_intent'
+        });
+
+        return reply(fallback.text);
+    }
+
+    return { handle };
+};
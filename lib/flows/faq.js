@@ -0,0 +1,119 @@
+'use strict';
+
+// Answers from the FAQ knowledge base: direct answer above the answer
+// threshold, "did you mean" chips in the middle band, and below that an LLM
+// answer grounded in passages retrieved from the FAQ and help documents.
+
+const { reply, chips, link } = require('../platforms/messages');
+const { extractName, extractEmail, extractFaqTopic, validateName, validateEmail } = require('../extractors');
+const { formatContext } = require('../knowledgeBase');
+const { llmRecordFields } = require('../llm');
+
+module.exports = function createFaqFlow(config, deps) {
+    const { faqStore, knowledgeBase, conversationMemory, generateFallbackResponse, saveFaqRecord } = deps;
+    const { faqAnswerThreshold, faqSuggestThreshold, helpCenterUrl } = deps.config;
+
+    // Channels without their own NLU (Kommunicate, /api/chat) still get FAQ answers
+    async function detect(ctx) {
+        if (ctx.turn.intent || !ctx.queryText) return false;
+        const [best] = await faqStore.matchQuestion(ctx.queryText, 1, ctx.locale);
+        return Boolean(best && best.confidence >= faqAnswerThreshold);
+    }
+
+    async function handle(ctx) {
+        const { queryText, parameters } = ctx;
+
+        if (ctx.isChip) {
+            const promptText = ctx.render('prompt');
+            await ctx.updateSession({ awaiting: 'faq' });
+
+            await ctx.saveConversation({
+                user_message: queryText,
+                response_text: promptText,
+                record_type: 'faq_start',
+                used_gemini: false
+            });
+
+            const faqEntries = await faqStore.listEntries(ctx.locale);
+            return reply(promptText, chips(faqEntries.map(entry => ({ text: entry.question }))));
+        }
+
+        // User typed question
+        const userName = validateName(extractName(parameters));
+        const userEmail = validateEmail(extractEmail(parameters));
+        const faqQuestion = extractFaqTopic(parameters, queryText);
+
+        const matches = await faqStore.matchQuestion(faqQuestion, 3, ctx.locale);
+        const bestMatch = matches[0] || null;
+        const matchScore = bestMatch ? bestMatch.confidence : null;
+
+        // Middle band: offer the closest questions instead of guessing
+        if (bestMatch && bestMatch.confidence < faqAnswerThreshold && bestMatch.confidence >= faqSuggestThreshold) {
+            const suggestText = ctx.render('suggest');
+            await ctx.updateSession({ awaiting: 'faq' });
+
+            await ctx.saveConversation({
+                user_name: userName,
+                user_email: userEmail,
+                user_message: faqQuestion,
+                response_text: suggestText,
+                record_type: 'faq_suggest',
+                used_gemini: false
+            });
+
+            return reply(suggestText, chips(matches.map(match => ({ text: match.entry.question }))));
+        }
+
+        let faqAnswer;
+        let usedGemini = false;
+        let matchedFaqId = null;
+        let llmInfo = { ...llmRecordFields(null), sources: null };
+        if (bestMatch && bestMatch.confidence >= faqAnswerThreshold) {
+            faqAnswer = bestMatch.entry.answer;
+            matchedFaqId = bestMatch.entry.id;
+        } else {
+            const passages = await knowledgeBase.retrieve(conversationMemory.searchText(ctx.session, faqQuestion));
+            const generated = await generateFallbackResponse(ctx.render('groundedPrompt', {
+                question: faqQuestion,
+                context: formatContext(passages)
+            }), ctx);
+            faqAnswer = generated.text;
+            usedGemini = true;
+            llmInfo = { ...llmRecordFields(generated), sources: passages };
+        }
+
+        await ctx.updateSession({ awaiting: null });
+
+        await ctx.saveConversation({
+            user_name: userName,
+            user_email: userEmail,
+            user_message: faqQuestion,
+            response_text: faqAnswer,
+            record_type: 'faq',
+            used_gemini: usedGemini,
+            ...llmInfo
+        });
+
+        await saveFaqRecord({
+            session_id: ctx.sessionId,
+            user_name: userName,
+            user_email: userEmail,
+            question_text: faqQuestion,
+            answer_text: faqAnswer,
+            channel: ctx.channel,
+            intent_name: ctx.intentName,
+            intent_confidence: ctx.intentConfidence,
+            used_gemini: usedGemini,
+            ...llmInfo,
+            faq_entry_id: matchedFaqId,
+            match_score: matchScore
+        });
+
+        if (helpCenterUrl) {
+            return reply(faqAnswer, link(ctx.render('helpCenterLink'), helpCenterUrl));
+        }
+        return reply(faqAnswer);
+    }
+
+    return { detect, handle };
+};
@@ -0,0 +1,172 @@
+'use strict';
+
+// Asks for a 1-5 rating with chips, then an optional comment. Each feedback
+// record is tagged with a local sentiment/topic classification, and low
+// ratings alert the support inbox. A name or email the NLU picked up that
+// fails validation is asked for again (or skipped) rather than stored.
+
+const { reply, chips } = require('../platforms/messages');
+const { createSlotFiller, detectControl } = require('../slotFilling');
+const { extractName, extractEmail, extractUserMessage, extractRating, checkName, checkEmail } = require('../extractors');
+const { classifyFeedback, parseRating } = require('../feedbackClassifier');
+
+const SKIP_WORDS = new Set(['skip', 'no', 'nope', 'no thanks', 'nothing', 'none', 'n/a']);
+
+function validRating(value) {
+    return typeof value === 'number' && value >= 1 && value <= 5 ? value : null;
+}
+
+module.exports = function createFeedbackFlow(config, deps) {
+    const { notifier, saveFeedbackRecord } = deps;
+    const { supportInbox, negativeFeedbackMaxRating } = deps.config;
+
+    // Chip labels and prompts follow the turn's locale (`ctx.config`)
+    function skipChips(ctx) {
+        return chips([{ text: ctx.config.skipChip || 'Skip' }]);
+    }
+
+    function contactSlots(ctx) {
+        const slots = ctx.config.slots || {};
+        return createSlotFiller([
+            { name: 'name', ...slots.name, check: checkName },
+            { name: 'email', ...slots.email, check: checkEmail }
+        ]);
+    }
+
+    function isSkip(ctx) {
+        const normalized = ctx.normalizedQuery.replace(/[.!]+$/, '');
+        const skipWords = (ctx.config.skipWords || []).map(word => word.toLowerCase());
+        return normalized === (ctx.config.skipChip || 'Skip').toLowerCase() ||
+            SKIP_WORDS.has(normalized) || skipWords.includes(normalized);
+    }
+
+    async function askRating(ctx, key) {
+        const prompt = ctx.render(key);
+        await ctx.updateSession({ awaiting: 'feedback', feedback: { stage: 'rating' } });
+        await ctx.saveConversation({
+            user_message: ctx.queryText,
+            response_text: prompt,
+            record_type: 'feedback_start',
+            used_gemini: false
+        });
+        return reply(prompt, chips((ctx.config.ratingChips || []).map(text => ({ text }))));
+    }
+
+    async function askComment(ctx, rating) {
+        const prompt = ctx.render('commentPrompt');
+        await ctx.updateSession({ awaiting: 'feedback', feedback: { stage: 'comment', rating } });
+        await ctx.saveConversation({
+            user_message: ctx.queryText,
+            response_text: prompt,
+            feedback_rating: rating,
+            record_type: 'feedback_rating',
+            used_gemini: false
+        });
+        return reply(prompt, skipChips(ctx));
+    }
+
+    // Validates the contact details before anything is saved; `contact` holds
+    // what was already settled on earlier turns (a skipped field is null).
+    async function finish(ctx, rating, comment, contact = {}, candidates = {}) {
+        // NLU parameters can linger across turns, so a field settled earlier is final
+        const extracted = { name: extractName(ctx.parameters), email: extractEmail(ctx.parameters) };
+        for (const field of Object.keys(contact)) delete extracted[field];
+        const slots = contactSlots(ctx);
+        const { values, invalid, reason } = slots.fill(contact, { ...extracted, ...candidates });
+        if (invalid) {
+            const prompt = slots.invalidPrompt(invalid, reason);
+            await ctx.updateSession({
+                awaiting: 'feedback',
+                feedback: { stage: 'contact', rating, comment, contact: values, asking: invalid.name }
+            });
+            await ctx.saveConversation({
+                user_message: ctx.queryText,
+                response_text: prompt,
+                feedback_rating: rating,
+                record_type: 'feedback_contact',
+                used_gemini: false
+            });
+            return reply(prompt, skipChips(ctx));
+        }
+
+        const userName = values.name || null;
+        const userEmail = values.email || null;
+        const tags = classifyFeedback({ rating, comment });
+
+        await ctx.updateSession({ awaiting: null, feedback: null });
+        const thankYou = ctx.render('thanks');
+
+        await ctx.saveConversation({
+            user_name: userName,
+            user_email: userEmail,
+            user_message: ctx.queryText,
+            response_text: thankYou,
+            feedback_rating: rating,
+            record_type: 'feedback',
+            used_gemini: false
+        });
+
+        await saveFeedbackRecord({
+            session_id: ctx.sessionId,
+            user_name: userName,
+            user_email: userEmail,
+            feedback_text: comment,
+            feedback_rating: rating,
+            sentiment: tags.sentiment,
+            sentiment_score: tags.sentiment_score,
+            topics: tags.topics,
+            channel: ctx.channel,
+            intent_name: ctx.intentName,
+            intent_confidence: ctx.intentConfidence,
+            used_gemini: false
+        });
+
+        if (rating !== null && rating <= negativeFeedbackMaxRating) {
+            notifier.notify('negative_feedback_alert', supportInbox, {
+                session_id: ctx.sessionId,
+                user_name: userName,
+                user_email: userEmail,
+                feedback_text: comment || '(no comment)',
+                feedback_rating: rating,
+                sentiment: tags.sentiment,
+                topics: tags.topics.join(', ') || '-',
+                channel: ctx.channel
+            });
+        }
+
+        return reply(thankYou);
+    }
+
+    async function handle(ctx) {
+        const { queryText, parameters } = ctx;
+        const state = ctx.isChip ? null : ctx.session.feedback || null;
+        const control = detectControl(queryText, ctx.controls);
+
+        if (state && control === 'cancel') {
+            await ctx.updateSession({ awaiting: null, feedback: null });
+            return reply(ctx.render('cancelled'));
+        }
+
+        // Opening turn; the NLU may already have pulled a rating out of it
+        if (!state || control === 'restart') {
+            const rating = ctx.isChip ? null : validRating(extractRating(parameters));
+            return rating ? askComment(ctx, rating) : askRating(ctx, 'ratingPrompt');
+        }
+
+        if (state.stage === 'rating') {
+            const rating = validRating(extractRating(parameters) ?? parseRating(queryText));
+            return rating ? askComment(ctx, rating) : askRating(ctx, 'ratingInvalid');
+        }
+
+        if (state.stage === 'contact') {
+            // Skipping leaves the field empty instead of asking again
+            const skipped = isSkip(ctx);
+            const contact = { ...state.contact, ...(skipped ? { [state.asking]: null } : {}) };
+            return finish(ctx, state.rating, state.comment, contact, skipped ? {} : { [state.asking]: queryText });
+        }
+
+        return finish(ctx, state.rating, isSkip(ctx) ? null : extractUserMessage(parameters, queryText));
+    }
+
+    return { handle };
+};
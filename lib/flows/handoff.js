@@ -0,0 +1,120 @@
+'use strict';
+
+// Human handoff. Users can ask for a person directly; the middleware below
+// also escalates after repeated fallbacks or a strongly negative message.
+// While an agent holds the session every turn lands here: the bot relays
+// whatever the agent has sent in the meantime, or says the message has been
+// passed on (an empty reply would let Dialogflow fall back to the intent's
+// static responses and talk over the agent).
+
+const { reply, text } = require('../platforms/messages');
+const { detectControl } = require('../slotFilling');
+const { classifySentiment } = require('../feedbackClassifier');
+const { renderTemplate } = require('../templates');
+
+const HANDOFF_PATTERN = /\b(talk|speak|chat|connect me)\b.*\b(human|person|agent|representative|someone real|real person|operator)\b|\b(human|live) agent\b|\breal person\b/i;
+
+module.exports = function createHandoffFlow(config, deps) {
+    const { agentQueue, notifier, locales } = deps;
+    const { supportInbox } = deps.config;
+    const triggers = config.triggers || {};
+    const ignoreFlows = new Set([config.name, ...(triggers.ignoreFlows || [])]);
+
+    async function escalate(ctx, reason) {
+        const row = await agentQueue.escalate(ctx, reason);
+        notifier.notify('handoff_alert', supportInbox, {
+            session_id: ctx.sessionId,
+            reason,
+            channel: ctx.channel,
+            message: ctx.queryText || '-'
+        });
+        return row;
+    }
+
+    // True while another flow is collecting answers, e.g. a support request
+    // whose issue text may well mention an agent or sound upset
+    function otherFlowAwaiting(ctx) {
+        return Boolean(ctx.session.awaiting) && ctx.session.awaiting !== config.awaiting;
+    }
+
+    function detect(ctx) {
+        return !otherFlowAwaiting(ctx) && HANDOFF_PATTERN.test(ctx.queryText);
+    }
+
+    async function handle(ctx) {
+        const handoff = ctx.session.handoff;
+
+        if (!handoff) {
+            await escalate(ctx, 'user_request');
+            const queued = ctx.render('queued');
+            await ctx.saveConversation({
+                user_message: ctx.queryText,
+                response_text: queued,
+                record_type: 'handoff',
+                used_gemini: false
+            });
+            return reply(queued);
+        }
+
+        // Still waiting for an agent: the user may change their mind
+        if (handoff.status === 'queued' && detectControl(ctx.queryText, ctx.controls) === 'cancel') {
+            await agentQueue.close(handoff.id, null);
+            const cancelled = ctx.render('cancelled');
+            await ctx.saveConversation({
+                user_message: ctx.queryText,
+                response_text: cancelled,
+                record_type: 'handoff',
+                used_gemini: false
+            });
+            return reply(cancelled);
+        }
+
+        // The after hook prepends anything the agent has already sent
+        const waiting = ctx.session.outbox && ctx.session.outbox.length ? null : ctx.render('waiting');
+        await ctx.saveConversation({
+            user_message: ctx.queryText,
+            response_text: waiting,
+            record_type: 'handoff',
+            used_gemini: false
+        });
+        await agentQueue.noteUserMessage(handoff.id, ctx.queryText);
+        return waiting ? reply(waiting) : reply();
+    }
+
+    // Runs after every turn: delivers queued agent messages and escalates
+    // sessions that keep failing or turn hostile.
+    async function after(ctx, response) {
+        if (ctx.forget) return response;
+        let messages = response ? response.messages : [];
+
+        // Not while an agent already has the session or another flow is mid-way
+        if (!ctx.session.awaiting && !ignoreFlows.has(ctx.flow.name)) {
+            const streak = ctx.fallbackReason ? (ctx.session.fallbackStreak || 0) + 1 : 0;
+            const sentiment = classifySentiment(ctx.queryText);
+            let reason = null;
+            if (triggers.fallbackStreak && streak >= triggers.fallbackStreak) {
+                reason = 'repeated_fallback';
+            } else if (typeof triggers.sentimentThreshold === 'number' && sentiment.score <= triggers.sentimentThreshold) {
+                reason = 'negative_sentiment';
+            }
+
+            if (reason) {
+                await escalate(ctx, reason);
+                // Runs for other flows' turns, so ctx.config is not this flow's
+                const replies = (locales ? locales.localizeFlow(config, ctx.locale) : config).replies;
+                messages = messages.concat(text(renderTemplate(replies.autoQueued)));
+            } else if (streak !== (ctx.session.fallbackStreak || 0)) {
+                await ctx.updateSession({ fallbackStreak: streak });
+            }
+        }
+
+        if (ctx.session.outbox && ctx.session.outbox.length) {
+            const outbox = await agentQueue.takeOutbox(ctx.sessionId);
+            messages = outbox.map(text).concat(messages);
+        }
+
+        return { messages };
+    }
+
+    return { detect, handle, middleware: { after } };
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+// Looks up a ticket's status by ID and the email it was opened with.
+
+const { reply } = require('../platforms/messages');
+const { createSlotFiller, detectControl } = require('../slotFilling');
+const { parseTicketCode } = require('../ticketStore');
+const { extractEmail, extractTicketCode, validateEmail } = require('../extractors');
+
+const VALIDATORS = {
+    code: parseTicketCode,
+    email: validateEmail
+};
+
+module.exports = function createTrackTicketFlow(config, deps) {
+    const { ticketStore } = deps;
+
+    // Any message carrying a ticket ID is a status lookup
+    function detect(ctx) {
+        return Boolean(parseTicketCode(ctx.queryText));
+    }
+
+    async function handle(ctx) {
+        const { queryText, parameters } = ctx;
+        const slots = createSlotFiller(Object.keys(VALIDATORS).map(name => ({
+            name,
+            ...ctx.config.slots[name],
+            validate: VALIDATORS[name]
+        })));
+        const trackState = ctx.isChip ? null : ctx.session.track || null;
+
+        if (trackState && detectControl(queryText, ctx.controls) === 'cancel') {
+            await ctx.updateSession({ awaiting: null, track: null });
+            return reply(ctx.render('cancelled'));
+        }
+
+        const asking = trackState?.asking;
+        const emailInText = queryText.match(/[^\s@]+@[^\s@]+\.[^\s@]+/);
+        const candidates = {
+            code: extractTicketCode(parameters) || (parseTicketCode(queryText) || asking === 'code' ? queryText : null),
+            email: extractEmail(parameters) || (emailInText ? emailInText[0] : asking === 'email' ? queryText : null)
+        };
+
+        const { values, invalid } = slots.fill(trackState?.values || {}, candidates);
+        const pendingSlot = invalid || slots.nextMissing(values);
+
+        if (pendingSlot) {
+            await ctx.updateSession({
+                awaiting: 'track',
+                track: { values, asking: pendingSlot.name }
+            });
+            return reply(invalid ? invalid.invalidPrompt : pendingSlot.prompt);
+        }
+
+        await ctx.updateSession({ awaiting: null, track: null });
+
+        const ticket = await ticketStore.getTicket(values.code);
+        let replyText;
+        if (!ticket || (ticket.user_email || '').toLowerCase() !== values.email) {
+            replyText = ctx.render('notFound', values);
+        } else {
+            replyText = ctx.render('status', {
+                ...ticket,
+                updated: ticket.updated_at ? new Date(ticket.updated_at).toUTCString() : 'recently',
+                owner: ticket.assignee ? ctx.render('assigned') : ''
+            });
+        }
+
+        await ctx.saveConversation({
+            user_email: values.email,
+            user_message: queryText,
+            response_text: replyText,
+            used_gemini: false,
+            record_type: 'ticket_status',
+            ticket_code: values.code
+        });
+
+        return reply(replyText);
+    }
+
+    return { detect, handle };
+};
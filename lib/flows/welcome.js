@@ -0,0 +1,17 @@
+'use strict';
+
+// Greeting plus the main menu chips from the (localized) flow config.
+
+const { reply, chips } = require('../platforms/messages');
+
+module.exports = function createWelcomeFlow() {
+    async function handle(ctx) {
+        return reply(
+            ctx.render('greeting'),
+            ctx.render('menuPrompt'),
+            chips(ctx.config.menu || [])
+        );
+    }
+
+    return { handle };
+};
@@ -0,0 +1,192 @@
+'use strict';
+
+// Retrieval layer for grounded LLM answers. FAQ entries and uploaded help
+// documents (Markdown or plain text) are split into passages and ranked with
+// BM25 for each query; the top passages become the prompt context.
+
+const { tokenize } = require('./faqMatcher');
+const { createBm25Index } = require('./bm25');
+
+const DOC_COLUMNS = 'id, title, format, content, created_at, updated_at';
+
+function formatFor(title, contentType) {
+    if (/markdown/i.test(contentType || '') || /\.(md|markdown)$/i.test(title || '')) return 'markdown';
+    return 'text';
+}
+
+// Packs paragraphs into passages of at most `chunkSize` characters; a single
+// oversized paragraph is cut on word boundaries.
+function packParagraphs(paragraphs, chunkSize) {
+    const chunks = [];
+    let current = '';
+    for (const paragraph of paragraphs) {
+        if (current && current.length + paragraph.length + 2 > chunkSize) {
+            chunks.push(current);
+            current = '';
+        }
+        if (paragraph.length <= chunkSize) {
+            current = current ? `${current}\n\n${paragraph}` : paragraph;
+            continue;
+        }
+        let rest = paragraph;
+        while (rest.length > chunkSize) {
+            const cut = rest.lastIndexOf(' ', chunkSize);
+            const at = cut > chunkSize / 2 ? cut : chunkSize;
+            chunks.push(rest.slice(0, at).trim());
+            rest = rest.slice(at).trim();
+        }
+        current = rest;
+    }
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+// Markdown documents are split on headings first so a passage never spans
+// two sections; the heading is kept in the passage title.
+function chunkDocument(doc, chunkSize) {
+    const sections = [];
+    let section = { heading: null, lines: [] };
+    for (const line of String(doc.content || '').split(/\r?\n/)) {
+        const heading = doc.format === 'markdown' && line.match(/^#{1,6}\s+(.*)$/);
+        if (heading) {
+            sections.push(section);
+            section = { heading: heading[1].trim(), lines: [] };
+        } else {
+            section.lines.push(line);
+        }
+    }
+    sections.push(section);
+
+    const passages = [];
+    for (const { heading, lines } of sections) {
+        const paragraphs = lines.join('\n')
+            .split(/\n\s*\n/)
+            .map(p => p.replace(/\s+/g, ' ').trim())
+            .filter(Boolean);
+        for (const text of packParagraphs(paragraphs, chunkSize)) {
+            passages.push({
+                id: `doc:${doc.id}#${passages.length + 1}`,
+                source: 'doc',
+                title: heading ? `${doc.title} › ${heading}` : doc.title,
+                text
+            });
+        }
+    }
+    return passages;
+}
+
+function faqPassages(entries) {
+    return entries.map(entry => ({
+        id: `faq:${entry.id}`,
+        source: 'faq',
+        title: entry.question,
+        text: `Q: ${entry.question}\nA: ${entry.answer}`
+    }));
+}
+
+function buildIndex(passages) {
+    const index = createBm25Index(passages.map(passage => tokenize(`${passage.title} ${passage.text}`)));
+
+    function search(query, limit) {
+        const queryTerms = new Set(tokenize(query));
+        if (!queryTerms.size) return [];
+        return passages
+            .map((passage, i) => ({ ...passage, score: Math.round(index.score(queryTerms, i) * 1000) / 1000 }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    return { size: index.size, search };
+}
+
+// Numbered context block for the prompt
+function formatContext(passages) {
+    if (!passages.length) return '(no relevant passages found)';
+    return passages.map((p, i) => `[${i + 1}] ${p.title}\n${p.text}`).join('\n\n');
+}
+
+function createKnowledgeBase({ storage, table, faqStore, chunkSize = 800, topK = 3, cacheTtlMs = 60000 }) {
+    let docs = null;
+    let docsLoadedAt = 0;
+    let index = null;
+    let indexedEntries = null;
+    let indexedDocs = null;
+
+    async function loadDocs() {
+        if (docs && Date.now() - docsLoadedAt < cacheTtlMs) return docs;
+        try {
+            docs = await storage.select(table, { columns: DOC_COLUMNS, orderBy: 'id', ascending: true });
+            docsLoadedAt = Date.now();
+        } catch (error) {
+            if (!docs) throw error;
+            console.error('❌ Help document refresh failed, serving stale index:', error);
+        }
+        return docs;
+    }
+
+    // The FAQ store hands back a new array after every reload, so comparing
+    // references is enough to know when to rebuild.
+    async function getIndex() {
+        const [entries, documents] = await Promise.all([faqStore.listEntries(), loadDocs()]);
+        if (!index || entries !== indexedEntries || documents !== indexedDocs) {
+            const passages = faqPassages(entries);
+            for (const doc of documents) passages.push(...chunkDocument(doc, chunkSize));
+            index = buildIndex(passages);
+            indexedEntries = entries;
+            indexedDocs = documents;
+            console.log(`📚 Knowledge base indexed (${index.size} passages)`);
+        }
+        return index;
+    }
+
+    function invalidate() {
+        docsLoadedAt = 0;
+    }
+
+    async function retrieve(query, limit = topK) {
+        if (!query) return [];
+        try {
+            return (await getIndex()).search(query, limit);
+        } catch (error) {
+            // Retrieval is best-effort; the prompt simply has no context.
+            console.error('❌ Knowledge base retrieval failed:', error);
+            return [];
+        }
+    }
+
+    async function listDocuments() {
+        const documents = await loadDocs();
+        return documents.map(doc => ({
+            id: doc.id,
+            title: doc.title,
+            format: doc.format,
+            size: String(doc.content || '').length,
+            passages: chunkDocument(doc, chunkSize).length,
+            created_at: doc.created_at || null,
+            updated_at: doc.updated_at || null
+        }));
+    }
+
+    async function addDocument({ title, content, contentType }) {
+        const now = new Date().toISOString();
+        const [doc] = await storage.insert(table, [{
+            title,
+            format: formatFor(title, contentType),
+            content,
+            updated_at: now
+        }]);
+        invalidate();
+        return { id: doc.id, title: doc.title, format: doc.format, passages: chunkDocument(doc, chunkSize).length };
+    }
+
+    async function deleteDocument(id) {
+        const deleted = await storage.remove(table, id);
+        invalidate();
+        return deleted;
+    }
+
+    return { retrieve, listDocuments, addDocument, deleteDocument, invalidate };
+}
+
+module.exports = { createKnowledgeBase, chunkDocument, formatContext };
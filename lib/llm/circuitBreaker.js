@@ -0,0 +1,40 @@
+'use strict';
+
+// Classic three-state breaker. After `failureThreshold` consecutive failures
+// it opens and rejects calls for `resetMs`; the next call is a half-open
+// trial whose outcome closes or re-opens it.
+
+function createCircuitBreaker({ failureThreshold, resetMs }) {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+
+    function canRequest() {
+        if (state === 'open' && Date.now() - openedAt >= resetMs) {
+            state = 'half-open';
+        }
+        return state !== 'open';
+    }
+
+    function recordSuccess() {
+        state = 'closed';
+        failures = 0;
+    }
+
+    function recordFailure() {
+        failures++;
+        if (state === 'half-open' || failures >= failureThreshold) {
+            if (state !== 'open') console.warn(`⚡ LLM circuit opened after ${failures} failure(s)`);
+            state = 'open';
+            openedAt = Date.now();
+        }
+    }
+
+    function status() {
+        return { state, failures };
+    }
+
+    return { canRequest, recordSuccess, recordFailure, status };
+}
+
+module.exports = { createCircuitBreaker };
@@ -0,0 +1,32 @@
+'use strict';
+
+// Builds the flows' `generateFallbackResponse(prompt, ctx)`: the session's
+// earlier turns as chat history, an instruction to answer in the turn's
+// language, and the locale's canned texts for when the LLM is unavailable.
+// Resolves to { text, provider, model, cached, promptTokens,
+// completionTokens, costUsd }; never throws.
+//
+// Only a turn with no history or summary goes through the response cache,
+// which every session shares: an answer shaped by one customer's earlier
+// turns must never be served to another.
+
+function createFallbackGenerator({ llm, conversationMemory, locales }) {
+    return async function generateFallbackResponse(prompt, ctx) {
+        const messages = conversationMemory.toMessages(ctx.session, prompt);
+        const cache = messages.length === 1;
+        if (ctx.locale && ctx.locale !== locales.defaultLocale) {
+            messages.unshift({
+                role: 'system',
+                content: `Always reply in ${locales.languageName(ctx.locale)} (${ctx.locale}), the language the customer is writing in.`
+            });
+        }
+        return llm.generate(messages, {
+            sessionId: ctx.sessionId,
+            cache,
+            locale: ctx.locale,
+            texts: locales.section('llm', ctx.locale)
+        });
+    };
+}
+
+module.exports = { createFallbackGenerator };
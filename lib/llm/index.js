@@ -0,0 +1,202 @@
+'use strict';
+
+// Provider-agnostic LLM client. `generate` takes a prompt string or a chat
+// transcript of { role: 'system' | 'user' | 'assistant', content } messages.
+//
+// In front of the provider sit a normalized-prompt response cache and
+// per-session / global call quotas. Each call gets a timeout and retries with
+// exponential backoff; a circuit breaker stops calling a failing provider and
+// the canned message is returned instead. Every result reports the provider,
+// model, token counts and estimated cost so they can be stored with the record.
+// An optional `redact(messages)` runs first, so masked text is all that is
+// cached or sent to the provider.
+
+const { createGeminiProvider } = require('./providers/gemini');
+const { createOpenAiCompatibleProvider } = require('./providers/openaiCompatible');
+const { createMockProvider } = require('./providers/mock');
+const { createCircuitBreaker } = require('./circuitBreaker');
+const { priceFor, estimateCost } = require('./pricing');
+const { createWindowCounter } = require('../rateLimit');
+const { createFallbackGenerator } = require('./fallback');
+
+const NO_USAGE = { cached: false, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+const CANNED = { provider: 'canned', model: null, degraded: true, ...NO_USAGE };
+
+function createProvider({ provider, model, apiKey, baseUrl, mockResponse }) {
+    switch (provider) {
+        case 'gemini':
+            return createGeminiProvider({ apiKey, model });
+        case 'openai':
+            return createOpenAiCompatibleProvider({ baseUrl, apiKey, model });
+        case 'mock':
+            return createMockProvider({ response: mockResponse });
+        case 'none':
+            return null;
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${provider}" (expected gemini, openai, mock or none)`);
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ~4 characters per token; used when the provider reports no usage
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+// The last message (for the flows, the grounded prompt: instructions,
+// retrieved context and the question) and the locale. The cache is shared by
+// every session, so callers sending earlier turns pass `cache: false`. Case,
+// punctuation and spacing differences should still hit the cache.
+function cacheKey(messages, locale) {
+    const prompt = messages[messages.length - 1].content;
+    return `${locale || ''}:${prompt.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim()}`;
+}
+
+async function withTimeout(provider, messages, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        return await Promise.race([
+            provider.generate(messages, { signal: controller.signal }),
+            new Promise((resolve, reject) => {
+                controller.signal.addEventListener('abort', () => reject(new Error(`LLM call timed out after ${timeoutMs}ms`)));
+            })
+        ]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+function createLlmClient({
+    provider: providerInstance,
+    timeoutMs = 2000,
+    maxRetries = 1,
+    retryBaseMs = 250,
+    breaker = { failureThreshold: 5, resetMs: 30000 },
+    cache: { ttlMs: cacheTtlMs = 3600000, maxEntries: cacheMaxEntries = 500 } = {},
+    quotas = {},
+    price = {},
+    unavailableText,
+    emptyText,
+    quotaText,
+    redact
+}) {
+    const circuit = createCircuitBreaker(breaker);
+    const responses = new Map();
+    const sessionQuota = quotas.session && createWindowCounter(quotas.session);
+    const globalQuota = quotas.global && createWindowCounter(quotas.global);
+    const modelPrice = priceFor(providerInstance && providerInstance.model, price);
+
+    function readCache(key) {
+        const hit = responses.get(key);
+        if (!hit) return null;
+        responses.delete(key);
+        if (hit.expiresAt <= Date.now()) return null;
+        responses.set(key, hit); // most recently used goes last
+        return hit;
+    }
+
+    function writeCache(key, result) {
+        responses.set(key, { text: result.text, provider: result.provider, model: result.model, expiresAt: Date.now() + cacheTtlMs });
+        while (responses.size > cacheMaxEntries) responses.delete(responses.keys().next().value);
+    }
+
+    // Returns which quota (if any) blocks another call
+    function checkQuota(sessionId) {
+        if (sessionQuota && sessionId && !sessionQuota.take(sessionId).allowed) return 'session';
+        if (globalQuota && !globalQuota.take('global').allowed) return 'global';
+        return null;
+    }
+
+    async function callProvider(messages, emptyReply) {
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            if (attempt > 0) await sleep(retryBaseMs * 2 ** (attempt - 1));
+            try {
+                const output = await withTimeout(providerInstance, messages, timeoutMs);
+                circuit.recordSuccess();
+                const text = output.text || emptyReply;
+                const promptTokens = output.promptTokens ?? estimateTokens(messages.map(m => m.content).join('\n'));
+                const completionTokens = output.completionTokens ?? estimateTokens(text);
+                return {
+                    text,
+                    provider: providerInstance.name,
+                    model: providerInstance.model,
+                    cached: false,
+                    promptTokens,
+                    completionTokens,
+                    costUsd: estimateCost(modelPrice, promptTokens, completionTokens)
+                };
+            } catch (error) {
+                console.error(`❌ ${providerInstance.name} call failed (attempt ${attempt + 1}/${maxRetries + 1}):`, error.message);
+                circuit.recordFailure();
+                if (!circuit.canRequest()) break;
+            }
+        }
+        return null;
+    }
+
+    // Options: `sessionId` for the per-session quota, `cache: false` to bypass
+    // the response cache (e.g. for summaries), `locale` the reply language
+    // (part of the cache key), `texts` to replace the canned replies
+    // ({ unavailableText, emptyText, quotaText }) for this call.
+    async function generate(input, { sessionId, cache = true, locale = null, texts = {} } = {}) {
+        const canned = { unavailableText, emptyText, quotaText, ...texts };
+        const raw = typeof input === 'string' ? [{ role: 'user', content: input }] : input;
+        const messages = redact ? redact(raw) : raw;
+        if (!providerInstance) {
+            console.warn('⚠️ No LLM provider configured; using default fallback message.');
+            return { text: canned.unavailableText, ...CANNED };
+        }
+
+        const key = cache && cacheKey(messages, locale);
+        const hit = key && readCache(key);
+        if (hit) {
+            console.log('🗃️ LLM response served from cache');
+            return { text: hit.text, provider: hit.provider, model: hit.model, ...NO_USAGE, cached: true };
+        }
+
+        if (!circuit.canRequest()) {
+            console.warn('⚡ LLM circuit open; using default fallback message.');
+            return { text: canned.unavailableText, ...CANNED };
+        }
+
+        const limited = checkQuota(sessionId);
+        if (limited) {
+            console.warn(`🚫 LLM ${limited} quota exhausted${sessionId ? ` (session ${sessionId})` : ''}`);
+            return { text: canned.quotaText, ...CANNED, provider: 'quota', quota: limited };
+        }
+
+        const result = await callProvider(messages, canned.emptyText);
+        if (!result) return { text: canned.unavailableText, ...CANNED };
+        if (key && result.text !== canned.emptyText) writeCache(key, result);
+        return result;
+    }
+
+    function status() {
+        return {
+            provider: providerInstance ? providerInstance.name : null,
+            model: providerInstance ? providerInstance.model : null,
+            circuit: circuit.status(),
+            cachedResponses: responses.size
+        };
+    }
+
+    return { generate, status };
+}
+
+// Columns stored on conversation/FAQ records for a generate() result
+function llmRecordFields(result) {
+    return {
+        llm_provider: result ? result.provider : null,
+        llm_model: result ? result.model : null,
+        llm_cached: result ? result.cached : null,
+        llm_prompt_tokens: result ? result.promptTokens : null,
+        llm_completion_tokens: result ? result.completionTokens : null,
+        llm_cost_usd: result ? result.costUsd : null
+    };
+}
+
+module.exports = { createLlmClient, createProvider, createFallbackGenerator, llmRecordFields, estimateTokens };
@@ -0,0 +1,28 @@
+'use strict';
+
+// Published list prices in USD per million tokens, used to estimate the cost
+// of each call. Unknown and self-hosted models cost 0 unless overridden with
+// LLM_PROMPT_COST_PER_1M / LLM_COMPLETION_COST_PER_1M.
+
+const PRICES = {
+    'gemini-1.5-flash': { prompt: 0.075, completion: 0.30 },
+    'gemini-1.5-pro': { prompt: 1.25, completion: 5.00 },
+    'gemini-2.0-flash': { prompt: 0.10, completion: 0.40 },
+    'gpt-4o-mini': { prompt: 0.15, completion: 0.60 },
+    'gpt-4o': { prompt: 2.50, completion: 10.00 }
+};
+
+function priceFor(model, override = {}) {
+    const base = PRICES[model] || { prompt: 0, completion: 0 };
+    return {
+        prompt: override.prompt ?? base.prompt,
+        completion: override.completion ?? base.completion
+    };
+}
+
+function estimateCost(price, promptTokens, completionTokens) {
+    const cost = (promptTokens * price.prompt + completionTokens * price.completion) / 1e6;
+    return Math.round(cost * 1e8) / 1e8;
+}
+
+module.exports = { priceFor, estimateCost };
@@ -0,0 +1,43 @@
+'use strict';
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Gemini wants alternating user/model turns and takes system text separately
+function toGeminiRequest(messages) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content);
+    const contents = [];
+    for (const message of messages) {
+        if (message.role === 'system') continue;
+        const role = message.role === 'assistant' ? 'model' : 'user';
+        const last = contents[contents.length - 1];
+        if (last && last.role === role) {
+            last.parts.push({ text: message.content });
+        } else {
+            contents.push({ role, parts: [{ text: message.content }] });
+        }
+    }
+    if (contents[0] && contents[0].role === 'model') contents.shift();
+    return {
+        contents,
+        ...(system.length ? { systemInstruction: { role: 'system', parts: [{ text: system.join('\n\n') }] } } : {})
+    };
+}
+
+function createGeminiProvider({ apiKey, model }) {
+    const client = new GoogleGenerativeAI(apiKey);
+
+    async function generate(messages, { signal }) {
+        const generativeModel = client.getGenerativeModel({ model });
+        const result = await generativeModel.generateContent(toGeminiRequest(messages), { signal });
+        const usage = result?.response?.usageMetadata;
+        return {
+            text: result?.response?.text()?.trim() || '',
+            promptTokens: usage?.promptTokenCount,
+            completionTokens: usage?.candidatesTokenCount
+        };
+    }
+
+    return { name: 'gemini', model, generate };
+}
+
+module.exports = { createGeminiProvider };
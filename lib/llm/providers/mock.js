@@ -0,0 +1,33 @@
+'use strict';
+
+// Deterministic provider for tests and offline development. `response` may
+// contain {{prompt}} (the last user message) and {{messages}} (how many chat
+// messages were sent); `failures` makes the first N calls throw.
+
+const { renderTemplate } = require('../../templates');
+
+function createMockProvider({ response = 'Mock answer to: {{prompt}}', failures = 0, delayMs = 0 } = {}) {
+    let remainingFailures = failures;
+
+    async function generate(messages, { signal }) {
+        if (delayMs) {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(resolve, delayMs);
+                signal?.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(new Error('aborted'));
+                });
+            });
+        }
+        if (remainingFailures > 0) {
+            remainingFailures--;
+            throw new Error('Mock provider failure');
+        }
+        const prompt = messages.filter(m => m.role === 'user').pop()?.content || '';
+        return { text: renderTemplate(response, { prompt, messages: messages.length }) };
+    }
+
+    return { name: 'mock', model: 'mock', generate };
+}
+
+module.exports = { createMockProvider };
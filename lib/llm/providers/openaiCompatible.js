@@ -0,0 +1,38 @@
+'use strict';
+
+// Any server exposing the OpenAI `/chat/completions` API: OpenAI itself,
+// Ollama (http://localhost:11434/v1), llama.cpp server, vLLM, ...
+
+const fetch = require('node-fetch');
+
+function createOpenAiCompatibleProvider({ baseUrl, apiKey, model }) {
+    const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    async function generate(messages, { signal }) {
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+            },
+            body: JSON.stringify({ model, messages }),
+            signal
+        });
+
+        if (!res.ok) {
+            const detail = await res.text().catch(() => '');
+            throw new Error(`HTTP ${res.status} from ${url}: ${detail.slice(0, 200)}`);
+        }
+
+        const json = await res.json();
+        return {
+            text: json?.choices?.[0]?.message?.content?.trim() || '',
+            promptTokens: json?.usage?.prompt_tokens,
+            completionTokens: json?.usage?.completion_tokens
+        };
+    }
+
+    return { name: 'openai-compatible', model, generate };
+}
+
+module.exports = { createOpenAiCompatibleProvider };
@@ -0,0 +1,121 @@
+'use strict';
+
+// Locale bundles for bot text. config/flows.json holds the default-locale
+// text; each bundle in the locales directory (es.json, ur.json, es-mx.json)
+// overrides parts of it:
+//   {
+//     "language": "Español",
+//     "flows": { "<flow name>": { replies, chips, slots, menu, ... } },
+//     "faq": { "<default-locale question>": { "question", "answer" } },
+//     "llm": { "unavailableText", "emptyText", "quotaText" },
+//     "controls": { "cancel": [...], "restart": [...] }
+//   }
+// A turn's `languageCode` resolves through a fallback chain (es-MX -> es ->
+// default), and more specific bundles win. Objects are merged key by key;
+// strings and arrays are replaced whole.
+
+const fs = require('fs');
+const path = require('path');
+
+function normalizeCode(code) {
+    return typeof code === 'string' ? code.trim().toLowerCase().replace(/_/g, '-') : '';
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function merge(base, override) {
+    if (!isPlainObject(base) || !isPlainObject(override)) return override === undefined ? base : override;
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = merge(base[key], value);
+    }
+    return merged;
+}
+
+function loadBundles(dir) {
+    const bundles = {};
+    if (!dir || !fs.existsSync(dir)) return bundles;
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json'))) {
+        bundles[normalizeCode(path.basename(file, '.json'))] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    }
+    return bundles;
+}
+
+function createLocales({ dir, defaultLocale = 'en' }) {
+    const fallback = normalizeCode(defaultLocale);
+    const bundles = loadBundles(dir);
+    const flowCache = new Map();
+    const faqCache = new Map();
+
+    // Locales to merge for `code`, most specific first, ending at the default
+    function chain(code) {
+        const parts = normalizeCode(code).split('-').filter(Boolean);
+        const locales = [];
+        for (let i = parts.length; i > 0; i--) {
+            const candidate = parts.slice(0, i).join('-');
+            if (bundles[candidate] && candidate !== fallback) locales.push(candidate);
+        }
+        return locales.concat(fallback);
+    }
+
+    // The locale a turn is answered in: the most specific bundle available
+    function resolve(code) {
+        return chain(code)[0];
+    }
+
+    function languageName(locale) {
+        const bundle = bundles[locale];
+        return (bundle && bundle.language) || locale;
+    }
+
+    // The flow definition with every bundle on the chain applied
+    function localizeFlow(definition, locale) {
+        if (!locale || locale === fallback) return definition;
+        const key = `${definition.name}\u0000${locale}`;
+        if (!flowCache.has(key)) {
+            const localized = chain(locale).slice(0, -1).reverse().reduce((acc, code) => (
+                merge(acc, (bundles[code].flows || {})[definition.name] || {})
+            ), definition);
+            flowCache.set(key, localized);
+        }
+        return flowCache.get(key);
+    }
+
+    // A top-level bundle section (e.g. `llm`) merged along the chain; empty
+    // for the default locale, whose text lives with the code that uses it
+    function section(name, locale) {
+        return chain(locale).slice(0, -1).reverse().reduce((acc, code) => merge(acc, bundles[code][name] || {}), {});
+    }
+
+    // Translations keyed by the lower-cased default-locale question
+    function faqTranslations(locale) {
+        if (!faqCache.has(locale)) {
+            const translations = {};
+            for (const code of chain(locale).slice(0, -1).reverse()) {
+                for (const [question, entry] of Object.entries(bundles[code].faq || {})) {
+                    translations[question.trim().toLowerCase()] = entry;
+                }
+            }
+            faqCache.set(locale, translations);
+        }
+        return faqCache.get(locale);
+    }
+
+    // An FAQ entry in `locale`; untranslated entries keep the default text
+    function localizeFaq(entry, locale) {
+        if (!locale || locale === fallback) return entry;
+        const translation = faqTranslations(locale)[String(entry.question).trim().toLowerCase()];
+        return translation ? { ...entry, question: translation.question || entry.question, answer: translation.answer || entry.answer } : entry;
+    }
+
+    function list() {
+        const codes = new Set([fallback, ...Object.keys(bundles)]);
+        return [...codes].map(code => ({ code, language: languageName(code), default: code === fallback }));
+    }
+
+    return { defaultLocale: fallback, resolve, chain, languageName, localizeFlow, localizeFaq, section, list };
+}
+
+module.exports = { createLocales, normalizeCode };
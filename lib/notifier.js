@@ -0,0 +1,125 @@
+'use strict';
+
+// Outbound email notifications. Every message is recorded in the
+// notifications table first, then delivered over SMTP; failed deliveries are
+// retried with exponential backoff by a background timer.
+
+const fs = require('fs');
+const nodemailer = require('nodemailer');
+const { renderTemplate } = require('./templates');
+const { maskEmail } = require('./redaction');
+
+function loadTemplates(templatesPath) {
+    const templates = JSON.parse(fs.readFileSync(templatesPath, 'utf8'));
+    console.log(`✅ Loaded ${Object.keys(templates).length} notification templates from ${templatesPath}`);
+    return templates;
+}
+
+function createNotifier({ storage, table, smtp, from, templatesPath, maxAttempts = 5, retryBaseMs = 30000, retryIntervalMs }) {
+    const templates = loadTemplates(templatesPath);
+    const transport = smtp.host ? nodemailer.createTransport({
+        host: smtp.host,
+        port: smtp.port,
+        secure: smtp.secure,
+        auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+    }) : null;
+
+    if (!transport) {
+        console.warn('⚠️ SMTP_HOST not set; notifications will be recorded but not sent.');
+    }
+
+    async function deliver(row) {
+        if (!transport) {
+            return storage.update(table, row.id, { status: 'skipped', updated_at: new Date().toISOString() });
+        }
+
+        const attempts = (row.attempts || 0) + 1;
+        try {
+            await transport.sendMail({ from, to: row.recipient, subject: row.subject, text: row.body });
+            console.log(`📧 Sent ${row.template} to ${maskEmail(row.recipient)}`);
+            return storage.update(table, row.id, {
+                status: 'sent',
+                attempts,
+                last_error: null,
+                sent_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            });
+        } catch (error) {
+            const exhausted = attempts >= maxAttempts;
+            const nextAttemptAt = new Date(Date.now() + retryBaseMs * 2 ** (attempts - 1)).toISOString();
+            console.error(`❌ Failed to send ${row.template} to ${maskEmail(row.recipient)} (attempt ${attempts}/${maxAttempts}):`, error.message);
+            return storage.update(table, row.id, {
+                status: exhausted ? 'dead' : 'failed',
+                attempts,
+                last_error: error.message,
+                next_attempt_at: exhausted ? null : nextAttemptAt,
+                updated_at: new Date().toISOString()
+            });
+        }
+    }
+
+    // Records the message and attempts delivery; never throws so callers can
+    // fire and forget from the webhook.
+    async function notify(templateName, to, data) {
+        const template = templates[templateName];
+        if (!template) {
+            console.error(`❌ Unknown notification template "${templateName}"`);
+            return null;
+        }
+        if (!to) {
+            console.warn(`⏭️ Skipping ${templateName}: no recipient configured.`);
+            return null;
+        }
+
+        try {
+            const [row] = await storage.insert(table, [{
+                template: templateName,
+                recipient: to,
+                // Who the message is about, so a data erasure can find it
+                session_id: (data && data.session_id) || null,
+                user_email: (data && data.user_email) || null,
+                subject: renderTemplate(template.subject, data),
+                body: renderTemplate(template.text, data),
+                status: 'queued',
+                attempts: 0,
+                last_error: null,
+                next_attempt_at: null,
+                sent_at: null
+            }]);
+            return await deliver(row);
+        } catch (error) {
+            console.error(`❌ Failed to queue ${templateName} notification:`, error);
+            return null;
+        }
+    }
+
+    async function retryFailed() {
+        const now = Date.now();
+        const rows = await storage.select(table, { where: { status: 'failed' } });
+        const due = rows.filter(row => !row.next_attempt_at || new Date(row.next_attempt_at).getTime() <= now);
+        for (const row of due) {
+            await deliver(row);
+        }
+        return due.length;
+    }
+
+    async function listNotifications({ status, limit = 100 } = {}) {
+        return storage.select(table, {
+            where: status ? { status } : undefined,
+            orderBy: 'created_at',
+            ascending: false,
+            limit
+        });
+    }
+
+    if (retryIntervalMs) {
+        const timer = setInterval(() => {
+            retryFailed().catch(error => console.error('❌ Notification retry failed:', error));
+        }, retryIntervalMs);
+        timer.unref();
+    }
+
+    return { notify, retryFailed, listNotifications };
+}
+
+module.exports = { createNotifier };
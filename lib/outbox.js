@@ -0,0 +1,238 @@
+'use strict';
+
+// Durable queue for the conversation, FAQ and feedback records the webhook
+// saves. `enqueue` appends the record to a local log file and returns at
+// once; a background worker inserts it through the storage adapter, retrying
+// failures with exponential backoff. After `maxAttempts` failures an entry
+// becomes a dead letter and stays in the log until an admin replays or
+// discards it.
+//
+// The log is append-only JSON lines, one event per line:
+//   { op: 'add', id, table, label, record, created_at }
+//   { op: 'fail', id, attempts, error, next_at, dead }
+//   { op: 'done', id } | { op: 'retry', id } | { op: 'drop', id }
+// and is replayed on startup, so records queued before a crash or restart
+// are still delivered. It is rewritten with only the live entries once it
+// grows past `compactAfter` lines, and emptied whenever nothing is left.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function createOutbox({
+    storage,
+    file,
+    maxAttempts = 8,
+    retryBaseMs = 1000,
+    retryMaxMs = 5 * 60 * 1000,
+    flushIntervalMs,
+    compactAfter = 1000,
+    onDelivered = () => {}
+}) {
+    // id -> { id, table, label, record, created_at, attempts, last_error, next_at, dead }
+    const entries = new Map();
+    let lines = 0;
+    let flushing = null;
+    let queued = null;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    function apply(event) {
+        const entry = entries.get(event.id);
+        if (event.op === 'add') {
+            entries.set(event.id, {
+                id: event.id,
+                table: event.table,
+                label: event.label,
+                record: event.record,
+                created_at: event.created_at,
+                attempts: 0,
+                last_error: null,
+                next_at: 0,
+                dead: false
+            });
+        } else if (!entry) {
+            return;
+        } else if (event.op === 'fail') {
+            Object.assign(entry, { attempts: event.attempts, last_error: event.error, next_at: event.next_at, dead: event.dead });
+        } else if (event.op === 'retry') {
+            Object.assign(entry, { attempts: 0, next_at: 0, dead: false });
+        } else if (event.op === 'done' || event.op === 'drop') {
+            entries.delete(event.id);
+        }
+    }
+
+    function append(event) {
+        fs.appendFileSync(file, `${JSON.stringify(event)}\n`);
+        lines++;
+        apply(event);
+    }
+
+    // The live entries as the shortest log that rebuilds them; written to a
+    // temp file first so a crash never leaves a half-written log behind
+    function compact() {
+        const events = [];
+        for (const entry of entries.values()) {
+            const { id, table, label, record, created_at } = entry;
+            events.push({ op: 'add', id, table, label, record, created_at });
+            if (entry.attempts) {
+                events.push({ op: 'fail', id, attempts: entry.attempts, error: entry.last_error, next_at: entry.next_at, dead: entry.dead });
+            }
+        }
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, events.map(event => `${JSON.stringify(event)}\n`).join(''));
+        fs.renameSync(tmp, file);
+        lines = events.length;
+    }
+
+    function load() {
+        let text = '';
+        try {
+            text = fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                apply(JSON.parse(line));
+            } catch (error) {
+                // A crash mid-append leaves at most a truncated last line
+                console.warn(`⚠️ Skipping unreadable outbox line in ${file}`);
+            }
+        }
+        compact();
+        const dead = [...entries.values()].filter(entry => entry.dead).length;
+        if (entries.size) {
+            console.log(`📤 Outbox: ${entries.size - dead} record(s) waiting, ${dead} dead letter(s)`);
+        }
+    }
+
+    // Queues a record for `table`; `label` names it in logs and events. The
+    // record keeps the time it was queued, however late it is delivered.
+    function enqueue(table, record, label = table) {
+        const id = crypto.randomUUID();
+        const createdAt = new Date().toISOString();
+        append({ op: 'add', id, table, label, record: { created_at: createdAt, ...record }, created_at: createdAt });
+        flush().catch(error => console.error('❌ Outbox flush failed:', error));
+        return id;
+    }
+
+    async function deliver(entry) {
+        let inserted;
+        try {
+            [inserted] = await storage.insert(entry.table, [entry.record]);
+        } catch (error) {
+            const attempts = entry.attempts + 1;
+            const dead = attempts >= maxAttempts;
+            const delay = Math.min(retryMaxMs, retryBaseMs * 2 ** (attempts - 1));
+            append({ op: 'fail', id: entry.id, attempts, error: error.message, next_at: dead ? null : Date.now() + delay, dead });
+            if (dead) {
+                console.error(`❌ ${entry.label} record moved to the dead-letter list after ${attempts} attempts:`, error.message);
+            } else {
+                console.error(`❌ Failed to store ${entry.label.toLowerCase()} (attempt ${attempts}/${maxAttempts}, retrying in ${delay}ms):`, error.message);
+            }
+            return;
+        }
+
+        if (entries.get(entry.id) !== entry) {
+            // Purged by an erasure while the insert was in flight
+            if (inserted) await storage.remove(entry.table, inserted.id);
+            return;
+        }
+        append({ op: 'done', id: entry.id });
+        onDelivered(entry, inserted);
+    }
+
+    async function deliverDue() {
+        const now = Date.now();
+        const due = [...entries.values()].filter(entry => !entry.dead && entry.next_at <= now);
+        for (const entry of due) {
+            // Skip entries purged while an earlier insert was in flight
+            if (entries.get(entry.id) === entry) await deliver(entry);
+        }
+
+        if (!entries.size && lines) {
+            fs.writeFileSync(file, '');
+            lines = 0;
+        } else if (lines > compactAfter) {
+            compact();
+        }
+    }
+
+    // Delivers every entry that is due. A call made while a run is going
+    // waits for one more run after it, so nothing it queued is left behind.
+    function flush() {
+        if (!flushing) {
+            flushing = deliverDue().finally(() => {
+                flushing = null;
+            });
+            return flushing;
+        }
+        if (!queued) {
+            queued = flushing.catch(() => {}).then(() => {
+                queued = null;
+                return flush();
+            });
+        }
+        return queued;
+    }
+
+    function summarize(entry) {
+        const { id, table, label, record, created_at, attempts, last_error, next_at } = entry;
+        return { id, table, label, record, created_at, attempts, last_error, next_attempt_at: next_at ? new Date(next_at).toISOString() : null };
+    }
+
+    function stats() {
+        const all = [...entries.values()];
+        const pending = all.filter(entry => !entry.dead);
+        return {
+            pending: pending.length,
+            dead: all.length - pending.length,
+            oldest_pending_at: pending.length ? pending[0].created_at : null
+        };
+    }
+
+    function listDeadLetters() {
+        return [...entries.values()].filter(entry => entry.dead).map(summarize);
+    }
+
+    // Puts dead letters back in the queue with a fresh attempt count and
+    // waits for the flush; resolves to { replayed, delivered, dead }
+    async function replay(ids) {
+        const targets = (ids || [...entries.keys()]).map(id => entries.get(id)).filter(entry => entry && entry.dead);
+        for (const entry of targets) append({ op: 'retry', id: entry.id });
+        if (targets.length) await flush();
+        const delivered = targets.filter(entry => !entries.has(entry.id)).length;
+        return { replayed: targets.length, delivered, dead: targets.length - delivered };
+    }
+
+    function discard(id) {
+        const entry = entries.get(id);
+        if (!entry || !entry.dead) return false;
+        append({ op: 'drop', id });
+        return true;
+    }
+
+    // Drops queued and dead records matching `predicate` (data erasure, so
+    // they are not written after the stored copies are gone); returns them
+    function purge(predicate) {
+        const purged = [...entries.values()].filter(entry => predicate(entry.record, entry.table));
+        for (const entry of purged) append({ op: 'drop', id: entry.id });
+        return purged.map(entry => entry.record);
+    }
+
+    load();
+
+    if (flushIntervalMs) {
+        const timer = setInterval(() => {
+            flush().catch(error => console.error('❌ Outbox flush failed:', error));
+        }, flushIntervalMs);
+        timer.unref();
+    }
+    flush().catch(error => console.error('❌ Outbox flush failed:', error));
+
+    return { enqueue, flush, stats, listDeadLetters, replay, discard, purge };
+}
+
+module.exports = { createOutbox };
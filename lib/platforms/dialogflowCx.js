@@ -0,0 +1,70 @@
+'use strict';
+
+// Dialogflow CX webhook: `intentInfo`/`sessionInfo` in, `fulfillmentResponse`
+// out. CX wraps parameter values as { originalValue, resolvedValue }.
+
+const { renderMessages } = require('./richContent');
+const { assertValid } = require('./schema');
+
+function unwrapParameters(parameters) {
+    const unwrapped = {};
+    for (const [key, value] of Object.entries(parameters || {})) {
+        unwrapped[key] = value && typeof value === 'object' && 'resolvedValue' in value ? value.resolvedValue : value;
+    }
+    return unwrapped;
+}
+
+const schema = {
+    type: 'object',
+    required: ['sessionInfo'],
+    properties: {
+        sessionInfo: {
+            type: 'object',
+            required: ['session'],
+            properties: {
+                session: { type: 'string', minLength: 1, maxLength: 500 },
+                parameters: { type: 'object' }
+            }
+        },
+        text: { type: 'string', maxLength: 4000 },
+        transcript: { type: 'string', maxLength: 4000 },
+        intentInfo: {
+            type: 'object',
+            properties: {
+                displayName: { type: 'string' },
+                confidence: { type: 'number' },
+                parameters: { type: 'object' }
+            }
+        },
+        fulfillmentInfo: { type: 'object', properties: { tag: { type: 'string' } } },
+        languageCode: { type: 'string' }
+    }
+};
+
+function parseRequest(body) {
+    assertValid(body, schema, 'Dialogflow CX');
+    const intentInfo = body.intentInfo || {};
+    return {
+        platform: 'dialogflow-cx',
+        sessionId: body.sessionInfo.session,
+        text: body.text || body.transcript || '',
+        intent: intentInfo.displayName || body.fulfillmentInfo?.tag || null,
+        confidence: intentInfo.confidence,
+        parameters: {
+            ...unwrapParameters(body.sessionInfo?.parameters),
+            ...unwrapParameters(intentInfo.parameters)
+        },
+        languageCode: body.languageCode || null,
+        channel: 'dialogflow-cx'
+    };
+}
+
+function renderResponse(response) {
+    return {
+        fulfillmentResponse: {
+            messages: renderMessages(response.messages)
+        }
+    };
+}
+
+module.exports = { schema, parseRequest, renderResponse };
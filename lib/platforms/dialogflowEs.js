@@ -0,0 +1,47 @@
+'use strict';
+
+// Dialogflow ES fulfillment: `queryResult` in, `fulfillmentMessages` out.
+
+const { renderMessages } = require('./richContent');
+const { assertValid } = require('./schema');
+
+const schema = {
+    type: 'object',
+    required: ['session', 'queryResult'],
+    properties: {
+        session: { type: 'string', minLength: 1, maxLength: 500 },
+        responseId: { type: 'string' },
+        queryResult: {
+            type: 'object',
+            properties: {
+                queryText: { type: 'string', maxLength: 4000 },
+                intent: { type: 'object', properties: { displayName: { type: 'string' } } },
+                intentDetectionConfidence: { type: 'number' },
+                parameters: { type: 'object' },
+                languageCode: { type: 'string' }
+            }
+        },
+        originalDetectIntentRequest: { type: 'object', properties: { source: { type: 'string' } } }
+    }
+};
+
+function parseRequest(body) {
+    assertValid(body, schema, 'Dialogflow ES');
+    const { queryResult } = body;
+    return {
+        platform: 'dialogflow-es',
+        sessionId: body.session,
+        text: queryResult.queryText || '',
+        intent: queryResult.intent?.displayName || null,
+        confidence: queryResult.intentDetectionConfidence,
+        parameters: queryResult.parameters || {},
+        languageCode: queryResult.languageCode || null,
+        channel: body.originalDetectIntentRequest?.source || 'dialogflow'
+    };
+}
+
+function renderResponse(response) {
+    return { fulfillmentMessages: renderMessages(response.messages) };
+}
+
+module.exports = { schema, parseRequest, renderResponse };
@@ -0,0 +1,18 @@
+'use strict';
+
+// Request/response adapters, one per platform. Each checks a raw webhook body
+// against its schema (see ./schema) and turns it into a normalized turn:
+//   { platform, sessionId, text, intent, confidence, parameters, languageCode, channel }
+// and renders a `{ messages }` reply (see ./messages) back into its format.
+// `createWebhookHandler` (see ./webhook) serves a platform route with an adapter.
+
+module.exports = {
+    platforms: {
+        dialogflowEs: require('./dialogflowEs'),
+        dialogflowCx: require('./dialogflowCx'),
+        kommunicate: require('./kommunicate'),
+        rest: require('./rest')
+    },
+    messages: require('./messages'),
+    createWebhookHandler: require('./webhook').createWebhookHandler
+};
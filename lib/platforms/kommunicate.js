@@ -0,0 +1,103 @@
+'use strict';
+
+// Kommunicate custom bot webhook, used by the widget on index.html. Replies
+// are an array of messages; rich elements use Kommunicate rich templates
+// (6 = quick replies, 3 = link buttons, 10 = cards).
+
+const fetch = require('node-fetch');
+const { assertValid } = require('./schema');
+
+const ID = { type: ['string', 'number'], minLength: 1, maxLength: 200 };
+
+const schema = {
+    type: 'object',
+    required: ['message'],
+    requireOneOf: ['groupId', 'from'],
+    properties: {
+        groupId: ID,
+        from: ID,
+        message: { type: 'string', maxLength: 4000 },
+        metadata: {
+            type: 'object',
+            properties: {
+                intent: { type: 'string' },
+                parameters: { type: 'object' },
+                languageCode: { type: 'string' }
+            }
+        }
+    }
+};
+
+function parseRequest(body) {
+    assertValid(body, schema, 'Kommunicate');
+    const metadata = body.metadata || {};
+    return {
+        platform: 'kommunicate',
+        // Without a conversation, the sender's id keys the session
+        sessionId: body.groupId ? `kommunicate:${body.groupId}` : `kommunicate-user:${body.from}`,
+        text: body.message || '',
+        intent: metadata.intent || null,
+        confidence: undefined,
+        parameters: metadata.parameters || {},
+        languageCode: metadata.languageCode || null,
+        channel: 'kommunicate'
+    };
+}
+
+function richTemplate(templateId, payload) {
+    return { message: '', platform: 'kommunicate', metadata: { contentType: '300', templateId, payload } };
+}
+
+function renderMessage(message) {
+    if (message.type === 'text') {
+        return { message: message.text };
+    }
+    if (message.type === 'chips') {
+        return richTemplate('6', message.options.map(option => ({ title: option.text, message: option.text })));
+    }
+    if (message.type === 'link') {
+        return richTemplate('3', [{ type: 'link', url: message.url, name: message.text, openLinkInNewTab: true }]);
+    }
+    if (message.type === 'card') {
+        return richTemplate('10', [{
+            title: message.title,
+            subtitle: message.subtitle || '',
+            ...(message.imageUrl ? { header: { imgSrc: message.imageUrl } } : {}),
+            buttons: message.buttons.map(button => ({
+                name: button.text,
+                action: { type: 'link', payload: { url: button.url } }
+            }))
+        }]);
+    }
+    return null;
+}
+
+function renderResponse(response) {
+    return response.messages.map(renderMessage).filter(Boolean);
+}
+
+// Messages sent outside a webhook turn (live-agent replies) go through the
+// Kommunicate send-message API as the bot user. That addresses a conversation
+// (groupId), so sender-keyed sessions get theirs on the next turn instead.
+function createPusher({ apiKey, botId, baseUrl = 'https://services.kommunicate.io' }) {
+    const url = `${baseUrl.replace(/\/+$/, '')}/rest/ws/message/v2/send`;
+
+    return async function push(sessionId, texts) {
+        const match = /^kommunicate:(.+)$/.exec(String(sessionId));
+        if (!match) throw new Error(`Session ${sessionId} has no Kommunicate conversation to push to`);
+        const groupId = match[1];
+        for (const message of texts) {
+            const res = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Api-Key': apiKey },
+                body: JSON.stringify({ groupId, message, fromUserName: botId })
+            });
+            if (!res.ok) {
+                const detail = await res.text().catch(() => '');
+                throw new Error(`HTTP ${res.status} from ${url}: ${detail.slice(0, 200)}`);
+            }
+        }
+    };
+}
+
+module.exports = { schema, parseRequest, renderResponse, createPusher };
@@ -0,0 +1,36 @@
+'use strict';
+
+// Platform-neutral reply model. Flows return `{ messages: [...] }` built from
+// these helpers and each platform adapter renders them in its own format.
+//   text:  { type: 'text', text }
+//   chips: { type: 'chips', options: [{ text, imageUrl? }] }
+//   card:  { type: 'card', title, subtitle?, imageUrl?, buttons?: [{ text, url }] }
+//   link:  { type: 'link', text, url }
+
+function text(value) {
+    return { type: 'text', text: value };
+}
+
+function chips(options) {
+    return { type: 'chips', options };
+}
+
+function card({ title, subtitle, imageUrl, buttons }) {
+    return { type: 'card', title, subtitle: subtitle || null, imageUrl: imageUrl || null, buttons: buttons || [] };
+}
+
+function link(label, url) {
+    return { type: 'link', text: label, url };
+}
+
+function reply(...messages) {
+    return { messages: messages.map(m => (typeof m === 'string' ? text(m) : m)) };
+}
+
+// First text message of a reply, used where a platform wants a plain string
+function primaryText(response) {
+    const first = response.messages.find(m => m.type === 'text');
+    return first ? first.text : '';
+}
+
+module.exports = { text, chips, card, link, reply, primaryText };
@@ -0,0 +1,73 @@
+'use strict';
+
+// Plain JSON chat API:
+//   POST /api/chat { sessionId, message, intent?, parameters?, languageCode? }
+//   -> { sessionId, messages: [...] } using the neutral message model.
+//   GET /api/chat/:sessionId/messages -> live-agent replies sent since
+// Session ids are client-chosen, so they are namespaced to keep them from
+// landing in another platform's session.
+
+const { assertValid } = require('./schema');
+const { reply } = require('./messages');
+
+const SESSION_PREFIX = 'rest:';
+
+// Client session id <-> session store key
+function sessionKey(clientId) {
+    return `${SESSION_PREFIX}${clientId}`;
+}
+
+function clientSessionId(key) {
+    return key.startsWith(SESSION_PREFIX) ? key.slice(SESSION_PREFIX.length) : key;
+}
+
+const ID = { type: ['string', 'number'], minLength: 1, maxLength: 200 };
+
+const schema = {
+    type: 'object',
+    required: ['message'],
+    requireOneOf: ['sessionId', 'session_id'],
+    properties: {
+        sessionId: ID,
+        session_id: ID,
+        message: { type: 'string', maxLength: 4000 },
+        intent: { type: 'string', maxLength: 200 },
+        parameters: { type: 'object' },
+        languageCode: { type: 'string', maxLength: 35 },
+        channel: { type: 'string', maxLength: 50 }
+    }
+};
+
+function parseRequest(body) {
+    assertValid(body, schema, 'chat');
+    const sessionId = body.sessionId || body.session_id;
+    return {
+        platform: 'rest',
+        sessionId: sessionKey(sessionId),
+        text: body.message,
+        intent: body.intent || null,
+        confidence: undefined,
+        parameters: body.parameters || {},
+        languageCode: body.languageCode || null,
+        channel: body.channel || 'api'
+    };
+}
+
+function renderResponse(response, turn) {
+    return { sessionId: clientSessionId(turn.sessionId), messages: response.messages };
+}
+
+// Route handler for polling agent replies; only ever reads REST sessions
+function createMessagesHandler(agentQueue) {
+    return async(req, res) => {
+        try {
+            const texts = await agentQueue.takeOutbox(sessionKey(req.params.sessionId));
+            return res.json({ sessionId: req.params.sessionId, messages: reply(...texts).messages });
+        } catch (err) {
+            console.error('❌ Error reading chat outbox:', err);
+            return res.status(500).json({ error: 'Failed to read messages' });
+        }
+    };
+}
+
+module.exports = { schema, parseRequest, renderResponse, sessionKey, createMessagesHandler };
@@ -0,0 +1,50 @@
+'use strict';
+
+// Dialogflow Messenger `richContent` rendering shared by the ES and CX
+// adapters. Consecutive rich elements are grouped into one card stack.
+
+function richElement(message) {
+    if (message.type === 'chips') {
+        return [{
+            type: 'chips',
+            options: message.options.map(option => ({
+                text: option.text,
+                ...(option.imageUrl ? { image: { src: { rawUrl: option.imageUrl } } } : {})
+            }))
+        }];
+    }
+    if (message.type === 'card') {
+        const elements = [{
+            type: 'info',
+            title: message.title,
+            ...(message.subtitle ? { subtitle: message.subtitle } : {}),
+            ...(message.imageUrl ? { image: { src: { rawUrl: message.imageUrl } } } : {})
+        }];
+        for (const button of message.buttons) {
+            elements.push({ type: 'button', icon: { type: 'chevron_right' }, text: button.text, link: button.url });
+        }
+        return elements;
+    }
+    if (message.type === 'link') {
+        return [{ type: 'button', icon: { type: 'launch' }, text: message.text, link: message.url }];
+    }
+    return null;
+}
+
+// Returns a list of { text } / { payload } entries in message order
+function renderMessages(messages) {
+    const rendered = [];
+    for (const message of messages) {
+        if (message.type === 'text') {
+            rendered.push({ text: { text: [message.text] } });
+            continue;
+        }
+        const element = richElement(message);
+        if (element) {
+            rendered.push({ payload: { richContent: [element] } });
+        }
+    }
+    return rendered;
+}
+
+module.exports = { renderMessages };
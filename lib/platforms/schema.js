@@ -0,0 +1,75 @@
+'use strict';
+
+// Structural checks for incoming webhook bodies, so a malformed request is
+// rejected with a 400 instead of running the flows with missing fields.
+// A schema is a plain object:
+//   { type, required?, requireOneOf?, properties?, items?, minLength?, maxLength? }
+// where `type` is object, string, number, boolean or array (or a list of
+// them). Optional properties may be absent or null; `maxLength` also caps
+// array lengths and `items` is the schema for each element.
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function present(value) {
+    return value !== undefined && value !== null;
+}
+
+// Returns every problem found as { path, message }; empty when valid
+function validate(value, schema, path = 'body', errors = []) {
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual)) {
+        errors.push({ path, message: `must be ${types.join(' or ')}` });
+        return errors;
+    }
+
+    if (actual === 'string') {
+        if (schema.minLength && value.trim().length < schema.minLength) {
+            errors.push({ path, message: 'must not be empty' });
+        }
+        if (schema.maxLength && value.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        }
+    }
+
+    if (actual === 'array') {
+        if (schema.minLength && value.length < schema.minLength) {
+            errors.push({ path, message: 'must not be empty' });
+        }
+        if (schema.maxLength && value.length > schema.maxLength) {
+            errors.push({ path, message: `must have at most ${schema.maxLength} items` });
+        }
+        if (schema.items) value.forEach((item, index) => validate(item, schema.items, `${path}[${index}]`, errors));
+    }
+
+    if (actual === 'object') {
+        for (const key of schema.required || []) {
+            if (!present(value[key])) errors.push({ path: `${path}.${key}`, message: 'is required' });
+        }
+        if (schema.requireOneOf && !schema.requireOneOf.some(key => present(value[key]))) {
+            errors.push({ path, message: `must include one of ${schema.requireOneOf.join(', ')}` });
+        }
+        for (const [key, property] of Object.entries(schema.properties || {})) {
+            if (present(value[key])) validate(value[key], property, `${path}.${key}`, errors);
+        }
+    }
+
+    return errors;
+}
+
+// Throws a TypeError carrying the problems as `details` (see mountPlatform)
+function assertValid(body, schema, label) {
+    const details = validate(body, schema);
+    if (details.length) {
+        const error = new TypeError(`Invalid ${label} request`);
+        error.details = details;
+        throw error;
+    }
+    return body;
+}
+
+module.exports = { validate, assertValid };
@@ -0,0 +1,34 @@
+'use strict';
+
+// Express handler shared by every platform route: parses the body with the
+// adapter, runs the flows and renders the reply. A body that fails the
+// adapter's schema gets a 400 `{ error, details }` (see ./schema).
+
+const { reply } = require('./messages');
+
+const ERROR_TEXT = 'Something went wrong. Please try again later.';
+
+function createWebhookHandler(route, adapter, runFlows) {
+    return async(req, res) => {
+        console.log(`👉 Request received on ${route}`);
+
+        let turn;
+        try {
+            turn = adapter.parseRequest(req.body || {});
+        } catch (err) {
+            const details = err.details || [];
+            console.warn(`⚠️ Rejected request on ${route}: ${details.map(d => `${d.path} ${d.message}`).join('; ') || err.message}`);
+            return res.status(400).json({ error: err.message, details });
+        }
+
+        try {
+            const response = await runFlows(turn);
+            return res.json(adapter.renderResponse(response, turn));
+        } catch (err) {
+            console.error('❌ Webhook Error:', err);
+            return res.json(adapter.renderResponse(reply(ERROR_TEXT), turn));
+        }
+    };
+}
+
+module.exports = { createWebhookHandler };
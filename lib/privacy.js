@@ -0,0 +1,218 @@
+'use strict';
+
+// Data protection jobs: erasing everything held about an email address or a
+// session (user "delete my data" requests and the admin endpoint), and the
+// retention job that deletes or anonymizes old records. Every run is written
+// to the audit table with per-table counts, never with the erased data.
+// Records still waiting in the write outbox are dropped along with the rest.
+
+const { redactFields, maskEmail, maskSessionId } = require('./redaction');
+const { selectAllPages } = require('./storage/paging');
+
+const RETENTION_MODES = ['anonymize', 'delete'];
+const TEXT_FIELDS = ['user_message', 'response_text', 'question_text', 'answer_text', 'feedback_text'];
+const PAGE_SIZE = 500;
+
+function createPrivacy({ storage, tables, auditTable, sessionStore, outbox = null, retentionDays = 0, retentionMode = 'anonymize', retentionIntervalMs }) {
+    if (!RETENTION_MODES.includes(retentionMode)) {
+        throw new Error(`Unknown RETENTION_MODE "${retentionMode}" (expected ${RETENTION_MODES.join(' or ')})`);
+    }
+
+    // Record tables keyed by session_id and user_email
+    const recordTables = [tables.conversations, tables.faqs, tables.feedback, tables.handoffs];
+
+    async function audit(entry) {
+        try {
+            const [row] = await storage.insert(auditTable, [entry]);
+            return row;
+        } catch (error) {
+            console.error('❌ Failed to write privacy audit log:', error);
+            return null;
+        }
+    }
+
+    async function removeAll(table, where) {
+        let removed = 0;
+        while (true) {
+            const rows = await storage.select(table, { columns: 'id', where, limit: PAGE_SIZE });
+            for (const row of rows) {
+                if (await storage.remove(table, row.id)) removed++;
+            }
+            if (rows.length < PAGE_SIZE) return removed;
+        }
+    }
+
+    async function removeTickets(where, counts) {
+        const tickets = await storage.select(tables.tickets, { columns: 'id', where });
+        for (const ticket of tickets) {
+            counts[tables.ticketComments] = (counts[tables.ticketComments] || 0) +
+                await removeAll(tables.ticketComments, { ticket_id: ticket.id });
+            if (await storage.remove(tables.tickets, ticket.id)) {
+                counts[tables.tickets] = (counts[tables.tickets] || 0) + 1;
+            }
+        }
+    }
+
+    // Notifications sent to the user, or to the support inbox about them
+    // (alerts carry their name, email and message). Rows from before
+    // notifications recorded session_id / user_email are found by content.
+    async function removeNotifications(sessionIds, email) {
+        const table = tables.notifications;
+        const ids = new Set();
+        const lookups = [...sessionIds].map(sessionId => ({ session_id: sessionId }));
+        if (email) lookups.push({ recipient: email }, { user_email: email });
+        for (const where of lookups) {
+            for (const row of await selectAllPages(storage, table, { columns: 'id', where })) ids.add(row.id);
+        }
+
+        for (const term of [email, ...sessionIds].filter(Boolean)) {
+            const pattern = new RegExp(`(^|[\\s:(<"])${escapeRegExp(term)}($|[\\s)>".,])`, 'i');
+            const rows = await selectAllPages(storage, table, {
+                columns: 'id, subject, body',
+                where: { session_id: null, user_email: null },
+                search: { term, columns: ['subject', 'body'] }
+            });
+            for (const row of rows) {
+                if (pattern.test(row.subject || '') || pattern.test(row.body || '')) ids.add(row.id);
+            }
+        }
+
+        let removed = 0;
+        for (const id of ids) {
+            if (await storage.remove(table, id)) removed++;
+        }
+        return removed;
+    }
+
+    async function eraseSessions(sessionIds, counts) {
+        for (const sessionId of sessionIds) {
+            for (const table of recordTables) {
+                counts[table] = (counts[table] || 0) + await removeAll(table, { session_id: sessionId });
+            }
+            await removeTickets({ session_id: sessionId }, counts);
+            await sessionStore.remove(sessionId);
+        }
+    }
+
+    // Sessions the email appears in are erased whole, so turns recorded
+    // before the user gave their address go too.
+    async function erase({ email, sessionId, actor, source }) {
+        const counts = {};
+        const sessionIds = new Set(sessionId ? [sessionId] : []);
+        const held = outbox ? outbox.purge(record => (
+            (email && record.user_email === email) || (sessionId && record.session_id === sessionId)
+        )) : [];
+        for (const record of held) if (record.session_id) sessionIds.add(record.session_id);
+
+        if (email) {
+            for (const table of recordTables) {
+                const rows = await selectAllPages(storage, table, { columns: 'id, session_id', where: { user_email: email } });
+                for (const row of rows) if (row.session_id) sessionIds.add(row.session_id);
+            }
+        }
+        if (outbox) {
+            held.push(...outbox.purge(record => sessionIds.has(record.session_id)));
+            counts.outbox = held.length;
+        }
+        counts[tables.notifications] = await removeNotifications(sessionIds, email);
+        await eraseSessions(sessionIds, counts);
+
+        if (email) {
+            for (const table of recordTables) {
+                counts[table] = (counts[table] || 0) + await removeAll(table, { user_email: email });
+            }
+            await removeTickets({ user_email: email }, counts);
+        }
+
+        const entry = await audit({
+            action: 'erase',
+            actor: actor || null,
+            source,
+            subject_type: email ? 'email' : 'session',
+            // The audit log must not become a copy of the erased address
+            subject: email ? maskEmail(email) : sessionId,
+            sessions: sessionIds.size,
+            counts
+        });
+        console.log(`🗑️ Erased data for ${email ? maskEmail(email) : `session ${maskSessionId(sessionId)}`}:`, counts);
+        return { counts, sessions: sessionIds.size, audit_id: entry ? entry.id : null };
+    }
+
+    async function anonymizeOld(table, cutoff) {
+        let updated = 0;
+        let cursor = 0;
+        while (true) {
+            const rows = await storage.select(table, {
+                where: { anonymized_at: null },
+                gt: { id: cursor },
+                lt: { created_at: cutoff },
+                orderBy: 'id',
+                ascending: true,
+                limit: PAGE_SIZE
+            });
+            const now = new Date().toISOString();
+            for (const row of rows) {
+                await storage.update(table, row.id, {
+                    ...redactFields(row, TEXT_FIELDS.filter(field => field in row)),
+                    user_name: null,
+                    user_email: null,
+                    anonymized_at: now
+                });
+                updated++;
+            }
+            if (rows.length < PAGE_SIZE) return updated;
+            cursor = rows[rows.length - 1].id;
+        }
+    }
+
+    async function deleteOld(table, cutoff) {
+        let removed = 0;
+        while (true) {
+            const rows = await storage.select(table, { columns: 'id', lt: { created_at: cutoff }, limit: PAGE_SIZE });
+            for (const row of rows) {
+                if (await storage.remove(table, row.id)) removed++;
+            }
+            if (rows.length < PAGE_SIZE) return removed;
+        }
+    }
+
+    // Applies the retention policy to the conversation, FAQ and feedback tables
+    async function runRetention({ actor = null } = {}) {
+        if (!retentionDays) return null;
+        const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+        const counts = {};
+        for (const table of [tables.conversations, tables.faqs, tables.feedback]) {
+            counts[table] = retentionMode === 'delete' ? await deleteOld(table, cutoff) : await anonymizeOld(table, cutoff);
+        }
+        await audit({
+            action: `retention_${retentionMode}`,
+            actor,
+            source: actor ? 'admin' : 'schedule',
+            subject_type: 'before',
+            subject: cutoff,
+            sessions: null,
+            counts
+        });
+        console.log(`🧹 Retention (${retentionMode}, ${retentionDays} days):`, counts);
+        return { mode: retentionMode, cutoff, counts };
+    }
+
+    async function listAudit({ limit = 100 } = {}) {
+        return storage.select(auditTable, { orderBy: 'id', ascending: false, limit });
+    }
+
+    if (retentionDays && retentionIntervalMs) {
+        const timer = setInterval(() => {
+            runRetention().catch(error => console.error('❌ Retention job failed:', error));
+        }, retentionIntervalMs);
+        timer.unref();
+    }
+
+    return { erase, runRetention, listAudit, retention: { days: retentionDays, mode: retentionMode } };
+}
+
+function escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { createPrivacy, RETENTION_MODES, TEXT_FIELDS };
@@ -0,0 +1,45 @@
+'use strict';
+
+// Fixed-window, per-key counters kept in process memory, and an Express
+// request limiter built on them.
+
+function createWindowCounter({ windowMs, max }) {
+    const hits = new Map();
+
+    const timer = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) hits.delete(key);
+        }
+    }, windowMs);
+    timer.unref();
+
+    // Counts one hit for `key`; `allowed` is false once `max` is exceeded
+    function take(key) {
+        const now = Date.now();
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+        entry.count++;
+        return { allowed: entry.count <= max, count: entry.count, resetAt: entry.resetAt };
+    }
+
+    return { take };
+}
+
+function createRateLimiter({ windowMs, max, keyFn = req => req.ip, message = 'Too many requests, please try again later.' }) {
+    const counter = createWindowCounter({ windowMs, max });
+
+    return (req, res, next) => {
+        const { allowed, resetAt } = counter.take(keyFn(req));
+        if (!allowed) {
+            res.set('Retry-After', String(Math.ceil((resetAt - Date.now()) / 1000)));
+            return res.status(429).json({ error: message });
+        }
+        return next();
+    };
+}
+
+module.exports = { createRateLimiter, createWindowCounter };
@@ -0,0 +1,76 @@
+'use strict';
+
+// Masks personal data in free text before it leaves the process (LLM prompts)
+// or, optionally, before it is stored. Structured columns such as
+// `user_email` are left alone; the retention job and erasure requests deal
+// with those.
+
+const EMAIL = /[^\s@<>()[\]"',;:]+@[^\s@<>()[\]"',;:]+\.[a-z]{2,}/gi;
+// Order references such as "order #123456", "order no. A-99812", "ORD-55421"
+const ORDER = /\b(order(?:\s*(?:number|no\.?|id|#))?\s*[:#]?\s*)([a-z]{0,4}-?\d[\w-]{3,})\b|\bORD-?\d{4,}\b/gi;
+// 13-19 digits with optional spaces or dashes, checked with Luhn below
+const CARD = /\b\d(?:[ -]?\d){12,18}\b/g;
+// International or local numbers with at least 7 digits, e.g. +92 300 1234567, (555) 123-4567
+const PHONE = /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,4}\b/g;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const KINDS = ['email', 'card', 'order', 'phone'];
+
+function luhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let d = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            d *= 2;
+            if (d > 9) d -= 9;
+        }
+        sum += d;
+    }
+    return sum % 10 === 0;
+}
+
+// Order matters: emails and cards first so their digits are not read as phones
+function redactText(text, kinds = KINDS) {
+    if (typeof text !== 'string' || !text) return text;
+    let result = text;
+    if (kinds.includes('email')) result = result.replace(EMAIL, '[EMAIL]');
+    if (kinds.includes('card')) {
+        result = result.replace(CARD, match => (luhn(match.replace(/\D/g, '')) ? '[CARD]' : match));
+    }
+    if (kinds.includes('order')) {
+        result = result.replace(ORDER, (match, label) => (label ? `${label}[ORDER]` : '[ORDER]'));
+    }
+    if (kinds.includes('phone')) {
+        result = result.replace(PHONE, match => (
+            match.replace(/\D/g, '').length >= 7 && !ISO_DATE.test(match) ? '[PHONE]' : match
+        ));
+    }
+    return result;
+}
+
+// Same for a chat message array, as sent to the LLM client
+function redactMessages(messages, kinds) {
+    return messages.map(message => ({ ...message, content: redactText(message.content, kinds) }));
+}
+
+function redactFields(record, fields, kinds) {
+    const result = { ...record };
+    for (const field of fields) {
+        if (typeof result[field] === 'string') result[field] = redactText(result[field], kinds);
+    }
+    return result;
+}
+
+// Identifiers written to logs: enough to correlate lines, not to identify
+// anyone. jane.doe@example.com -> j***@example.com
+function maskEmail(email) {
+    const [local, domain] = String(email).split('@');
+    return `${local.slice(0, 1)}***@${domain || ''}`;
+}
+
+// projects/p/agent/sessions/8f2c41d9e7 -> ***41d9e7
+function maskSessionId(sessionId) {
+    return `***${String(sessionId).slice(-6)}`;
+}
+
+module.exports = { KINDS, redactText, redactMessages, redactFields, maskEmail, maskSessionId };
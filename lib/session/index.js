@@ -0,0 +1,42 @@
+'use strict';
+
+// Per-session conversation context keyed by the Dialogflow session. Every
+// backend implements get/set/remove/sweep; `update` merges a patch on top of
+// the current context and is what the webhook flows use.
+
+const { createMemorySessionStore } = require('./memorySessionStore');
+const { createStorageSessionStore } = require('./storageSessionStore');
+
+function createSessionStore({ backend = 'memory', ttlMs, maxEntries, storage, table, sweepIntervalMs }) {
+    let store;
+    if (backend === 'memory') {
+        store = createMemorySessionStore({ ttlMs, maxEntries });
+    } else if (backend === 'storage') {
+        store = createStorageSessionStore({ storage, table, ttlMs });
+    } else {
+        throw new Error(`Unknown SESSION_STORE "${backend}" (expected "memory" or "storage")`);
+    }
+
+    async function update(sessionId, patch) {
+        const current = (await store.get(sessionId)) || {};
+        const next = { ...current, ...patch };
+        await store.set(sessionId, next);
+        return next;
+    }
+
+    // Abandoned flows simply expire; the sweep only reclaims their space.
+    if (sweepIntervalMs) {
+        const timer = setInterval(() => {
+            store.sweep()
+                .then(removed => {
+                    if (removed) console.log(`🧹 Expired ${removed} idle session(s)`);
+                })
+                .catch(error => console.error('❌ Session sweep failed:', error));
+        }, sweepIntervalMs);
+        timer.unref();
+    }
+
+    return { ...store, update };
+}
+
+module.exports = { createSessionStore };
@@ -0,0 +1,53 @@
+'use strict';
+
+// In-process session contexts with a sliding TTL and LRU eviction. Map keeps
+// insertion order, so re-inserting on access makes the first key the least
+// recently used one.
+
+function createMemorySessionStore({ ttlMs, maxEntries }) {
+    const entries = new Map();
+
+    function isExpired(entry, now) {
+        return entry.expiresAt <= now;
+    }
+
+    async function get(sessionId) {
+        const entry = entries.get(sessionId);
+        if (!entry) return null;
+        if (isExpired(entry, Date.now())) {
+            entries.delete(sessionId);
+            return null;
+        }
+        entries.delete(sessionId);
+        entries.set(sessionId, entry);
+        return { ...entry.context };
+    }
+
+    async function set(sessionId, context) {
+        entries.delete(sessionId);
+        entries.set(sessionId, { context: { ...context }, expiresAt: Date.now() + ttlMs });
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    async function remove(sessionId) {
+        entries.delete(sessionId);
+    }
+
+    async function sweep() {
+        const now = Date.now();
+        let removed = 0;
+        for (const [sessionId, entry] of entries) {
+            if (isExpired(entry, now)) {
+                entries.delete(sessionId);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    return { name: 'memory', get, set, remove, sweep };
+}
+
+module.exports = { createMemorySessionStore };
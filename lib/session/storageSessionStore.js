@@ -0,0 +1,61 @@
+'use strict';
+
+// Session contexts persisted through the storage adapter (Supabase or local
+// files), so they survive restarts and are shared between instances. One row
+// per session: `set` upserts on the unique session_id (sql/004_session_state.sql).
+
+// Expired rows removed per sweep query
+const SWEEP_PAGE_SIZE = 500;
+
+function createStorageSessionStore({ storage, table, ttlMs }) {
+    async function findRow(sessionId) {
+        const rows = await storage.select(table, {
+            columns: 'id, session_id, context, expires_at',
+            where: { session_id: sessionId },
+            limit: 1
+        });
+        return rows[0] || null;
+    }
+
+    async function get(sessionId) {
+        const row = await findRow(sessionId);
+        if (!row) return null;
+        if (new Date(row.expires_at).getTime() <= Date.now()) {
+            await storage.remove(table, row.id);
+            return null;
+        }
+        return { ...(row.context || {}) };
+    }
+
+    async function set(sessionId, context) {
+        const now = Date.now();
+        await storage.upsert(table, {
+            session_id: sessionId,
+            context,
+            expires_at: new Date(now + ttlMs).toISOString(),
+            updated_at: new Date(now).toISOString()
+        }, 'session_id');
+    }
+
+    async function remove(sessionId) {
+        const row = await findRow(sessionId);
+        if (row) await storage.remove(table, row.id);
+    }
+
+    // Removed rows drop out of the query, so each page starts from the top
+    async function sweep() {
+        const now = new Date().toISOString();
+        let removed = 0;
+        while (true) {
+            const rows = await storage.select(table, { columns: 'id', lt: { expires_at: now }, limit: SWEEP_PAGE_SIZE });
+            for (const row of rows) {
+                if (await storage.remove(table, row.id)) removed++;
+            }
+            if (rows.length < SWEEP_PAGE_SIZE) return removed;
+        }
+    }
+
+    return { name: 'storage', get, set, remove, sweep };
+}
+
+module.exports = { createStorageSessionStore };
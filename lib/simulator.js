@@ -0,0 +1,374 @@
+'use strict';
+
+// Conversation simulator for testing flows without side effects. A script is
+// a list of steps ({ text, intent?, parameters?, confidence?, languageCode?,
+// llmReply? }) sent through the Dialogflow ES adapter and the same flow
+// registry as /dialogflow, but against a sandbox: in-memory storage seeded
+// with the live FAQ entries and help documents, a recording LLM stub that
+// answers with `llmReply` (or a placeholder) and a notifier that only takes
+// notes. Every run starts from a fresh sandbox, so results are repeatable.
+//
+// Saved scripts keep the normalized result of their last recording as a
+// golden transcript; replaying one reports every step that now differs.
+
+const { createFileStorage } = require('./storage/fileStorage');
+const { createRecordingStorage } = require('./storage/recordingStorage');
+const { createSessionStore } = require('./session');
+const { createFaqStore } = require('./faqStore');
+const { createKnowledgeBase } = require('./knowledgeBase');
+const { createTicketStore } = require('./ticketStore');
+const { createConversationMemory } = require('./conversationMemory');
+const { createAgentQueue } = require('./agentQueue');
+const { createPrivacy } = require('./privacy');
+const { createEventBus } = require('./events');
+const { createFlowRegistry, loadFlows } = require('./flowRegistry');
+const { createFallbackGenerator } = require('./llm');
+const { validate } = require('./platforms/schema');
+const { platforms, messages: { reply } } = require('./platforms');
+
+const MAX_STEPS = 50;
+const SESSION_ID = 'projects/simulator/agent/sessions/simulation';
+const DEFAULT_LLM_REPLY = '[simulated LLM reply]';
+// A sandbox lives for one run, so its sessions only have to outlast a script
+const SANDBOX_SESSIONS = { ttlMs: 60 * 60 * 1000, maxEntries: 100 };
+// Values that change on every run and are masked before comparing
+const VOLATILE = [
+    [/\bTKT-[A-Z0-9]{6}\b/g, 'TKT-XXXXXX'],
+    [/\b\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z\b/g, '<timestamp>'],
+    [/\b(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun), \d{2} [A-Z][a-z]{2} \d{4} \d{2}:\d{2}:\d{2} GMT\b/g, '<date>']
+];
+
+const SCRIPT_SCHEMA = {
+    type: 'object',
+    required: ['steps'],
+    properties: {
+        languageCode: { type: 'string', maxLength: 35 },
+        steps: {
+            type: 'array',
+            minLength: 1,
+            maxLength: MAX_STEPS,
+            items: {
+                type: 'object',
+                required: ['text'],
+                properties: {
+                    text: { type: 'string', maxLength: 4000 },
+                    intent: { type: 'string', maxLength: 200 },
+                    parameters: { type: 'object' },
+                    confidence: { type: 'number' },
+                    languageCode: { type: 'string', maxLength: 35 },
+                    llmReply: { type: 'string', maxLength: 4000 }
+                }
+            }
+        }
+    }
+};
+
+// Script body -> normalized script; throws RangeError naming the first problem
+function parseScript(input) {
+    const [problem] = validate(input, SCRIPT_SCHEMA, 'script');
+    if (problem) throw new RangeError(`${problem.path} ${problem.message}`);
+    return {
+        languageCode: input.languageCode || null,
+        steps: input.steps.map(step => ({
+            text: step.text,
+            intent: step.intent || null,
+            parameters: step.parameters || {},
+            confidence: typeof step.confidence === 'number' ? step.confidence : null,
+            languageCode: step.languageCode || null,
+            llmReply: step.llmReply ?? null
+        }))
+    };
+}
+
+// The Dialogflow ES request a step stands for
+function toRequestBody(script, step, index) {
+    return {
+        session: SESSION_ID,
+        responseId: `simulation-${index + 1}`,
+        queryResult: {
+            queryText: step.text,
+            languageCode: step.languageCode || script.languageCode,
+            intent: step.intent ? { displayName: step.intent } : null,
+            intentDetectionConfidence: step.confidence,
+            parameters: step.parameters
+        },
+        originalDetectIntentRequest: { source: 'simulator' }
+    };
+}
+
+function createRecordingLlm(redact) {
+    let calls = [];
+    let replies = [];
+
+    async function generate(input) {
+        const raw = typeof input === 'string' ? [{ role: 'user', content: input }] : input;
+        const messages = redact ? redact(raw) : raw;
+        const text = replies.length ? replies.shift() : DEFAULT_LLM_REPLY;
+        calls.push({ messages, text });
+        return { text, provider: 'simulator', model: null, cached: false, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+    }
+
+    // Replies for the next step's calls, in order
+    function queue(texts) {
+        replies = texts.slice();
+    }
+
+    function takeCalls() {
+        const taken = calls;
+        calls = [];
+        return taken;
+    }
+
+    return { generate, queue, takeCalls };
+}
+
+function createRecordingNotifier() {
+    let sent = [];
+    return {
+        async notify(templateName, recipient, data) {
+            sent.push({ template: templateName, recipient: recipient || null, data });
+            return null;
+        },
+        take() {
+            const taken = sent;
+            sent = [];
+            return taken;
+        }
+    };
+}
+
+// Drops ids and timestamps and masks volatile text so runs compare equal
+function normalizeSteps(steps) {
+    const stable = steps.map(step => ({
+        text: step.text,
+        messages: step.messages,
+        writes: step.writes.map(write => ({
+            op: write.op,
+            table: write.table,
+            ...(write.row ? { row: stripVolatile(write.row) } : {}),
+            ...(write.patch ? { patch: stripVolatile(write.patch) } : {})
+        })),
+        notifications: step.notifications.map(({ template, recipient }) => ({ template, recipient })),
+        llm_calls: step.llmCalls.length,
+        error: step.error
+    }));
+    let json = JSON.stringify(stable);
+    for (const [pattern, replacement] of VOLATILE) json = json.replace(pattern, replacement);
+    return JSON.parse(json);
+}
+
+function stripVolatile(row) {
+    const stable = {};
+    for (const [key, value] of Object.entries(row)) {
+        if (key !== 'id' && !key.endsWith('_at')) stable[key] = value;
+    }
+    return stable;
+}
+
+// Field-by-field differences between a golden and a new run
+function compareSteps(expected, actual) {
+    const differences = [];
+    const length = Math.max(expected.length, actual.length);
+    for (let i = 0; i < length; i++) {
+        for (const field of ['messages', 'writes', 'notifications', 'llm_calls', 'error']) {
+            const want = expected[i] ? expected[i][field] : undefined;
+            const got = actual[i] ? actual[i][field] : undefined;
+            if (JSON.stringify(want) !== JSON.stringify(got)) {
+                differences.push({ step: i + 1, field, expected: want ?? null, actual: got ?? null });
+            }
+        }
+    }
+    return differences;
+}
+
+function createSimulator({
+    flowsConfigPath,
+    flowConfig,
+    locales,
+    tables,
+    liveStorage,
+    faqSeed = [],
+    knowledge = {},
+    memory = {},
+    sanitizeRecord = record => record,
+    redact,
+    storage,
+    table
+}) {
+    async function createSandbox() {
+        const scratch = createFileStorage({ dataDir: null });
+        // Reference data the flows read, copied before recording starts
+        for (const name of [tables.faqEntries, tables.helpDocs]) {
+            const rows = await liveStorage.select(name, { orderBy: 'id', ascending: true });
+            if (rows.length) await scratch.insert(name, rows);
+        }
+
+        const sandboxStorage = createRecordingStorage(scratch);
+        const llm = createRecordingLlm(redact);
+        const notifier = createRecordingNotifier();
+        const sessionStore = createSessionStore({ backend: 'memory', ...SANDBOX_SESSIONS });
+        const faqStore = createFaqStore({ storage: sandboxStorage, table: tables.faqEntries, seed: faqSeed, localize: locales.localizeFaq });
+        const knowledgeBase = createKnowledgeBase({
+            storage: sandboxStorage,
+            table: tables.helpDocs,
+            faqStore,
+            chunkSize: knowledge.chunkSize,
+            topK: knowledge.topK
+        });
+        const conversationMemory = createConversationMemory({ sessionStore, llm, ...memory });
+        // Load (and if need be seed) the FAQ entries now so that isn't reported
+        // as a write of whichever step first reads them
+        await faqStore.listEntries();
+        sandboxStorage.takeWrites();
+
+        const insertRecord = async(name, record) => {
+            await sandboxStorage.insert(name, [sanitizeRecord(record)]);
+        };
+        const saveConversationRecord = record => insertRecord(tables.conversations, record);
+
+        const agentQueue = createAgentQueue({
+            storage: sandboxStorage,
+            table: tables.handoffs,
+            sessionStore,
+            saveConversationRecord,
+            events: createEventBus()
+        });
+        const privacy = createPrivacy({ storage: sandboxStorage, tables, auditTable: tables.privacyAudit, sessionStore });
+
+        const flowRegistry = createFlowRegistry({ sessionStore, saveConversationRecord, locales });
+        flowRegistry.use({ after: conversationMemory.after });
+        loadFlows(flowRegistry, flowsConfigPath, {
+            faqStore,
+            knowledgeBase,
+            conversationMemory,
+            ticketStore: createTicketStore({ storage: sandboxStorage, table: tables.tickets, commentsTable: tables.ticketComments }),
+            agentQueue,
+            privacy,
+            notifier,
+            locales,
+            generateFallbackResponse: createFallbackGenerator({ llm, conversationMemory, locales }),
+            saveFaqRecord: record => insertRecord(tables.faqs, record),
+            saveFeedbackRecord: record => insertRecord(tables.feedback, record),
+            config: flowConfig
+        });
+
+        return { storage: sandboxStorage, llm, notifier, flowRegistry };
+    }
+
+    // Runs a script; resolves to { script, steps, totals }. Each step has the
+    // reply messages plus the writes, LLM calls and notifications it caused.
+    async function run(input) {
+        const script = parseScript(input);
+        const sandbox = await createSandbox();
+        const adapter = platforms.dialogflowEs;
+        const steps = [];
+
+        for (const [index, step] of script.steps.entries()) {
+            sandbox.llm.queue(step.llmReply === null ? [] : [step.llmReply]);
+            let response;
+            let error = null;
+            try {
+                const turn = adapter.parseRequest(toRequestBody(script, step, index));
+                response = await sandbox.flowRegistry.run(turn);
+            } catch (err) {
+                // Same reply the webhook sends when a flow throws
+                error = err.message;
+                response = reply('Something went wrong. Please try again later.');
+            }
+            steps.push({
+                step: index + 1,
+                text: step.text,
+                intent: step.intent,
+                messages: response.messages,
+                writes: sandbox.storage.takeWrites(),
+                llmCalls: sandbox.llm.takeCalls(),
+                notifications: sandbox.notifier.take(),
+                error
+            });
+        }
+
+        const totals = steps.reduce((acc, step) => ({
+            writes: acc.writes + step.writes.length,
+            llm_calls: acc.llm_calls + step.llmCalls.length,
+            notifications: acc.notifications + step.notifications.length,
+            errors: acc.errors + (step.error ? 1 : 0)
+        }), { writes: 0, llm_calls: 0, notifications: 0, errors: 0 });
+        console.log(`🧪 Simulated ${steps.length} step(s): ${totals.writes} write(s), ${totals.llm_calls} LLM call(s)`);
+        return { script, steps, totals };
+    }
+
+    // --- Golden transcripts ---
+
+    async function getScript(id) {
+        const rows = await storage.select(table, { where: { id }, limit: 1 });
+        return rows[0] || null;
+    }
+
+    async function listScripts() {
+        const rows = await storage.select(table, { orderBy: 'name', ascending: true });
+        return rows.map(({ expected, ...row }) => ({ ...row, steps: row.script.steps.length }));
+    }
+
+    // Saves the script with the result of running it now as its golden
+    async function saveScript({ name, description, script, actor }) {
+        const label = typeof name === 'string' ? name.trim() : '';
+        if (!label) throw new RangeError('name is required');
+        const result = await run(script);
+        const now = new Date().toISOString();
+        const [row] = await storage.insert(table, [{
+            name: label.slice(0, 200),
+            description: typeof description === 'string' ? description.trim() || null : null,
+            script: result.script,
+            expected: normalizeSteps(result.steps),
+            created_by: actor || null,
+            last_status: 'recorded',
+            last_run_at: now,
+            updated_at: now
+        }]);
+        return { golden: row, result };
+    }
+
+    // Accepts the current behaviour as the new golden
+    async function record(id, actor) {
+        const row = await getScript(id);
+        if (!row) return null;
+        const result = await run(row.script);
+        const now = new Date().toISOString();
+        const golden = await storage.update(table, row.id, {
+            expected: normalizeSteps(result.steps),
+            created_by: actor || row.created_by,
+            last_status: 'recorded',
+            last_run_at: now,
+            updated_at: now
+        });
+        return { golden, result };
+    }
+
+    async function replay(id) {
+        const row = await getScript(id);
+        if (!row) return null;
+        const result = await run(row.script);
+        const differences = compareSteps(row.expected || [], normalizeSteps(result.steps));
+        const passed = differences.length === 0;
+        await storage.update(table, row.id, { last_status: passed ? 'passed' : 'failed', last_run_at: new Date().toISOString() });
+        return { id: row.id, name: row.name, passed, differences, result };
+    }
+
+    // Every saved script, one after another; the sandbox is rebuilt for each
+    async function replayAll() {
+        const results = [];
+        for (const row of await listScripts()) {
+            const { id, name, passed, differences } = await replay(row.id);
+            results.push({ id, name, passed, differences });
+        }
+        return { passed: results.every(r => r.passed), results };
+    }
+
+    async function deleteScript(id) {
+        return storage.remove(table, id);
+    }
+
+    return { run, listScripts, getScript, saveScript, record, replay, replayAll, deleteScript };
+}
+
+module.exports = { createSimulator, parseScript, normalizeSteps, compareSteps };
@@ -0,0 +1,56 @@
+'use strict';
+
+// Minimal slot-filling helper. A flow declares its slots in the order they
+// should be asked:
+//   { name, prompt, invalidPrompt, validate(value) -> normalized value | null }
+// or, for a re-prompt that says what was wrong, `check(value) -> { value, reason }`
+// plus `invalidPrompts: { [reason]: text }`. The flow keeps the collected values in its session context between turns.
+
+const CANCEL_WORDS = new Set(['cancel', 'stop', 'quit', 'exit', 'never mind', 'nevermind', 'forget it']);
+const RESTART_WORDS = new Set(['start over', 'restart', 'reset', 'begin again', 'start again']);
+
+// Returns 'cancel', 'restart' or null for the raw user text. `extra` adds
+// words for the turn's locale: { cancel: [...], restart: [...] }.
+function detectControl(text, extra = {}) {
+    const normalized = typeof text === 'string' ? text.trim().toLowerCase().replace(/[.!۔]+$/, '') : '';
+    if (CANCEL_WORDS.has(normalized) || (extra.cancel || []).includes(normalized)) return 'cancel';
+    if (RESTART_WORDS.has(normalized) || (extra.restart || []).includes(normalized)) return 'restart';
+    return null;
+}
+
+function createSlotFiller(slots) {
+    // Applies candidate answers on top of `values`. The first candidate that
+    // fails validation is reported so the flow can re-ask for it.
+    function fill(values, candidates) {
+        const next = { ...values };
+        let invalid = null;
+        let reason = null;
+        for (const slot of slots) {
+            const raw = candidates[slot.name];
+            if (raw == null || raw === '') continue;
+            const result = slot.check ? slot.check(raw) : { value: slot.validate ? slot.validate(raw) : raw, reason: null };
+            if (result.value == null) {
+                if (!invalid) {
+                    invalid = slot;
+                    reason = result.reason;
+                }
+                continue;
+            }
+            next[slot.name] = result.value;
+        }
+        return { values: next, invalid, reason };
+    }
+
+    // The re-prompt for a failed slot, specific to the reason when configured
+    function invalidPrompt(slot, reason) {
+        return (reason && slot.invalidPrompts && slot.invalidPrompts[reason]) || slot.invalidPrompt;
+    }
+
+    function nextMissing(values) {
+        return slots.find(slot => values[slot.name] == null) || null;
+    }
+
+    return { slots, fill, nextMissing, invalidPrompt };
+}
+
+module.exports = { createSlotFiller, detectControl };
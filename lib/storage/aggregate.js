@@ -0,0 +1,94 @@
+'use strict';
+
+// In-process implementation of `storage.aggregate()`, shared by the file
+// backend and by the Supabase backend when the SQL function is missing.
+//
+// Spec:
+//   where        equality filters, as in select()
+//   from, to     created_at range (from inclusive, to exclusive), ISO strings
+//   granularity  'hour' | 'day' | 'week' | 'month'; adds a `bucket` per row
+//   groupBy      columns copied onto each result row
+//   metrics      { name: { sum | countTrue | countNotNull: column } }
+//   limit        applied after ordering (bucket ascending, else count desc)
+
+const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+const METRIC_OPS = ['sum', 'countTrue', 'countNotNull'];
+
+// UTC start of the bucket containing `value`, as an ISO string. Weeks start
+// on Monday, matching Postgres date_trunc('week').
+function bucketStart(value, granularity) {
+    const d = new Date(value);
+    if (granularity === 'month') return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1)).toISOString();
+    const start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), granularity === 'hour' ? d.getUTCHours() : 0));
+    if (granularity === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return start.toISOString();
+}
+
+function nextBucket(bucket, granularity) {
+    const d = new Date(bucket);
+    if (granularity === 'hour') d.setUTCHours(d.getUTCHours() + 1);
+    else if (granularity === 'day') d.setUTCDate(d.getUTCDate() + 1);
+    else if (granularity === 'week') d.setUTCDate(d.getUTCDate() + 7);
+    else d.setUTCMonth(d.getUTCMonth() + 1);
+    return d.toISOString();
+}
+
+function validateSpec({ granularity, metrics = {} }) {
+    if (granularity && !GRANULARITIES.includes(granularity)) {
+        throw new RangeError(`granularity must be one of ${GRANULARITIES.join(', ')}`);
+    }
+    for (const [name, metric] of Object.entries(metrics)) {
+        const [op] = Object.keys(metric);
+        if (!METRIC_OPS.includes(op)) throw new RangeError(`Unknown metric "${op}" for ${name}`);
+    }
+}
+
+function aggregateRows(rows, { from, to, granularity, groupBy = [], metrics = {}, limit }) {
+    const groups = new Map();
+    for (const row of rows) {
+        const createdAt = row.created_at;
+        if (from && !(createdAt >= from)) continue;
+        if (to && !(createdAt < to)) continue;
+
+        const result = {};
+        if (granularity) result.bucket = bucketStart(createdAt, granularity);
+        for (const column of groupBy) result[column] = row[column] === undefined ? null : row[column];
+        const key = JSON.stringify(result);
+
+        let entry = groups.get(key);
+        if (!entry) {
+            entry = { ...result, count: 0 };
+            for (const name of Object.keys(metrics)) entry[name] = 0;
+            groups.set(key, entry);
+        }
+        entry.count++;
+        for (const [name, metric] of Object.entries(metrics)) {
+            const [op] = Object.keys(metric);
+            const value = row[metric[op]];
+            if (op === 'sum') entry[name] += Number(value) || 0;
+            else if (op === 'countTrue') entry[name] += value === true ? 1 : 0;
+            else entry[name] += value === null || value === undefined ? 0 : 1;
+        }
+    }
+
+    const results = Array.from(groups.values()).sort((a, b) => (
+        granularity ? a.bucket.localeCompare(b.bucket) || b.count - a.count : b.count - a.count
+    ));
+    return limit ? results.slice(0, limit) : results;
+}
+
+// Columns a scan needs to fetch for `spec`
+function aggregateColumns({ groupBy = [], metrics = {} }) {
+    const columns = new Set(['created_at', ...groupBy]);
+    for (const metric of Object.values(metrics)) columns.add(Object.values(metric)[0]);
+    return Array.from(columns).join(', ');
+}
+
+module.exports = {
+    GRANULARITIES,
+    bucketStart,
+    nextBucket,
+    validateSpec,
+    aggregateRows,
+    aggregateColumns
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+// Storage adapter that keeps each table as a JSON file in `dataDir`, so the
+// bot and dashboard work offline in development and CI. Without a `dataDir`
+// the tables only live in memory (the conversation simulator's sandbox).
+
+const fs = require('fs');
+const path = require('path');
+const { validateSpec, aggregateRows } = require('./aggregate');
+
+function pickColumns(row, columns) {
+    if (!columns || columns === '*') return { ...row };
+    const picked = {};
+    for (const column of columns.split(',').map(c => c.trim()).filter(Boolean)) {
+        picked[column] = row[column] === undefined ? null : row[column];
+    }
+    return picked;
+}
+
+function matches(row, where) {
+    for (const [column, value] of Object.entries(where || {})) {
+        const actual = row[column] === undefined ? null : row[column];
+        if (actual !== value) return false;
+    }
+    return true;
+}
+
+// Range filters: `test` receives compareValues(row value, bound); nulls never match
+function bounded(row, bounds, test) {
+    for (const [column, value] of Object.entries(bounds || {})) {
+        const actual = row[column];
+        if (actual === null || actual === undefined || !test(compareValues(actual, value))) return false;
+    }
+    return true;
+}
+
+// Case-insensitive substring match on any of `search.columns`
+function contains(row, search) {
+    if (!search || !search.term) return true;
+    const term = String(search.term).toLowerCase();
+    return search.columns.some(column => row[column] != null && String(row[column]).toLowerCase().includes(term));
+}
+
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return -1;
+    if (b === null || b === undefined) return 1;
+    return a < b ? -1 : 1;
+}
+
+function createFileStorage({ dataDir }) {
+    const tables = new Map();
+    let writeChain = Promise.resolve();
+
+    if (dataDir) fs.mkdirSync(dataDir, { recursive: true });
+
+    function filePath(table) {
+        return path.join(dataDir, `${table}.json`);
+    }
+
+    function load(table) {
+        if (!tables.has(table)) {
+            let state = { nextId: 1, rows: [] };
+            try {
+                if (dataDir) state = JSON.parse(fs.readFileSync(filePath(table), 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            tables.set(table, state);
+        }
+        return tables.get(table);
+    }
+
+    // Writes are serialized and go through a temp file so a crash never
+    // leaves a half-written table behind. A failed write rejects so the
+    // caller (and the outbox behind it) knows nothing reached disk; the
+    // chain itself carries on for the next write.
+    function persist(table) {
+        if (!dataDir) return writeChain;
+        const snapshot = JSON.stringify(load(table));
+        const target = filePath(table);
+        const written = writeChain
+            .then(async() => {
+                const tmp = `${target}.tmp`;
+                await fs.promises.writeFile(tmp, snapshot);
+                await fs.promises.rename(tmp, target);
+            })
+            .catch(error => {
+                console.error(`❌ Failed to write ${target}:`, error);
+                throw error;
+            });
+        writeChain = written.catch(() => {});
+        return written;
+    }
+
+    // Persists a change already made in memory, undoing it if the write fails
+    async function commit(table, undo) {
+        try {
+            await persist(table);
+        } catch (error) {
+            undo();
+            throw error;
+        }
+    }
+
+    async function insert(table, rows) {
+        const state = load(table);
+        const now = new Date().toISOString();
+        const inserted = rows.map(row => ({
+            created_at: now,
+            ...row,
+            id: state.nextId++
+        }));
+        state.rows.push(...inserted);
+        await commit(table, () => {
+            state.rows = state.rows.filter(row => !inserted.includes(row));
+        });
+        return inserted.map(row => ({ ...row }));
+    }
+
+    async function select(table, { columns = '*', where, lt, gt, gte, search, orderBy, ascending = true, limit } = {}) {
+        let rows = load(table).rows.filter(row => (
+            matches(row, where) &&
+            bounded(row, lt, c => c < 0) &&
+            bounded(row, gt, c => c > 0) &&
+            bounded(row, gte, c => c >= 0) &&
+            contains(row, search)
+        ));
+        if (orderBy) {
+            const direction = ascending ? 1 : -1;
+            rows = rows.slice().sort((a, b) => direction * (compareValues(a[orderBy], b[orderBy]) || compareValues(a.id, b.id)));
+        }
+        if (limit) rows = rows.slice(0, limit);
+        return rows.map(row => pickColumns(row, columns));
+    }
+
+    async function count(table, { where } = {}) {
+        return load(table).rows.filter(row => matches(row, where)).length;
+    }
+
+    async function aggregate(table, spec = {}) {
+        validateSpec(spec);
+        return aggregateRows(load(table).rows.filter(row => matches(row, spec.where)), spec);
+    }
+
+    async function update(table, id, patch) {
+        const row = load(table).rows.find(r => String(r.id) === String(id));
+        if (!row) return null;
+        const previous = { ...row };
+        Object.assign(row, patch, { id: row.id });
+        await commit(table, () => {
+            for (const key of Object.keys(row)) delete row[key];
+            Object.assign(row, previous);
+        });
+        return { ...row };
+    }
+
+    async function upsert(table, row, key) {
+        const existing = load(table).rows.find(r => r[key] === row[key]);
+        if (!existing) return (await insert(table, [row]))[0];
+        return update(table, existing.id, row);
+    }
+
+    async function remove(table, id) {
+        const state = load(table);
+        const index = state.rows.findIndex(r => String(r.id) === String(id));
+        if (index === -1) return false;
+        const [removed] = state.rows.splice(index, 1);
+        await commit(table, () => {
+            state.rows.splice(Math.min(index, state.rows.length), 0, removed);
+        });
+        return true;
+    }
+
+    return { name: 'file', insert, select, count, aggregate, update, upsert, remove };
+}
+
+module.exports = { createFileStorage };
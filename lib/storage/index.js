@@ -0,0 +1,40 @@
+'use strict';
+
+// Storage backends share one interface:
+//   insert(table, rows)                                      -> inserted rows
+//   select(table, { columns, where, lt, gt, gte, search, orderBy, ascending, limit }) -> rows
+//   count(table, { where })                                  -> number
+//   aggregate(table, spec)                                   -> grouped rows (see aggregate.js)
+//   update(table, id, patch)                                 -> row | null
+//   upsert(table, row, key)                                  -> row
+//   remove(table, id)                                        -> boolean
+// `where` is a map of column -> value equality filters, `lt`, `gt` and `gte`
+// maps of column -> bound (for cursors and date ranges) and `search` a
+// { term, columns } case-insensitive substring match on any of the columns.
+// `upsert` updates the row whose `key` column equals row[key], or inserts
+// one; on Supabase the column needs a unique constraint.
+
+const { createClient } = require('@supabase/supabase-js');
+const { createSupabaseStorage } = require('./supabaseStorage');
+const { createFileStorage } = require('./fileStorage');
+
+// STORAGE_BACKEND picks the adapter explicitly; without it Supabase is used
+// when credentials are present and local files otherwise.
+function createStorage({ backend, supabaseUrl, supabaseKey, dataDir }) {
+    const wanted = (backend || (supabaseUrl && supabaseKey ? 'supabase' : 'file')).toLowerCase();
+
+    if (wanted === 'supabase') {
+        if (!supabaseUrl || !supabaseKey) {
+            throw new Error('STORAGE_BACKEND=supabase requires SUPABASE_URL and SUPABASE_ANON_KEY');
+        }
+        return createSupabaseStorage(createClient(supabaseUrl, supabaseKey));
+    }
+
+    if (wanted === 'file') {
+        return createFileStorage({ dataDir });
+    }
+
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected "supabase" or "file")`);
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,18 @@
+'use strict';
+
+// Reads every matching row in id order, a page at a time: Supabase (PostgREST)
+// caps a single response at 1000 rows however large the limit. `columns`,
+// when given, must include id.
+
+async function selectAllPages(storage, table, options = {}, pageSize = 500) {
+    const rows = [];
+    let cursor = 0;
+    while (true) {
+        const page = await storage.select(table, { ...options, gt: { id: cursor }, orderBy: 'id', ascending: true, limit: pageSize });
+        rows.push(...page);
+        if (page.length < pageSize) return rows;
+        cursor = page[page.length - 1].id;
+    }
+}
+
+module.exports = { selectAllPages };
@@ -0,0 +1,43 @@
+'use strict';
+
+// Wraps a storage adapter and logs every write, so a dry run can report the
+// records it would have saved. Reads pass straight through.
+
+function createRecordingStorage(inner) {
+    let writes = [];
+
+    async function insert(table, rows) {
+        const inserted = await inner.insert(table, rows);
+        for (const row of inserted) writes.push({ op: 'insert', table, row });
+        return inserted;
+    }
+
+    async function update(table, id, patch) {
+        const updated = await inner.update(table, id, patch);
+        if (updated) writes.push({ op: 'update', table, id, patch });
+        return updated;
+    }
+
+    async function upsert(table, row, key) {
+        const stored = await inner.upsert(table, row, key);
+        if (stored) writes.push({ op: 'upsert', table, row: stored });
+        return stored;
+    }
+
+    async function remove(table, id) {
+        const removed = await inner.remove(table, id);
+        if (removed) writes.push({ op: 'remove', table, id });
+        return removed;
+    }
+
+    // Writes logged since the previous call
+    function takeWrites() {
+        const taken = writes;
+        writes = [];
+        return taken;
+    }
+
+    return { ...inner, name: `recording ${inner.name}`, insert, update, upsert, remove, takeWrites };
+}
+
+module.exports = { createRecordingStorage };
@@ -0,0 +1,131 @@
+'use strict';
+
+// Storage adapter over a Supabase (PostgREST) project.
+
+const { validateSpec, aggregateRows, aggregateColumns } = require('./aggregate');
+
+const PAGE_SIZE = 1000;
+
+function applyWhere(query, where) {
+    let q = query;
+    for (const [column, value] of Object.entries(where || {})) {
+        q = value === null ? q.is(column, null) : q.eq(column, value);
+    }
+    return q;
+}
+
+function failure(action, table, error) {
+    return new Error(`Supabase ${action} on ${table} failed: ${error.message || error}`);
+}
+
+function createSupabaseStorage(supabase) {
+    async function insert(table, rows) {
+        const { data, error } = await supabase
+            .from(table)
+            .insert(rows)
+            .select();
+        if (error) throw failure('insert', table, error);
+        return data || [];
+    }
+
+    async function select(table, { columns = '*', where, lt, gt, gte, search, orderBy, ascending = true, limit } = {}) {
+        let query = applyWhere(supabase.from(table).select(columns), where);
+        for (const [column, value] of Object.entries(lt || {})) query = query.lt(column, value);
+        for (const [column, value] of Object.entries(gt || {})) query = query.gt(column, value);
+        for (const [column, value] of Object.entries(gte || {})) query = query.gte(column, value);
+        if (search && search.term) {
+            // Double-quoted so commas and parentheses in the term survive the or() syntax
+            const pattern = `"%${String(search.term).replace(/["\\%_]/g, ch => `\\${ch}`)}%"`;
+            query = query.or(search.columns.map(column => `${column}.ilike.${pattern}`).join(','));
+        }
+        if (orderBy) query = query.order(orderBy, { ascending });
+        if (limit) query = query.limit(limit);
+        const { data, error } = await query;
+        if (error) throw failure('select', table, error);
+        return data || [];
+    }
+
+    async function count(table, { where } = {}) {
+        const { count: total, error } = await applyWhere(
+            supabase.from(table).select('*', { count: 'exact', head: true }),
+            where
+        );
+        if (error) throw failure('count', table, error);
+        return total || 0;
+    }
+
+    // Scans only the needed columns page by page; used when the
+    // analytics_aggregate function has not been installed.
+    async function aggregateByScan(table, spec) {
+        const rows = [];
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            let query = applyWhere(supabase.from(table).select(aggregateColumns(spec)), spec.where);
+            if (spec.from) query = query.gte('created_at', spec.from);
+            if (spec.to) query = query.lt('created_at', spec.to);
+            const { data, error } = await query.order('id', { ascending: true }).range(offset, offset + PAGE_SIZE - 1);
+            if (error) throw failure('aggregate', table, error);
+            rows.push(...data);
+            if (data.length < PAGE_SIZE) break;
+        }
+        return aggregateRows(rows, spec);
+    }
+
+    let rpcMissing = false;
+
+    // Grouping and bucketing run in Postgres through sql/analytics_aggregate.sql
+    async function aggregate(table, spec = {}) {
+        validateSpec(spec);
+        if (rpcMissing) return aggregateByScan(table, spec);
+
+        const { data, error } = await supabase.rpc('analytics_aggregate', {
+            p_table: table,
+            p_where: spec.where || {},
+            p_from: spec.from || null,
+            p_to: spec.to || null,
+            p_granularity: spec.granularity || null,
+            p_group_by: spec.groupBy || [],
+            p_metrics: spec.metrics || {},
+            p_limit: spec.limit || null
+        });
+        if (error && error.code === 'PGRST202') {
+            console.warn('⚠️ analytics_aggregate() not installed; aggregating by table scan. See sql/analytics_aggregate.sql');
+            rpcMissing = true;
+            return aggregateByScan(table, spec);
+        }
+        if (error) throw failure('aggregate', table, error);
+        return data || [];
+    }
+
+    async function update(table, id, patch) {
+        const { data, error } = await supabase
+            .from(table)
+            .update(patch)
+            .eq('id', id)
+            .select();
+        if (error) throw failure('update', table, error);
+        return data && data[0] ? data[0] : null;
+    }
+
+    async function upsert(table, row, key) {
+        const { data, error } = await supabase
+            .from(table)
+            .upsert([row], { onConflict: key })
+            .select();
+        if (error) throw failure('upsert', table, error);
+        return data && data[0] ? data[0] : null;
+    }
+
+    async function remove(table, id) {
+        const { data, error } = await supabase
+            .from(table)
+            .delete()
+            .eq('id', id)
+            .select('id');
+        if (error) throw failure('delete', table, error);
+        return Boolean(data && data.length);
+    }
+
+    return { name: 'supabase', insert, select, count, aggregate, update, upsert, remove };
+}
+
+module.exports = { createSupabaseStorage };
@@ -0,0 +1,8 @@
+'use strict';
+
+// `{{key}}` placeholder substitution shared by bot replies and emails.
+function renderTemplate(text, data) {
+    return String(text).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (data[key] == null ? '' : String(data[key])));
+}
+
+module.exports = { renderTemplate };
@@ -0,0 +1,128 @@
+'use strict';
+
+// Support tickets and their comment threads, stored through the storage
+// adapter. Tickets are addressed by a human-readable code such as TKT-7KQ4MX.
+
+const crypto = require('crypto');
+
+const TICKET_STATUSES = ['open', 'pending', 'resolved'];
+const TICKET_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+// No 0/O or 1/I so codes survive being read out or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_PATTERN = /\bTKT-?([A-HJ-NP-Z2-9]{6})\b/i;
+
+function generateCode() {
+    const bytes = crypto.randomBytes(6);
+    let code = '';
+    for (const byte of bytes) code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+    return `TKT-${code}`;
+}
+
+// Pulls a ticket code out of free text ("my ticket is tkt 7kq4mx" too)
+function parseTicketCode(text) {
+    if (!text) return null;
+    const match = String(text).replace(/TKT\s+/i, 'TKT-').match(CODE_PATTERN);
+    return match ? `TKT-${match[1].toUpperCase()}` : null;
+}
+
+function inferPriority(message) {
+    if (/\b(urgent|asap|immediately|emergency)\b/i.test(message || '')) return 'high';
+    return 'normal';
+}
+
+function createTicketStore({ storage, table, commentsTable }) {
+    async function getTicket(code) {
+        const rows = await storage.select(table, { where: { ticket_code: code }, limit: 1 });
+        return rows[0] || null;
+    }
+
+    async function createTicket({ sessionId, userName, userEmail, message, channel, priority }) {
+        let code = generateCode();
+        // Collisions are very unlikely, but cheap to rule out
+        while (await getTicket(code)) code = generateCode();
+
+        const now = new Date().toISOString();
+        const [ticket] = await storage.insert(table, [{
+            ticket_code: code,
+            session_id: sessionId || null,
+            user_name: userName,
+            user_email: userEmail,
+            message,
+            channel: channel || null,
+            status: 'open',
+            priority: priority || inferPriority(message),
+            assignee: null,
+            created_at: now,
+            updated_at: now,
+            resolved_at: null
+        }]);
+        return ticket;
+    }
+
+    async function listTickets({ status, priority, assignee, email, limit = 200 } = {}) {
+        const where = {};
+        if (status) where.status = status;
+        if (priority) where.priority = priority;
+        if (assignee) where.assignee = assignee;
+        if (email) where.user_email = email.toLowerCase();
+        return storage.select(table, { where, orderBy: 'created_at', ascending: false, limit });
+    }
+
+    async function updateTicket(code, changes) {
+        const ticket = await getTicket(code);
+        if (!ticket) return null;
+
+        const patch = { updated_at: new Date().toISOString() };
+        if (changes.status !== undefined) {
+            if (!TICKET_STATUSES.includes(changes.status)) throw new RangeError(`Invalid status "${changes.status}"`);
+            patch.status = changes.status;
+            patch.resolved_at = changes.status === 'resolved' ? patch.updated_at : null;
+        }
+        if (changes.priority !== undefined) {
+            if (!TICKET_PRIORITIES.includes(changes.priority)) throw new RangeError(`Invalid priority "${changes.priority}"`);
+            patch.priority = changes.priority;
+        }
+        if (changes.assignee !== undefined) {
+            patch.assignee = changes.assignee || null;
+        }
+        return storage.update(table, ticket.id, patch);
+    }
+
+    async function addComment(code, { author, body }) {
+        const ticket = await getTicket(code);
+        if (!ticket) return null;
+        const [comment] = await storage.insert(commentsTable, [{
+            ticket_id: ticket.id,
+            author: author || 'agent',
+            body
+        }]);
+        await storage.update(table, ticket.id, { updated_at: new Date().toISOString() });
+        return comment;
+    }
+
+    async function listComments(ticket) {
+        return storage.select(commentsTable, {
+            where: { ticket_id: ticket.id },
+            orderBy: 'created_at',
+            ascending: true
+        });
+    }
+
+    async function resolveTicket(code, { author, resolution } = {}) {
+        if (resolution) {
+            const comment = await addComment(code, { author, body: resolution });
+            if (!comment) return null;
+        }
+        return updateTicket(code, { status: 'resolved' });
+    }
+
+    return { getTicket, createTicket, listTickets, updateTicket, addComment, listComments, resolveTicket };
+}
+
+module.exports = {
+    createTicketStore,
+    parseTicketCode,
+    TICKET_STATUSES,
+    TICKET_PRIORITIES
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+// Read side of the conversation log for the admin transcript viewer: filtered
+// search with keyset pagination on `id` (newest first) and the ordered
+// transcript of a single session.
+
+const LIST_COLUMNS = 'id, session_id, intent_name, channel, user_name, user_email, user_message, response_text, used_gemini, fallback_reason, created_at';
+const SEARCH_COLUMNS = ['user_message', 'response_text', 'user_name', 'user_email'];
+const MAX_LIMIT = 100;
+const MAX_TRANSCRIPT = 1000;
+
+function parseBoolean(value, name) {
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+    throw new RangeError(`${name} must be true or false`);
+}
+
+// Query string -> search options; throws RangeError on bad input
+function parseConversationQuery(query = {}) {
+    const where = {};
+    if (query.email) where.user_email = String(query.email).trim().toLowerCase();
+    if (query.intent) where.intent_name = String(query.intent);
+    if (query.channel) where.channel = String(query.channel);
+    if (query.fallback_reason) where.fallback_reason = String(query.fallback_reason);
+    if (query.used_gemini !== undefined && query.used_gemini !== '') {
+        where.used_gemini = parseBoolean(query.used_gemini, 'used_gemini');
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = parseInt(query.cursor, 10);
+        if (!Number.isInteger(cursor) || cursor < 1) throw new RangeError('cursor must be a positive integer');
+    }
+
+    const limit = query.limit === undefined ? 25 : parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new RangeError(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    const q = query.q ? String(query.q).trim() : '';
+    return { q, where, cursor, limit };
+}
+
+function createTranscripts({ storage, conversationsTable }) {
+    // One extra row tells whether another page exists
+    async function searchConversations({ q, where, cursor, limit }) {
+        const rows = await storage.select(conversationsTable, {
+            columns: LIST_COLUMNS,
+            where,
+            lt: cursor ? { id: cursor } : undefined,
+            search: q ? { term: q, columns: SEARCH_COLUMNS } : undefined,
+            orderBy: 'id',
+            ascending: false,
+            limit: limit + 1
+        });
+        const conversations = rows.slice(0, limit);
+        const nextCursor = rows.length > limit ? conversations[conversations.length - 1].id : null;
+        return { conversations, nextCursor };
+    }
+
+    // Each stored turn becomes a user bubble followed by the bot's reply
+    async function getTranscript(sessionId) {
+        const records = await storage.select(conversationsTable, {
+            where: { session_id: sessionId },
+            orderBy: 'id',
+            ascending: true,
+            limit: MAX_TRANSCRIPT
+        });
+        if (!records.length) return null;
+
+        const messages = [];
+        for (const record of records) {
+            const meta = {
+                record_id: record.id,
+                created_at: record.created_at,
+                intent_name: record.intent_name || null
+            };
+            if (record.user_message) messages.push({ role: 'user', text: record.user_message, ...meta });
+            if (record.response_text) {
+                messages.push({
+                    role: 'bot',
+                    text: record.response_text,
+                    ...meta,
+                    used_gemini: record.used_gemini === true,
+                    fallback_reason: record.fallback_reason || null,
+                    agent_name: record.record_type === 'agent_reply' ? record.agent_name || 'agent' : null
+                });
+            }
+        }
+
+        const first = records[0];
+        const last = records[records.length - 1];
+        const withUser = records.filter(record => record.user_email || record.user_name).pop() || {};
+        return {
+            session: {
+                session_id: sessionId,
+                channel: first.channel || null,
+                user_name: withUser.user_name || null,
+                user_email: withUser.user_email || null,
+                started_at: first.created_at,
+                last_activity_at: last.created_at,
+                turns: records.length,
+                intents: Array.from(new Set(records.map(record => record.intent_name).filter(Boolean)))
+            },
+            messages
+        };
+    }
+
+    return { searchConversations, getTranscript };
+}
+
+module.exports = { createTranscripts, parseConversationQuery };
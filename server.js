@@ -4,13 +4,38 @@
 const path = require('path');
 const express = require('express');
 const bodyParser = require('body-parser');
-const { createClient } = require('@supabase/supabase-js');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createFaqStore } = require('./lib/faqStore');
+const { createStorage } = require('./lib/storage');
+const { selectAllPages } = require('./lib/storage/paging');
+const { createSessionStore } = require('./lib/session');
+const { createNotifier } = require('./lib/notifier');
+const { createAuth, createWebhookVerifier } = require('./lib/auth');
+const { createRateLimiter } = require('./lib/rateLimit');
+const { platforms, createWebhookHandler } = require('./lib/platforms');
+const { createTicketStore, TICKET_STATUSES, TICKET_PRIORITIES } = require('./lib/ticketStore');
+const { createFlowRegistry, loadFlows, createFlowMetrics } = require('./lib/flowRegistry');
+const { normalizeString, validateEmail } = require('./lib/extractors');
+const { createLlmClient, createProvider, createFallbackGenerator } = require('./lib/llm');
+const { createKnowledgeBase } = require('./lib/knowledgeBase');
+const { createConversationMemory } = require('./lib/conversationMemory');
+const { createAnalytics, parseAnalyticsFilters } = require('./lib/analytics');
+const { createTranscripts, parseConversationQuery } = require('./lib/transcripts');
+const { createExporter, parseExportFilters, EXPORT_FORMATS } = require('./lib/exporter');
+const { createAgentQueue, HANDOFF_STATUSES } = require('./lib/agentQueue');
+const { createEventBus, streamEvents } = require('./lib/events');
+const { KINDS: REDACTION_KINDS, redactMessages, redactFields } = require('./lib/redaction');
+const { createPrivacy, TEXT_FIELDS } = require('./lib/privacy');
+const { createLocales } = require('./lib/locales');
+const { createSimulator } = require('./lib/simulator');
+const { createOutbox } = require('./lib/outbox');
 
 // Always load .env next to this file
 require('dotenv').config({ path: path.join(__dirname, '.env') });
 
 const app = express();
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', process.env.TRUST_PROXY);
+}
 app.use(bodyParser.json());
 const port = process.env.PORT || 3000;
 
@@ -19,60 +44,192 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-// --- 2. SUPABASE CLIENT SETUP ---
+// --- 2. STORAGE & CLIENT SETUP ---
+const storageBackend = process.env.STORAGE_BACKEND;
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_ANON_KEY;
 const conversationsTable = process.env.SUPABASE_CONVERSATIONS_TABLE || 'support_conversations';
 const faqTable = process.env.SUPABASE_FAQ_TABLE || 'faqs';
 const feedbackTable = process.env.SUPABASE_FEEDBACK_TABLE || 'feedbacks';
+const faqEntriesTable = process.env.SUPABASE_FAQ_ENTRIES_TABLE || 'faq_entries';
+const faqCacheTtlMs = parseInt(process.env.FAQ_CACHE_TTL_MS || '60000', 10);
+const faqAnswerThreshold = parseFloat(process.env.FAQ_MATCH_ANSWER_THRESHOLD || '0.75');
+const faqSuggestThreshold = parseFloat(process.env.FAQ_MATCH_SUGGEST_THRESHOLD || '0.35');
+const helpDocsTable = process.env.SUPABASE_HELP_DOCS_TABLE || 'help_docs';
+const knowledgeChunkSize = parseInt(process.env.KNOWLEDGE_CHUNK_SIZE || '800', 10);
+const knowledgeTopK = parseInt(process.env.KNOWLEDGE_TOP_K || '3', 10);
+const helpDocMaxSize = process.env.HELP_DOC_MAX_SIZE || '1mb';
+const exportPageSize = parseInt(process.env.EXPORT_PAGE_SIZE || '500', 10);
+const sessionsTable = process.env.SUPABASE_SESSIONS_TABLE || 'session_state';
+const ticketsTable = process.env.SUPABASE_TICKETS_TABLE || 'support_tickets';
+const ticketCommentsTable = process.env.SUPABASE_TICKET_COMMENTS_TABLE || 'ticket_comments';
+const sessionBackend = process.env.SESSION_STORE || 'memory';
+const sessionTtlMs = parseInt(process.env.SESSION_TTL_MS || String(30 * 60 * 1000), 10);
+const sessionMaxEntries = parseInt(process.env.SESSION_MAX_ENTRIES || '10000', 10);
+const notificationsTable = process.env.SUPABASE_NOTIFICATIONS_TABLE || 'notifications';
+const handoffsTable = process.env.SUPABASE_HANDOFFS_TABLE || 'agent_handoffs';
+const kommunicateApiKey = process.env.KOMMUNICATE_API_KEY;
+const kommunicateBotId = process.env.KOMMUNICATE_BOT_ID;
+const privacyAuditTable = process.env.SUPABASE_PRIVACY_AUDIT_TABLE || 'privacy_audit_log';
+const simulationsTable = process.env.SUPABASE_SIMULATIONS_TABLE || 'simulation_scripts';
+// Record writes are queued on local disk and flushed to storage in the background
+const outboxFile = process.env.OUTBOX_FILE || path.join(dataDir, 'outbox.jsonl');
+const outboxMaxAttempts = parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '8', 10);
+const outboxRetryBaseMs = parseInt(process.env.OUTBOX_RETRY_BASE_MS || '1000', 10);
+const outboxRetryMaxMs = parseInt(process.env.OUTBOX_RETRY_MAX_MS || String(5 * 60 * 1000), 10);
+const outboxFlushIntervalMs = parseInt(process.env.OUTBOX_FLUSH_INTERVAL_MS || '5000', 10);
+// Masking PII in LLM prompts is on unless explicitly disabled; stored records opt in
+const redactLlmPii = process.env.REDACT_LLM_PII !== 'false';
+const redactRecords = process.env.REDACT_RECORDS === 'true';
+const redactKinds = process.env.REDACT_KINDS ? process.env.REDACT_KINDS.split(',').map(kind => kind.trim()) : REDACTION_KINDS;
+const retentionDays = parseInt(process.env.RETENTION_DAYS || '0', 10);
+const retentionMode = process.env.RETENTION_MODE || 'anonymize';
+const retentionIntervalMs = parseInt(process.env.RETENTION_INTERVAL_MS || String(24 * 60 * 60 * 1000), 10);
+const supportInbox = process.env.SUPPORT_INBOX;
+const negativeFeedbackMaxRating = parseFloat(process.env.NEGATIVE_FEEDBACK_MAX_RATING || '2');
+const helpCenterUrl = process.env.HELP_CENTER_URL;
+const flowsConfigPath = process.env.FLOWS_CONFIG_PATH || path.join(__dirname, 'config', 'flows.json');
+const localesDir = process.env.LOCALES_DIR || path.join(__dirname, 'config', 'locales');
+const defaultLocale = process.env.DEFAULT_LOCALE || 'en';
+const adminUsersTable = process.env.SUPABASE_ADMIN_USERS_TABLE || 'admin_users';
 const geminiApiKey = process.env.GEMINI_API_KEY;
 const geminiModel = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
-
-let supabase = null;
-if (supabaseUrl && supabaseKey) {
-    supabase = createClient(supabaseUrl, supabaseKey);
-    console.log('✅ Supabase client initialised');
+// gemini | openai (any OpenAI-compatible server, e.g. Ollama) | mock | none
+const llmProvider = process.env.LLM_PROVIDER || (geminiApiKey ? 'gemini' : 'none');
+const llmModel = process.env.LLM_MODEL || (llmProvider === 'gemini' ? geminiModel : 'llama3');
+const llmBaseUrl = process.env.LLM_BASE_URL || 'http://localhost:11434/v1';
+const llmApiKey = process.env.LLM_API_KEY || (llmProvider === 'gemini' ? geminiApiKey : undefined);
+const llmTimeoutMs = parseInt(process.env.LLM_TIMEOUT_MS || '2000', 10);
+const llmMaxRetries = parseInt(process.env.LLM_MAX_RETRIES || '1', 10);
+const llmRetryBaseMs = parseInt(process.env.LLM_RETRY_BASE_MS || '250', 10);
+const llmBreakerThreshold = parseInt(process.env.LLM_BREAKER_THRESHOLD || '5', 10);
+const llmBreakerResetMs = parseInt(process.env.LLM_BREAKER_RESET_MS || '30000', 10);
+const llmCacheTtlMs = parseInt(process.env.LLM_CACHE_TTL_MS || String(60 * 60 * 1000), 10);
+const llmCacheMaxEntries = parseInt(process.env.LLM_CACHE_MAX_ENTRIES || '500', 10);
+const llmSessionQuota = parseInt(process.env.LLM_SESSION_QUOTA || '20', 10);
+const llmSessionQuotaWindowMs = parseInt(process.env.LLM_SESSION_QUOTA_WINDOW_MS || String(60 * 60 * 1000), 10);
+const llmGlobalQuota = parseInt(process.env.LLM_GLOBAL_QUOTA || '2000', 10);
+const llmGlobalQuotaWindowMs = parseInt(process.env.LLM_GLOBAL_QUOTA_WINDOW_MS || String(24 * 60 * 60 * 1000), 10);
+const llmPromptCostPer1M = process.env.LLM_PROMPT_COST_PER_1M ? parseFloat(process.env.LLM_PROMPT_COST_PER_1M) : undefined;
+const llmCompletionCostPer1M = process.env.LLM_COMPLETION_COST_PER_1M ? parseFloat(process.env.LLM_COMPLETION_COST_PER_1M) : undefined;
+const memoryMaxMessages = parseInt(process.env.MEMORY_MAX_MESSAGES || '20', 10);
+const memoryKeepMessages = parseInt(process.env.MEMORY_KEEP_MESSAGES || '6', 10);
+const memoryTokenBudget = parseInt(process.env.MEMORY_TOKEN_BUDGET || '1000', 10);
+
+const storage = createStorage({ backend: storageBackend, supabaseUrl, supabaseKey, dataDir });
+if (storage.name === 'file') {
+    console.log(`✅ Local file storage initialised in ${dataDir}`);
 } else {
-    console.warn('⚠️ Supabase credentials are missing; skipping DB logging.');
+    console.log('✅ Supabase client initialised');
 }
 
-let geminiClient = null;
-if (geminiApiKey) {
-    geminiClient = new GoogleGenerativeAI(geminiApiKey);
-    console.log('✅ Gemini client initialised');
-} else {
-    console.warn('⚠️ Gemini API key missing; fallback will use default message.');
-}
+const sessionStore = createSessionStore({
+    backend: sessionBackend,
+    ttlMs: sessionTtlMs,
+    maxEntries: sessionMaxEntries,
+    storage,
+    table: sessionsTable,
+    sweepIntervalMs: 60 * 1000
+});
+console.log(`✅ Session store initialised (${sessionStore.name}, ttl ${sessionTtlMs}ms)`);
+
+const ticketStore = createTicketStore({ storage, table: ticketsTable, commentsTable: ticketCommentsTable });
+
+const notifier = createNotifier({
+    storage,
+    table: notificationsTable,
+    smtp: {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587', 10),
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+    },
+    from: process.env.MAIL_FROM || 'Support Bot <no-reply@localhost>',
+    templatesPath: process.env.NOTIFICATION_TEMPLATES_PATH || path.join(__dirname, 'templates', 'notifications.json'),
+    maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || '5', 10),
+    retryIntervalMs: 60 * 1000
+});
 
-// Generate response using Gemini (or fallback)
-async function generateFallbackResponse(prompt) {
-    if (!geminiClient) {
-        console.warn('⚠️ Gemini client not available; using default fallback message.');
-        return "I'm sorry, I didn't catch that. Could you please rephrase?";
-    }
+const auth = createAuth({
+    storage,
+    table: adminUsersTable,
+    secret: process.env.AUTH_SECRET,
+    tokenTtlMs: parseInt(process.env.ADMIN_TOKEN_TTL_MS || String(8 * 60 * 60 * 1000), 10),
+    bootstrapUser: { username: process.env.ADMIN_USERNAME, password: process.env.ADMIN_PASSWORD }
+});
+auth.ensureBootstrapUser().catch(error => console.error('❌ Failed to bootstrap admin user:', error));
+
+const verifyWebhook = createWebhookVerifier({
+    basicUser: process.env.WEBHOOK_BASIC_AUTH_USER,
+    basicPass: process.env.WEBHOOK_BASIC_AUTH_PASS,
+    secretHeader: process.env.WEBHOOK_SECRET_HEADER || 'x-webhook-secret',
+    secrets: (process.env.WEBHOOK_SECRETS || '').split(',').map(v => v.trim()).filter(Boolean),
+    allowUnverified: (process.env.WEBHOOK_VERIFICATION || '').toLowerCase() === 'off'
+});
 
-    try {
-        const model = geminiClient.getGenerativeModel({ model: geminiModel });
-        const result = await model.generateContent(prompt);
-        // FIXED: Optional chaining used correctly (no space)
-        const candidateText = result ? .response ? .text ? .trim();
-        return candidateText || "I'm sorry, I still didn't understand. Could you please clarify?";
-    } catch (error) {
-        console.error('❌ Gemini fallback failed:', error);
-        return "I'm sorry, I didn't catch that. Could you please rephrase?";
-    }
+const webhookLimiter = createRateLimiter({
+    windowMs: 60 * 1000,
+    max: parseInt(process.env.WEBHOOK_RATE_LIMIT_PER_MIN || '120', 10)
+});
+const loginLimiter = createRateLimiter({
+    windowMs: 15 * 60 * 1000,
+    max: parseInt(process.env.LOGIN_RATE_LIMIT_PER_15_MIN || '10', 10),
+    message: 'Too many login attempts, please try again later.'
+});
+
+// PII is masked before prompts leave the server
+const redactPrompt = redactLlmPii ? messages => redactMessages(messages, redactKinds) : undefined;
+
+const llm = createLlmClient({
+    provider: createProvider({
+        provider: llmProvider,
+        model: llmModel,
+        apiKey: llmApiKey,
+        baseUrl: llmBaseUrl,
+        mockResponse: process.env.LLM_MOCK_RESPONSE
+    }),
+    timeoutMs: llmTimeoutMs,
+    maxRetries: llmMaxRetries,
+    retryBaseMs: llmRetryBaseMs,
+    breaker: { failureThreshold: llmBreakerThreshold, resetMs: llmBreakerResetMs },
+    cache: { ttlMs: llmCacheTtlMs, maxEntries: llmCacheMaxEntries },
+    quotas: {
+        session: { max: llmSessionQuota, windowMs: llmSessionQuotaWindowMs },
+        global: { max: llmGlobalQuota, windowMs: llmGlobalQuotaWindowMs }
+    },
+    price: { prompt: llmPromptCostPer1M, completion: llmCompletionCostPer1M },
+    unavailableText: "I'm sorry, I didn't catch that. Could you please rephrase?",
+    emptyText: "I'm sorry, I still didn't understand. Could you please clarify?",
+    quotaText: "I've answered a lot of questions for you already, so I'm taking a short break. Please try again later, or choose Customer Support to reach our team.",
+    redact: redactPrompt
+});
+if (llmProvider === 'none') {
+    console.warn('⚠️ No LLM provider configured; fallback will use default message.');
+} else {
+    console.log(`✅ LLM provider: ${llmProvider} (${llmModel})`);
 }
 
-// --- 3. HELPER FUNCTIONS ---
-const CHIP_IMAGES = {
-    support: 'https://www.svgrepo.com/show/485554/customer-support.svg',
-    faq: 'https://www.svgrepo.com/show/488191/faq.svg',
-    feedback: 'https://www.svgrepo.com/show/339196/feedback-02.svg'
-};
+// Rolling transcript per session, replayed to the LLM on every fallback
+const conversationMemory = createConversationMemory({
+    sessionStore,
+    llm,
+    maxMessages: memoryMaxMessages,
+    keepMessages: memoryKeepMessages,
+    tokenBudget: memoryTokenBudget
+});
 
-const faqPendingSessions = new Set();
-const feedbackPendingSessions = new Set();
+// Bot text in other languages; config/flows.json is the default locale
+const locales = createLocales({ dir: localesDir, defaultLocale });
+console.log(`✅ Locales: ${locales.list().map(locale => locale.code).join(', ')} (default ${locales.defaultLocale})`);
 
+// LLM replies for the flows, in the user's language (see lib/llm/fallback.js)
+const generateFallbackResponse = createFallbackGenerator({ llm, conversationMemory, locales });
+
+// --- 3. HELPER FUNCTIONS ---
+// Seed data for the FAQ knowledge base; the live entries are managed from the
+// admin dashboard and read through faqStore.
 const FAQ_PREDEFINED = [
     { question: "How can I contact customer support?", answer: "You can reach our customer support team through live chat, email, or by submitting a ticket on our support page. Our team is available 24/7." },
     { question: "What is the average response time?", answer: "Our typical response time is a few minutes via live chat, and within 12–24 hours for email or ticket inquiries." },
@@ -88,73 +245,37 @@ const FAQ_PREDEFINED = [
     { question: "Where can I find tutorials or documentation?", answer: "All guides and docs are in the 'Help Center' section of our site." }
 ];
 
-const FAQ_ANSWER_MAP = FAQ_PREDEFINED.reduce((acc, item) => {
-    const key = item.question.trim().toLowerCase();
-    acc[key] = item.answer;
-    return acc;
-}, {});
-
-function normalizeString(value) {
-    if (value == null) return null;
-    if (typeof value === 'string') return value.trim() || null;
-    if (typeof value === 'object') {
-        if (value.name) return String(value.name).trim() || null;
-        if (value.original) return String(value.original).trim() || null;
-        if (value.displayName) return String(value.displayName).trim() || null;
-    }
-    return null;
-}
-
-function extractName(params) {
-    return normalizeString(
-        // FIXED: Optional chaining used correctly (no space)
-        params ? .name ||
-        params ? .person ? .name ||
-        params ? .person ? .original ||
-        params['given-name']
-    );
-}
-
-function extractEmail(params) {
-    return normalizeString(
-        // FIXED: Optional chaining used correctly (no space)
-        params ? .email ||
-        params ? .emailAddress ||
-        params['email-address']
-    );
-}
+const faqStore = createFaqStore({
+    storage,
+    table: faqEntriesTable,
+    seed: FAQ_PREDEFINED,
+    cacheTtlMs: faqCacheTtlMs,
+    localize: locales.localizeFaq
+});
 
-function extractUserMessage(params, fallbackText) {
-    return normalizeString(
-        // FIXED: Optional chaining used correctly (no space)
-        params ? .problem ||
-        params ? .issue ||
-        params ? .message ||
-        params['problem-description'] ||
-        params['customer_message'] ||
-        fallbackText
-    );
-}
+// Passages from FAQ entries and uploaded help documents used to ground LLM answers
+const knowledgeBase = createKnowledgeBase({
+    storage,
+    table: helpDocsTable,
+    faqStore,
+    chunkSize: knowledgeChunkSize,
+    topK: knowledgeTopK,
+    cacheTtlMs: faqCacheTtlMs
+});
 
-function extractRating(params) {
-    // FIXED: Optional chaining used correctly (no space)
-    const r = params ? .rating || params ? .score || params ? .['feedback-rating'];
-    if (r === undefined || r === null) return null;
-    const parsed = parseFloat(r);
-    return Number.isNaN(parsed) ? null : parsed;
-}
+const analytics = createAnalytics({ storage, conversationsTable, faqTable });
+const transcripts = createTranscripts({ storage, conversationsTable });
+const exporter = createExporter({
+    storage,
+    tables: { conversations: conversationsTable, faqs: faqTable, feedback: feedbackTable },
+    pageSize: exportPageSize
+});
 
-function extractFaqTopic(params, fallbackText) {
-    return normalizeString(
-        // FIXED: Optional chaining used correctly (no space)
-        params ? .topic ||
-        params ? .subject ||
-        params ? .['faq-topic'] ||
-        fallbackText
-    );
-}
+// Live dashboard updates
+const events = createEventBus();
 
-// Generic function to sanitize a record before saving
+// Generic function to sanitize a record before saving; with REDACT_RECORDS
+// the free-text columns are stored with PII masked
 function sanitizeRecord(record) {
     const sanitized = {};
     for (const [key, value] of Object.entries(record)) {
@@ -164,461 +285,294 @@ function sanitizeRecord(record) {
             sanitized[key] = value;
         }
     }
-    return sanitized;
+    return redactRecords ? redactFields(sanitized, TEXT_FIELDS, redactKinds) : sanitized;
 }
 
-async function saveConversationRecord(record) {
-    if (!supabase) {
-        console.warn('⏭️ Skipping Supabase insert: client not initialised.');
-        return;
+// Webhook records go through the outbox, so replies never wait on the
+// database and a failed insert is retried instead of lost
+const outbox = createOutbox({
+    storage,
+    file: outboxFile,
+    maxAttempts: outboxMaxAttempts,
+    retryBaseMs: outboxRetryBaseMs,
+    retryMaxMs: outboxRetryMaxMs,
+    flushIntervalMs: outboxFlushIntervalMs,
+    onDelivered: (entry, inserted) => {
+        console.log(`💾 ${entry.label} stored, id =`, inserted?.id ?? null);
+        events.publish(entry.label.toLowerCase(), inserted);
     }
+});
 
-    const sanitized = sanitizeRecord(record);
-    const { data, error } = await supabase
-        .from(conversationsTable)
-        .insert([sanitized])
-        .select();
-
-    if (error) {
-        console.error('❌ Failed to store conversation:', error);
-    } else {
-        // FIXED: Optional chaining used correctly (no space)
-        const insertedId = data ? .[0] ? .id ? ? null;
-        console.log('💾 Conversation stored, id =', insertedId);
-    }
-}
-
-async function saveFaqRecord(record) {
-    if (!supabase) {
-        console.warn('⏭️ Skipping Supabase insert for FAQ: client not initialised.');
-        return;
-    }
-
-    const sanitized = sanitizeRecord(record);
-    const { data, error } = await supabase
-        .from(faqTable)
-        .insert([sanitized])
-        .select();
-
-    if (error) {
-        console.error('❌ Failed to store FAQ:', error);
-    } else {
-        // FIXED: Optional chaining used correctly (no space)
-        const insertedId = data ? .[0] ? .id ? ? null;
-        console.log('💾 FAQ stored, id =', insertedId);
+async function insertRecord(table, label, record) {
+    try {
+        outbox.enqueue(table, sanitizeRecord(record), label);
+    } catch (error) {
+        console.error(`❌ Failed to queue ${label.toLowerCase()}:`, error);
     }
 }
 
-async function saveFeedbackRecord(record) {
-    if (!supabase) {
-        console.warn('⏭️ Skipping Supabase insert for feedback: client not initialised.');
-        return;
-    }
-
-    const sanitized = sanitizeRecord(record);
-    const { data, error } = await supabase
-        .from(feedbackTable)
-        .insert([sanitized])
-        .select();
-
-    if (error) {
-        console.error('❌ Failed to store feedback:', error);
-    } else {
-        // FIXED: Optional chaining used correctly (no space)
-        const insertedId = data ? .[0] ? .id ? ? null;
-        console.log('💾 Feedback stored, id =', insertedId);
-    }
+async function saveConversationRecord(record) {
+    await insertRecord(conversationsTable, 'Conversation', record);
 }
 
-function buildChipsPayload(options) {
-    return {
-        payload: {
-            richContent: [
-                [{
-                    type: 'chips',
-                    options,
-                }, ],
-            ],
-        },
-    };
+async function saveFaqRecord(record) {
+    await insertRecord(faqTable, 'FAQ', record);
 }
 
-function buildMissingFieldsResponse(missing) {
-    const text = `I still need your ${missing.join(' and ')}. Please provide the remaining detail(s).`;
-    return {
-        fulfillmentMessages: [{
-            text: { text: [text] },
-        }, ],
-    };
+async function saveFeedbackRecord(record) {
+    await insertRecord(feedbackTable, 'Feedback', record);
 }
 
-// --- 4. WEBHOOK ROUTE ---
-app.post('/dialogflow', async(req, res) => {
-    try {
-        console.log('👉 Request received!');
-
-        const body = req.body;
-        const queryResult = body.queryResult || {};
-        // FIXED: Optional chaining used correctly (no space)
-        const detectedIntent = queryResult.intent ? .displayName;
-        const parameters = queryResult.parameters || {};
-        const sessionId = body.session || body.sessionId || body.responseId;
-        // FIXED: Optional chaining used correctly (no space)
-        const channel = body.originalDetectIntentRequest ? .source || 'dialogflow';
-        const queryText = queryResult.queryText || '';
-        const intentConfidence = queryResult.intentDetectionConfidence;
-        const fallbackThreshold = parseFloat(process.env.FALLBACK_CONFIDENCE_THRESHOLD || '0.6');
-
-        const chipIntentMap = {
-            'customer support': 'Customer Support',
-            'faq': 'FAQ',
-            'frequently asked questions': 'FAQ',
-            'feedback': 'Feedback',
-            'leave feedback': 'Feedback'
-        };
-
-        let intentName = detectedIntent;
-        const normalizedQuery = queryText.trim().toLowerCase();
-        if (chipIntentMap[normalizedQuery]) {
-            intentName = chipIntentMap[normalizedQuery];
-            console.log(`🔁 Overriding intent based on chip: ${intentName}`);
-        }
-
-        const hasPendingFaq = faqPendingSessions.has(sessionId);
-        const hasPendingFeedback = feedbackPendingSessions.has(sessionId);
-
-        if (hasPendingFaq && intentName !== 'FAQ') {
-            console.log('🔁 Forcing to FAQ due to pending FAQ session');
-            intentName = 'FAQ';
-        } else if (hasPendingFeedback && intentName !== 'Feedback') {
-            console.log('🔁 Forcing to Feedback due to pending feedback session');
-            intentName = 'Feedback';
-        }
-
-        // --- Handle Intents ---
-        if (intentName === 'Default Welcome Intent') {
-            const welcome = [
-                { text: 'Welcome to Our Virtual Assistant. How can I help you today?' },
-                { text: 'Please select a category below:' },
-            ];
-
-            const chips = buildChipsPayload([
-                { text: 'Customer Support', image: { src: { rawUrl: CHIP_IMAGES.support } } },
-                { text: 'FAQ', image: { src: { rawUrl: CHIP_IMAGES.faq } } },
-                { text: 'Feedback', image: { src: { rawUrl: CHIP_IMAGES.feedback } } }
-            ]);
-
-            return res.json({
-                fulfillmentMessages: [
-                    { text: { text: [welcome[0].text] } },
-                    { text: { text: [welcome[1].text] } },
-                    chips,
-                ]
-            });
-        }
+// Live-agent handoffs; platforms with a push API get agent replies right away
+const agentQueue = createAgentQueue({
+    storage,
+    table: handoffsTable,
+    sessionStore,
+    saveConversationRecord,
+    events,
+    pushers: kommunicateApiKey && kommunicateBotId ? {
+        kommunicate: platforms.kommunicate.createPusher({
+            apiKey: kommunicateApiKey,
+            botId: kommunicateBotId,
+            baseUrl: process.env.KOMMUNICATE_API_URL
+        })
+    } : {}
+});
 
-        if (intentName === 'Customer Support') {
-            console.log('✅ Customer Support flow');
-
-            // If confidence is too low, do fallback
-            if (typeof intentConfidence === 'number' && intentConfidence < fallbackThreshold) {
-                const fallback = await generateFallbackResponse(queryText || 'Hello');
-
-                await saveConversationRecord({
-                    session_id: sessionId,
-                    intent_name: intentName,
-                    user_message: queryText,
-                    channel,
-                    response_text: fallback,
-                    intent_confidence: intentConfidence,
-                    used_gemini: true,
-                    fallback_reason: 'low_confidence'
-                });
-
-                return res.json({ fulfillmentText: fallback });
-            }
+// Tables holding customer records (erasure, retention and the simulator)
+const recordTables = {
+    conversations: conversationsTable,
+    faqs: faqTable,
+    feedback: feedbackTable,
+    handoffs: handoffsTable,
+    tickets: ticketsTable,
+    ticketComments: ticketCommentsTable,
+    notifications: notificationsTable
+};
 
-            // Extract info
-            const userName = extractName(parameters);
-            const userEmail = extractEmail(parameters);
-            const userMessage = extractUserMessage(parameters, queryText);
+const privacy = createPrivacy({
+    storage,
+    tables: recordTables,
+    auditTable: privacyAuditTable,
+    sessionStore,
+    outbox,
+    retentionDays,
+    retentionMode,
+    retentionIntervalMs
+});
+if (retentionDays) {
+    console.log(`✅ Retention: ${retentionMode} records older than ${retentionDays} days`);
+}
 
-            const missing = [];
-            if (!userName) missing.push('name');
-            if (!userEmail) missing.push('email');
-            if (!userMessage) missing.push('message');
+// --- 4. CONVERSATION FLOWS ---
+// Flows are declared in config/flows.json and implemented in lib/flows.
+const flowRegistry = createFlowRegistry({ sessionStore, saveConversationRecord, locales });
+const flowMetrics = createFlowMetrics();
+flowRegistry.use(flowMetrics);
+flowRegistry.use({ after: conversationMemory.after });
+
+// Thresholds and addresses the flow modules read from deps.config
+const flowConfig = {
+    fallbackThreshold: parseFloat(process.env.FALLBACK_CONFIDENCE_THRESHOLD || '0.6'),
+    faqAnswerThreshold,
+    faqSuggestThreshold,
+    helpCenterUrl,
+    supportInbox,
+    negativeFeedbackMaxRating
+};
 
-            if (missing.length) {
-                return res.json(buildMissingFieldsResponse(missing));
-            }
+loadFlows(flowRegistry, flowsConfigPath, {
+    faqStore,
+    knowledgeBase,
+    conversationMemory,
+    ticketStore,
+    agentQueue,
+    privacy,
+    notifier,
+    locales,
+    generateFallbackResponse,
+    saveFaqRecord,
+    saveFeedbackRecord,
+    config: flowConfig
+});
 
-            const reply = `Thanks ${userName}! I have logged your request. Our team will reach out soon at ${userEmail}.`;
-
-            await saveConversationRecord({
-                session_id: sessionId,
-                intent_name: intentName,
-                user_name: userName,
-                user_email: userEmail,
-                user_message: userMessage,
-                channel,
-                response_text: reply,
-                intent_confidence: intentConfidence,
-                used_gemini: false,
-                record_type: 'support'
-            });
-
-            return res.json({
-                fulfillmentMessages: [
-                    { text: { text: [reply] } }
-                ]
-            });
-        }
+// Dry runs of the flows against a sandbox, plus saved golden transcripts
+const simulator = createSimulator({
+    flowsConfigPath,
+    flowConfig,
+    locales,
+    tables: { ...recordTables, faqEntries: faqEntriesTable, helpDocs: helpDocsTable, privacyAudit: privacyAuditTable },
+    liveStorage: storage,
+    faqSeed: FAQ_PREDEFINED,
+    knowledge: { chunkSize: knowledgeChunkSize, topK: knowledgeTopK },
+    memory: { maxMessages: memoryMaxMessages, keepMessages: memoryKeepMessages, tokenBudget: memoryTokenBudget },
+    sanitizeRecord,
+    redact: redactPrompt,
+    storage,
+    table: simulationsTable
+});
 
-        if (intentName === 'FAQ') {
-            console.log('✅ FAQ flow');
-
-            const normalizedText = queryText.trim().toLowerCase();
-            const isChip = normalizedText === 'faq' || normalizedText === 'frequently asked questions';
-
-            if (isChip) {
-                const promptText = 'Here are some FAQs. Tap one or type your own question.';
-                faqPendingSessions.add(sessionId);
-
-                await saveConversationRecord({
-                    session_id: sessionId,
-                    intent_name: intentName,
-                    user_message: queryText,
-                    channel,
-                    response_text: promptText,
-                    record_type: 'faq_start',
-                    intent_confidence: intentConfidence,
-                    used_gemini: false
-                });
-
-                return res.json({
-                    fulfillmentMessages: [
-                        { text: { text: [promptText] } },
-                        buildChipsPayload(FAQ_PREDEFINED.map(item => ({ text: item.question })))
-                    ]
-                });
-            }
+// --- 5. PLATFORM ROUTES ---
+// Every channel shares the flow registry; adapters only translate the payloads.
+function mountPlatform(route, adapter) {
+    app.post(route, webhookLimiter, verifyWebhook, createWebhookHandler(route, adapter, turn => flowRegistry.run(turn)));
+}
 
-            // User typed question
-            const userName = extractName(parameters);
-            const userEmail = extractEmail(parameters);
-            const faqQuestion = extractFaqTopic(parameters, queryText);
+mountPlatform('/dialogflow', platforms.dialogflowEs);
+mountPlatform('/dialogflow/cx', platforms.dialogflowCx);
+mountPlatform('/kommunicate', platforms.kommunicate);
+mountPlatform('/api/chat', platforms.rest);
 
-            // FIXED: Using logical AND (&&) as requested for safe string method chaining
-            const normQ = faqQuestion && faqQuestion.trim().toLowerCase();
+// REST clients poll here for live-agent replies sent between their turns
+app.get('/api/chat/:sessionId/messages', webhookLimiter, verifyWebhook, platforms.rest.createMessagesHandler(agentQueue));
 
-            const predefined = FAQ_ANSWER_MAP[normQ];
+// --- ADMIN ROUTES ---
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'admin.html'));
+});
 
-            let faqAnswer;
-            let usedGemini = false;
-            if (predefined) {
-                faqAnswer = predefined;
-            } else {
-                const prompt = `User is asking: "${faqQuestion}". Provide a simple, clear answer.`;
-                faqAnswer = await generateFallbackResponse(prompt);
-                usedGemini = true;
-            }
+app.post('/api/auth/login', loginLimiter, async(req, res) => {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+        return res.status(400).json({ error: 'username and password are required' });
+    }
 
-            faqPendingSessions.delete(sessionId);
-
-            await saveConversationRecord({
-                session_id: sessionId,
-                intent_name: intentName,
-                user_name: userName,
-                user_email: userEmail,
-                user_message: faqQuestion,
-                channel,
-                response_text: faqAnswer,
-                record_type: 'faq',
-                intent_confidence: intentConfidence,
-                used_gemini: usedGemini
-            });
-
-            await saveFaqRecord({
-                session_id: sessionId,
-                user_name: userName,
-                user_email: userEmail,
-                question_text: faqQuestion,
-                answer_text: faqAnswer,
-                channel,
-                intent_name: intentName,
-                intent_confidence: intentConfidence,
-                used_gemini: usedGemini
-            });
-
-            return res.json({
-                fulfillmentMessages: [
-                    { text: { text: [faqAnswer] } }
-                ]
-            });
+    try {
+        const session = await auth.login(String(username), String(password));
+        if (!session) {
+            console.warn('🚫 Failed admin login for', username);
+            return res.status(401).json({ error: 'Invalid username or password' });
         }
+        auth.setTokenCookie(res, session.token);
+        return res.json(session);
+    } catch (err) {
+        console.error('❌ Error during login:', err);
+        return res.status(500).json({ error: 'Failed to log in' });
+    }
+});
 
-        if (intentName === 'Feedback') {
-            console.log('✅ Feedback flow');
-
-            const normalizedText = queryText.trim().toLowerCase();
-            const isChip = normalizedText === 'feedback' || normalizedText === 'leave feedback';
-
-            if (isChip) {
-                const prompt = 'Please type your feedback below.';
-                feedbackPendingSessions.add(sessionId);
-
-                await saveConversationRecord({
-                    session_id: sessionId,
-                    intent_name: intentName,
-                    user_message: queryText,
-                    channel,
-                    response_text: prompt,
-                    record_type: 'feedback_start',
-                    intent_confidence: intentConfidence,
-                    used_gemini: false
-                });
-
-                return res.json({
-                    fulfillmentMessages: [
-                        { text: { text: [prompt] } }
-                    ]
-                });
-            }
+app.post('/api/auth/logout', (req, res) => {
+    auth.clearTokenCookie(res);
+    return res.status(204).end();
+});
 
-            // User provided feedback
-            const userName = extractName(parameters);
-            const userEmail = extractEmail(parameters);
-            const feedbackText = extractUserMessage(parameters, queryText);
-            const feedbackRating = extractRating(parameters);
-
-            feedbackPendingSessions.delete(sessionId);
-            const thankYou = 'Thanks for your feedback — it really helps us!';
-
-            await saveConversationRecord({
-                session_id: sessionId,
-                intent_name: intentName,
-                user_name: userName,
-                user_email: userEmail,
-                user_message: feedbackText,
-                channel,
-                response_text: thankYou,
-                feedback_rating: feedbackRating,
-                record_type: 'feedback',
-                intent_confidence: intentConfidence,
-                used_gemini: false
-            });
-
-            await saveFeedbackRecord({
-                session_id: sessionId,
-                user_name: userName,
-                user_email: userEmail,
-                feedback_text: feedbackText,
-                feedback_rating: feedbackRating,
-                channel,
-                intent_name: intentName,
-                intent_confidence: intentConfidence,
-                used_gemini: false
-            });
-
-            return res.json({
-                fulfillmentMessages: [
-                    { text: { text: [thankYou] } }
-                ]
-            });
-        }
+app.get('/api/auth/me', auth.requireRole('viewer'), (req, res) => {
+    return res.json({ user: req.adminUser });
+});
 
-        // --- Fallback Handler ---
-        console.log('⚙️ Fallback handler triggered');
-        const fallback = await generateFallbackResponse(queryText || 'Hello');
-
-        await saveConversationRecord({
-            session_id: sessionId,
-            intent_name: intentName,
-            user_message: queryText,
-            channel,
-            response_text: fallback,
-            intent_confidence: intentConfidence,
-            used_gemini: true,
-            fallback_reason: 'unknown_intent'
-        });
+// Everything under /api/admin needs at least the viewer role; routes that
+// change data ask for more below.
+app.use('/api/admin', auth.requireRole('viewer'));
 
-        return res.json({
-            fulfillmentText: fallback
-        });
+app.get('/api/admin/users', auth.requireRole('admin'), async(req, res) => {
+    try {
+        const users = await auth.listUsers();
+        return res.json({ users });
     } catch (err) {
-        console.error('❌ Webhook Error:', err);
-        return res.json({
-            fulfillmentText: 'Something went wrong. Please try again later.'
-        });
+        console.error('❌ Error listing admin users:', err);
+        return res.status(500).json({ error: 'Failed to list users' });
     }
 });
 
-// --- ADMIN ROUTES ---
-app.get('/admin', (req, res) => {
-    res.sendFile(path.join(__dirname, 'admin.html'));
+app.post('/api/admin/users', auth.requireRole('admin'), async(req, res) => {
+    const { username, password, role } = req.body || {};
+    if (!normalizeString(username) || !password || String(password).length < 8) {
+        return res.status(400).json({ error: 'username and a password of at least 8 characters are required' });
+    }
+
+    try {
+        const user = await auth.createUser({ username: normalizeString(username), password: String(password), role: role || 'viewer' });
+        return res.status(201).json({ user });
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('❌ Error creating admin user:', err);
+        return res.status(500).json({ error: 'Failed to create user' });
+    }
 });
 
-app.get('/api/admin/overview', async(req, res) => {
-    if (!supabase) {
-        return res.status(500).json({ error: 'Supabase not initialised.' });
+// Token/cost totals per key, skipping canned and over-quota replies that
+// never reached a provider
+function mergeLlmUsage(rows, keyOf) {
+    const merged = {};
+    for (const row of rows) {
+        if (row.llm_provider === 'canned' || row.llm_provider === 'quota') continue;
+        const key = keyOf(row);
+        const entry = merged[key] || (merged[key] = { calls: 0, cached: 0, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 });
+        entry.calls += row.count;
+        entry.cached += row.cached;
+        entry.prompt_tokens += row.prompt_tokens;
+        entry.completion_tokens += row.completion_tokens;
+        entry.cost_usd += row.cost_usd;
     }
+    for (const entry of Object.values(merged)) entry.cost_usd = Math.round(entry.cost_usd * 1e6) / 1e6;
+    return merged;
+}
+
+const LLM_USAGE_METRICS = {
+    cached: { countTrue: 'llm_cached' },
+    prompt_tokens: { sum: 'llm_prompt_tokens' },
+    completion_tokens: { sum: 'llm_completion_tokens' },
+    cost_usd: { sum: 'llm_cost_usd' }
+};
 
+app.get('/api/admin/overview', async(req, res) => {
     try {
+        const allTime = { where: {} };
         const [
-            convCountRes,
-            faqCountRes,
-            feedbackCountRes,
-            convRowsRes,
-            faqRowsRes
+            conversationsCount,
+            faqsCount,
+            feedbacksCount,
+            convRows,
+            geminiUsageByIntent,
+            fallbackList,
+            topFaqs,
+            llmIntentRows,
+            llmDayRows
         ] = await Promise.all([
-            supabase.from(conversationsTable).select('*', { count: 'exact', head: true }),
-            supabase.from(faqTable).select('*', { count: 'exact', head: true }),
-            supabase.from(feedbackTable).select('*', { count: 'exact', head: true }),
-            supabase
-            .from(conversationsTable)
-            .select('id, session_id, intent_name, user_name, user_email, created_at, used_gemini, fallback_reason')
-            .order('created_at', { ascending: false })
-            .limit(100),
-            supabase
-            .from(faqTable)
-            .select('id, question_text, created_at')
-            .order('created_at', { ascending: false })
-            .limit(500)
+            storage.count(conversationsTable),
+            storage.count(faqTable),
+            storage.count(feedbackTable),
+            storage.select(conversationsTable, {
+                columns: 'id, session_id, intent_name, user_name, user_email, created_at, used_gemini, fallback_reason',
+                orderBy: 'created_at',
+                ascending: false,
+                limit: 100
+            }),
+            storage.aggregate(conversationsTable, { where: { used_gemini: true }, groupBy: ['intent_name'] })
+                .then(rows => rows.map(row => ({ intent_name: row.intent_name || 'Unknown', count: row.count }))),
+            analytics.fallbackReasons(allTime),
+            analytics.topFaqs(allTime),
+            storage.aggregate(conversationsTable, {
+                where: { used_gemini: true },
+                groupBy: ['intent_name', 'llm_provider'],
+                metrics: LLM_USAGE_METRICS
+            }),
+            storage.aggregate(conversationsTable, {
+                where: { used_gemini: true },
+                from: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(),
+                granularity: 'day',
+                groupBy: ['llm_provider'],
+                metrics: LLM_USAGE_METRICS
+            })
         ]);
 
-        if (convCountRes.error || faqCountRes.error || feedbackCountRes.error || convRowsRes.error || faqRowsRes.error) {
-            console.error('❌ Admin overview query error', {
-                convError: convCountRes.error,
-                faqError: faqCountRes.error,
-                feedbackError: feedbackCountRes.error,
-                convRowsError: convRowsRes.error,
-                faqRowsError: faqRowsRes.error
-            });
-            return res.status(500).json({ error: 'Failed to get admin data' });
-        }
-
         const totals = {
-            conversations: convCountRes.count || 0,
-            faqs: faqCountRes.count || 0,
-            feedbacks: feedbackCountRes.count || 0
+            conversations: conversationsCount,
+            faqs: faqsCount,
+            feedbacks: feedbacksCount
         };
 
-        const convRows = convRowsRes.data || [];
-        const faqRows = faqRowsRes.data || [];
+        const llmUsageByIntent = Object.entries(mergeLlmUsage(llmIntentRows, row => row.intent_name || 'Unknown'))
+            .map(([intent_name, entry]) => ({ intent_name, ...entry }))
+            .sort((a, b) => b.cost_usd - a.cost_usd || b.calls - a.calls);
+        const llmUsageByDay = Object.entries(mergeLlmUsage(llmDayRows, row => row.bucket.slice(0, 10)))
+            .map(([day, entry]) => ({ day, ...entry }))
+            .sort((a, b) => a.day.localeCompare(b.day));
 
-        const geminiUsage = {};
-        const fallbackCounts = {};
         const userLastSeen = {};
-
         for (const row of convRows) {
-            const intent = row.intent_name || 'Unknown';
-            if (row.used_gemini) {
-                geminiUsage[intent] = (geminiUsage[intent] || 0) + 1;
-                if (row.fallback_reason) {
-                    const key = `${intent}|${row.fallback_reason}`;
-                    fallbackCounts[key] = (fallbackCounts[key] || 0) + 1;
-                }
-            }
             if (row.user_email) {
                 const email = row.user_email;
                 const last = userLastSeen[email];
@@ -632,23 +586,6 @@ app.get('/api/admin/overview', async(req, res) => {
             }
         }
 
-        const geminiUsageByIntent = Object.entries(geminiUsage).map(([intent_name, count]) => ({ intent_name, count }));
-        const fallbackList = Object.entries(fallbackCounts).map(([key, count]) => {
-            const [intent_name, fallback_reason] = key.split('|');
-            return { intent_name, fallback_reason, count };
-        });
-
-        const faqCountMap = {};
-        for (const row of faqRows) {
-            const q = row.question_text || 'Unknown';
-            faqCountMap[q] = (faqCountMap[q] || 0) + 1;
-        }
-
-        const topFaqs = Object.entries(faqCountMap)
-            .map(([question_text, count]) => ({ question_text, count }))
-            .sort((a, b) => b.count - a.count)
-            .slice(0, 10);
-
         const recentUsers = Object.values(userLastSeen)
             .sort((a, b) => new Date(b.last_seen) - new Date(a.last_seen))
             .slice(0, 20);
@@ -656,6 +593,8 @@ app.get('/api/admin/overview', async(req, res) => {
         return res.json({
             totals,
             geminiUsageByIntent,
+            llmUsageByIntent,
+            llmUsageByDay,
             fallbackList,
             topFaqs,
             recentConversations: convRows,
@@ -667,6 +606,702 @@ app.get('/api/admin/overview', async(req, res) => {
     }
 });
 
+// Server-Sent Events: conversation, faq, feedback and handoff
+app.get('/api/admin/events', (req, res) => {
+    streamEvents(req, res, events);
+});
+
+// --- ANALYTICS ROUTES ---
+// Shared query string: from, to (ISO dates), granularity, channel, intent
+function analyticsRoute(label, build) {
+    return async(req, res) => {
+        let filters;
+        try {
+            filters = parseAnalyticsFilters(req.query);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+
+        try {
+            return res.json({ filters, ...(await build(filters, req)) });
+        } catch (err) {
+            console.error(`❌ Error building ${label}:`, err);
+            return res.status(500).json({ error: `Failed to build ${label}` });
+        }
+    };
+}
+
+app.get('/api/admin/analytics/timeseries', analyticsRoute('analytics time series', filters => analytics.timeseries(filters)));
+
+app.get('/api/admin/analytics/intents', analyticsRoute('intent analytics', async filters => ({
+    intents: await analytics.intents(filters),
+    fallbackReasons: await analytics.fallbackReasons(filters)
+})));
+
+app.get('/api/admin/analytics/locales', analyticsRoute('locale analytics', async filters => ({
+    locales: await analytics.locales(filters),
+    available: locales.list()
+})));
+
+app.get('/api/admin/analytics/top-faqs', analyticsRoute('FAQ analytics', async(filters, req) => {
+    const limit = Math.min(parseInt(req.query.limit || '10', 10) || 10, 100);
+    return { topFaqs: await analytics.topFaqs(filters, limit) };
+}));
+
+// --- CONVERSATION TRANSCRIPT ROUTES ---
+// Filters: q (text), email, intent, channel, used_gemini, fallback_reason;
+// pass the returned nextCursor back as `cursor` for the next page
+app.get('/api/admin/conversations', async(req, res) => {
+    let query;
+    try {
+        query = parseConversationQuery(req.query);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    try {
+        return res.json(await transcripts.searchConversations(query));
+    } catch (err) {
+        console.error('❌ Error searching conversations:', err);
+        return res.status(500).json({ error: 'Failed to search conversations' });
+    }
+});
+
+app.get('/api/admin/conversations/sessions/:sessionId', async(req, res) => {
+    try {
+        const transcript = await transcripts.getTranscript(req.params.sessionId);
+        if (!transcript) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        return res.json(transcript);
+    } catch (err) {
+        console.error('❌ Error loading transcript:', err);
+        return res.status(500).json({ error: 'Failed to load transcript' });
+    }
+});
+
+// --- EXPORT ROUTES ---
+// Filters: from, to, channel, intent; without a range the whole dataset is exported
+app.get('/api/admin/export/:dataset', async(req, res) => {
+    const { dataset } = req.params;
+    const format = req.query.format || 'csv';
+    if (!exporter.datasets.includes(dataset)) {
+        return res.status(404).json({ error: `Unknown dataset; use one of ${exporter.datasets.join(', ')}` });
+    }
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    let filters;
+    try {
+        filters = parseExportFilters(req.query);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    try {
+        const count = await exporter.streamExport(res, { dataset, format, filters });
+        console.log(`📤 Exported ${count} ${dataset} row(s) as ${format}`);
+    } catch (err) {
+        console.error(`❌ Error exporting ${dataset}:`, err);
+        if (!res.headersSent) {
+            res.removeHeader('Content-Disposition');
+            return res.status(500).json({ error: `Failed to export ${dataset}` });
+        }
+        // Too late for a status code; cut the download short so it is not mistaken for complete
+        res.destroy(err);
+    }
+});
+
+// --- FEEDBACK ROUTES ---
+// CSAT = share of rated responses scoring 4 or 5
+app.get('/api/admin/feedback/csat', async(req, res) => {
+    const days = parseInt(req.query.days || '30', 10);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+        return res.status(400).json({ error: 'days must be between 1 and 365' });
+    }
+
+    try {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const rows = (await selectAllPages(storage, feedbackTable, {
+            columns: 'id, session_id, user_name, user_email, feedback_text, feedback_rating, sentiment, topics, channel, created_at',
+            gte: { created_at: since }
+        })).sort((a, b) => (a.created_at < b.created_at ? 1 : -1));
+
+        const summarize = group => {
+            const rated = group.filter(row => typeof row.feedback_rating === 'number');
+            const total = rated.reduce((sum, row) => sum + row.feedback_rating, 0);
+            const satisfied = rated.filter(row => row.feedback_rating >= 4).length;
+            return {
+                responses: group.length,
+                rated: rated.length,
+                average_rating: rated.length ? Math.round(total / rated.length * 100) / 100 : null,
+                csat: rated.length ? Math.round(satisfied / rated.length * 1000) / 10 : null
+            };
+        };
+
+        const byDayRows = {};
+        const sentiment = { positive: 0, neutral: 0, negative: 0 };
+        const topicCounts = {};
+        for (const row of rows) {
+            const day = String(row.created_at).slice(0, 10);
+            (byDayRows[day] || (byDayRows[day] = [])).push(row);
+            if (sentiment[row.sentiment] !== undefined) sentiment[row.sentiment]++;
+            for (const topic of row.topics || []) topicCounts[topic] = (topicCounts[topic] || 0) + 1;
+        }
+
+        return res.json({
+            days,
+            summary: summarize(rows),
+            byDay: Object.keys(byDayRows).sort().map(day => ({ day, ...summarize(byDayRows[day]) })),
+            sentiment,
+            topics: Object.entries(topicCounts)
+                .map(([topic, count]) => ({ topic, count }))
+                .sort((a, b) => b.count - a.count),
+            negativeComments: rows
+                .filter(row => row.sentiment === 'negative' && row.feedback_text)
+                .slice(0, 10)
+        });
+    } catch (err) {
+        console.error('❌ Error building CSAT report:', err);
+        return res.status(500).json({ error: 'Failed to build CSAT report' });
+    }
+});
+
+// --- FAQ KNOWLEDGE BASE ROUTES ---
+function readFaqInput(body) {
+    const input = body || {};
+    const question = normalizeString(input.question);
+    const answer = normalizeString(input.answer);
+    const category = input.category === null ? null : normalizeString(input.category);
+    return { question, answer, category };
+}
+
+app.get('/api/admin/faqs', async(req, res) => {
+    try {
+        const [entries, categories] = await Promise.all([
+            faqStore.listEntries(),
+            faqStore.listCategories()
+        ]);
+        const category = normalizeString(req.query.category);
+        return res.json({
+            entries: category ? entries.filter(e => e.category === category) : entries,
+            categories
+        });
+    } catch (err) {
+        console.error('❌ Error listing FAQ entries:', err);
+        return res.status(500).json({ error: 'Failed to list FAQ entries' });
+    }
+});
+
+app.post('/api/admin/faqs', auth.requireRole('agent'), async(req, res) => {
+    const { question, answer, category } = readFaqInput(req.body);
+    if (!question || !answer) {
+        return res.status(400).json({ error: 'question and answer are required' });
+    }
+
+    try {
+        const entry = await faqStore.createEntry({ question, answer, category });
+        return res.status(201).json({ entry });
+    } catch (err) {
+        console.error('❌ Error creating FAQ entry:', err);
+        return res.status(500).json({ error: 'Failed to create FAQ entry' });
+    }
+});
+
+// Static path first so it is not captured by /:id
+app.put('/api/admin/faqs/order', auth.requireRole('agent'), async(req, res) => {
+    const ids = req.body && req.body.ids;
+    if (!Array.isArray(ids) || ids.length === 0) {
+        return res.status(400).json({ error: 'ids must be a non-empty array' });
+    }
+
+    try {
+        const entries = await faqStore.reorderEntries(ids);
+        return res.json({ entries });
+    } catch (err) {
+        console.error('❌ Error reordering FAQ entries:', err);
+        return res.status(500).json({ error: 'Failed to reorder FAQ entries' });
+    }
+});
+
+app.post('/api/admin/faqs/reload', auth.requireRole('agent'), async(req, res) => {
+    try {
+        const { entries } = await faqStore.reload();
+        return res.json({ count: entries.length });
+    } catch (err) {
+        console.error('❌ Error reloading FAQ cache:', err);
+        return res.status(500).json({ error: 'Failed to reload FAQ entries' });
+    }
+});
+
+app.put('/api/admin/faqs/:id', auth.requireRole('agent'), async(req, res) => {
+    const input = req.body || {};
+    const { question, answer, category } = readFaqInput(input);
+    const changes = {};
+    if (input.question !== undefined) {
+        if (!question) return res.status(400).json({ error: 'question cannot be empty' });
+        changes.question = question;
+    }
+    if (input.answer !== undefined) {
+        if (!answer) return res.status(400).json({ error: 'answer cannot be empty' });
+        changes.answer = answer;
+    }
+    if (input.category !== undefined) {
+        changes.category = category;
+    }
+
+    try {
+        const entry = await faqStore.updateEntry(req.params.id, changes);
+        if (!entry) {
+            return res.status(404).json({ error: 'FAQ entry not found' });
+        }
+        return res.json({ entry });
+    } catch (err) {
+        console.error('❌ Error updating FAQ entry:', err);
+        return res.status(500).json({ error: 'Failed to update FAQ entry' });
+    }
+});
+
+app.delete('/api/admin/faqs/:id', auth.requireRole('agent'), async(req, res) => {
+    try {
+        const deleted = await faqStore.deleteEntry(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'FAQ entry not found' });
+        }
+        return res.status(204).end();
+    } catch (err) {
+        console.error('❌ Error deleting FAQ entry:', err);
+        return res.status(500).json({ error: 'Failed to delete FAQ entry' });
+    }
+});
+
+// --- HELP DOCUMENT ROUTES ---
+app.get('/api/admin/docs', async(req, res) => {
+    try {
+        const documents = await knowledgeBase.listDocuments();
+        return res.json({ documents });
+    } catch (err) {
+        console.error('❌ Error listing help documents:', err);
+        return res.status(500).json({ error: 'Failed to list help documents' });
+    }
+});
+
+// Raw upload: the body is the file itself (text/markdown or text/plain) and
+// the title comes from ?title=, e.g. the original file name.
+app.post('/api/admin/docs', auth.requireRole('agent'), bodyParser.text({ type: 'text/*', limit: helpDocMaxSize }), async(req, res) => {
+    const title = normalizeString(req.query.title);
+    const content = typeof req.body === 'string' ? req.body.trim() : '';
+    if (!title || !content) {
+        return res.status(400).json({ error: 'title and a text/markdown or text/plain body are required' });
+    }
+
+    try {
+        const document = await knowledgeBase.addDocument({ title, content, contentType: req.get('content-type') });
+        return res.status(201).json({ document });
+    } catch (err) {
+        console.error('❌ Error uploading help document:', err);
+        return res.status(500).json({ error: 'Failed to upload help document' });
+    }
+});
+
+// Shows which passages a question would retrieve
+app.get('/api/admin/docs/search', async(req, res) => {
+    const q = normalizeString(req.query.q);
+    if (!q) {
+        return res.status(400).json({ error: 'q is required' });
+    }
+
+    try {
+        const passages = await knowledgeBase.retrieve(q);
+        return res.json({ passages });
+    } catch (err) {
+        console.error('❌ Error searching help documents:', err);
+        return res.status(500).json({ error: 'Failed to search help documents' });
+    }
+});
+
+app.delete('/api/admin/docs/:id', auth.requireRole('agent'), async(req, res) => {
+    try {
+        const deleted = await knowledgeBase.deleteDocument(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Help document not found' });
+        }
+        return res.status(204).end();
+    } catch (err) {
+        console.error('❌ Error deleting help document:', err);
+        return res.status(500).json({ error: 'Failed to delete help document' });
+    }
+});
+
+// --- LIVE AGENT ROUTES ---
+function handoffId(req) {
+    const id = parseInt(req.params.id, 10);
+    return Number.isInteger(id) ? id : null;
+}
+
+// Sends a handoff action's result, mapping a missing handoff to 404 and a
+// closed one to 400
+function handoffRoute(label, action) {
+    return async(req, res) => {
+        const id = handoffId(req);
+        if (id === null) {
+            return res.status(404).json({ error: 'Handoff not found' });
+        }
+        try {
+            const result = await action(id, req);
+            if (!result) {
+                return res.status(404).json({ error: 'Handoff not found' });
+            }
+            return res.json(result);
+        } catch (err) {
+            if (err instanceof RangeError) {
+                return res.status(400).json({ error: err.message });
+            }
+            console.error(`❌ Failed to ${label}:`, err);
+            return res.status(500).json({ error: `Failed to ${label}` });
+        }
+    };
+}
+
+app.get('/api/admin/handoffs', async(req, res) => {
+    const { status } = req.query;
+    if (status && !HANDOFF_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${HANDOFF_STATUSES.join(', ')}` });
+    }
+
+    try {
+        return res.json({ handoffs: await agentQueue.listHandoffs({ status }) });
+    } catch (err) {
+        console.error('❌ Error listing handoffs:', err);
+        return res.status(500).json({ error: 'Failed to list handoffs' });
+    }
+});
+
+app.post('/api/admin/handoffs/:id/claim', auth.requireRole('agent'), handoffRoute('claim handoff', async(id, req) => {
+    const handoff = await agentQueue.claim(id, req.adminUser.username);
+    return handoff && { handoff };
+}));
+
+app.post('/api/admin/handoffs/:id/messages', auth.requireRole('agent'), async(req, res, next) => {
+    if (!normalizeString((req.body || {}).text)) {
+        return res.status(400).json({ error: 'text is required' });
+    }
+    return next();
+}, handoffRoute('send agent reply', (id, req) => (
+    agentQueue.sendReply(id, req.adminUser.username, normalizeString(req.body.text))
+)));
+
+app.post('/api/admin/handoffs/:id/close', auth.requireRole('agent'), handoffRoute('close handoff', async(id, req) => {
+    const handoff = await agentQueue.close(id, req.adminUser.username, normalizeString((req.body || {}).message));
+    return handoff && { handoff };
+}));
+
+// --- PRIVACY ROUTES ---
+// Erases every record for an email address or a session; admins only
+app.post('/api/admin/privacy/erase', auth.requireRole('admin'), async(req, res) => {
+    const input = req.body || {};
+    const rawEmail = normalizeString(input.email);
+    const email = rawEmail && validateEmail(rawEmail);
+    const sessionId = normalizeString(input.session_id);
+    if (rawEmail && !email) {
+        return res.status(400).json({ error: 'email is not a valid address' });
+    }
+    if (!email && !sessionId) {
+        return res.status(400).json({ error: 'email or session_id is required' });
+    }
+
+    try {
+        const result = await privacy.erase({ email, sessionId, actor: req.adminUser.username, source: 'admin' });
+        return res.json(result);
+    } catch (err) {
+        console.error('❌ Error erasing user data:', err);
+        return res.status(500).json({ error: 'Failed to erase user data' });
+    }
+});
+
+app.post('/api/admin/privacy/retention/run', auth.requireRole('admin'), async(req, res) => {
+    if (!privacy.retention.days) {
+        return res.status(400).json({ error: 'Retention is disabled; set RETENTION_DAYS' });
+    }
+    try {
+        return res.json(await privacy.runRetention({ actor: req.adminUser.username }));
+    } catch (err) {
+        console.error('❌ Error running retention job:', err);
+        return res.status(500).json({ error: 'Failed to run retention job' });
+    }
+});
+
+app.get('/api/admin/privacy/audit', auth.requireRole('admin'), async(req, res) => {
+    try {
+        return res.json({ retention: privacy.retention, entries: await privacy.listAudit() });
+    } catch (err) {
+        console.error('❌ Error loading privacy audit log:', err);
+        return res.status(500).json({ error: 'Failed to load privacy audit log' });
+    }
+});
+
+// --- TICKET ROUTES ---
+app.get('/api/admin/tickets', async(req, res) => {
+    const { status, priority, assignee, email } = req.query;
+    if (status && !TICKET_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${TICKET_STATUSES.join(', ')}` });
+    }
+    if (priority && !TICKET_PRIORITIES.includes(priority)) {
+        return res.status(400).json({ error: `priority must be one of ${TICKET_PRIORITIES.join(', ')}` });
+    }
+
+    try {
+        const tickets = await ticketStore.listTickets({ status, priority, assignee, email });
+        return res.json({ tickets });
+    } catch (err) {
+        console.error('❌ Error listing tickets:', err);
+        return res.status(500).json({ error: 'Failed to list tickets' });
+    }
+});
+
+app.get('/api/admin/tickets/:code', async(req, res) => {
+    try {
+        const ticket = await ticketStore.getTicket(req.params.code.toUpperCase());
+        if (!ticket) {
+            return res.status(404).json({ error: 'Ticket not found' });
+        }
+        const comments = await ticketStore.listComments(ticket);
+        return res.json({ ticket, comments });
+    } catch (err) {
+        console.error('❌ Error loading ticket:', err);
+        return res.status(500).json({ error: 'Failed to load ticket' });
+    }
+});
+
+app.put('/api/admin/tickets/:code', auth.requireRole('agent'), async(req, res) => {
+    const { status, priority, assignee } = req.body || {};
+    try {
+        const ticket = await ticketStore.updateTicket(req.params.code.toUpperCase(), { status, priority, assignee });
+        if (!ticket) {
+            return res.status(404).json({ error: 'Ticket not found' });
+        }
+        return res.json({ ticket });
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('❌ Error updating ticket:', err);
+        return res.status(500).json({ error: 'Failed to update ticket' });
+    }
+});
+
+app.post('/api/admin/tickets/:code/assign', auth.requireRole('agent'), async(req, res) => {
+    const assignee = normalizeString(req.body && req.body.assignee);
+    try {
+        const ticket = await ticketStore.updateTicket(req.params.code.toUpperCase(), { assignee });
+        if (!ticket) {
+            return res.status(404).json({ error: 'Ticket not found' });
+        }
+        return res.json({ ticket });
+    } catch (err) {
+        console.error('❌ Error assigning ticket:', err);
+        return res.status(500).json({ error: 'Failed to assign ticket' });
+    }
+});
+
+app.post('/api/admin/tickets/:code/comments', auth.requireRole('agent'), async(req, res) => {
+    const input = req.body || {};
+    const body = normalizeString(input.body);
+    if (!body) {
+        return res.status(400).json({ error: 'body is required' });
+    }
+
+    try {
+        const comment = await ticketStore.addComment(req.params.code.toUpperCase(), {
+            author: normalizeString(input.author) || req.adminUser.username,
+            body
+        });
+        if (!comment) {
+            return res.status(404).json({ error: 'Ticket not found' });
+        }
+        return res.status(201).json({ comment });
+    } catch (err) {
+        console.error('❌ Error adding ticket comment:', err);
+        return res.status(500).json({ error: 'Failed to add comment' });
+    }
+});
+
+app.post('/api/admin/tickets/:code/resolve', auth.requireRole('agent'), async(req, res) => {
+    const input = req.body || {};
+    try {
+        const ticket = await ticketStore.resolveTicket(req.params.code.toUpperCase(), {
+            author: normalizeString(input.author) || req.adminUser.username,
+            resolution: normalizeString(input.resolution)
+        });
+        if (!ticket) {
+            return res.status(404).json({ error: 'Ticket not found' });
+        }
+        return res.json({ ticket });
+    } catch (err) {
+        console.error('❌ Error resolving ticket:', err);
+        return res.status(500).json({ error: 'Failed to resolve ticket' });
+    }
+});
+
+// --- NOTIFICATION ROUTES ---
+app.get('/api/admin/notifications', async(req, res) => {
+    try {
+        const notifications = await notifier.listNotifications({ status: normalizeString(req.query.status) });
+        return res.json({ notifications });
+    } catch (err) {
+        console.error('❌ Error listing notifications:', err);
+        return res.status(500).json({ error: 'Failed to list notifications' });
+    }
+});
+
+app.post('/api/admin/notifications/retry', auth.requireRole('agent'), async(req, res) => {
+    try {
+        const retried = await notifier.retryFailed();
+        return res.json({ retried });
+    } catch (err) {
+        console.error('❌ Error retrying notifications:', err);
+        return res.status(500).json({ error: 'Failed to retry notifications' });
+    }
+});
+
+// --- OUTBOX ROUTES ---
+// Dead letters hold full records, so these are admin-only
+app.get('/api/admin/outbox', auth.requireRole('admin'), (req, res) => {
+    return res.json({ ...outbox.stats(), dead_letters: outbox.listDeadLetters() });
+});
+
+app.post('/api/admin/outbox/replay', auth.requireRole('admin'), async(req, res) => {
+    try {
+        const result = await outbox.replay();
+        console.log(`📤 ${req.adminUser.username} replayed ${result.replayed} dead letter(s), ${result.delivered} delivered`);
+        return res.json(result);
+    } catch (err) {
+        console.error('❌ Error replaying dead letters:', err);
+        return res.status(500).json({ error: 'Failed to replay dead letters' });
+    }
+});
+
+app.post('/api/admin/outbox/:id/replay', auth.requireRole('admin'), async(req, res) => {
+    try {
+        const result = await outbox.replay([req.params.id]);
+        if (!result.replayed) {
+            return res.status(404).json({ error: 'Dead letter not found' });
+        }
+        return res.json(result);
+    } catch (err) {
+        console.error('❌ Error replaying dead letter:', err);
+        return res.status(500).json({ error: 'Failed to replay dead letter' });
+    }
+});
+
+app.delete('/api/admin/outbox/:id', auth.requireRole('admin'), (req, res) => {
+    try {
+        if (!outbox.discard(req.params.id)) {
+            return res.status(404).json({ error: 'Dead letter not found' });
+        }
+        console.log(`🗑️ ${req.adminUser.username} discarded dead letter ${req.params.id}`);
+        return res.status(204).end();
+    } catch (err) {
+        console.error('❌ Error discarding dead letter:', err);
+        return res.status(500).json({ error: 'Failed to discard dead letter' });
+    }
+});
+
+// --- SIMULATOR ROUTES ---
+// Runs a script against the sandbox; nothing is stored, so viewers may use it
+app.post('/api/admin/simulate', async(req, res) => {
+    try {
+        return res.json(await simulator.run(req.body || {}));
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('❌ Error running simulation:', err);
+        return res.status(500).json({ error: 'Failed to run simulation' });
+    }
+});
+
+app.get('/api/admin/simulations', async(req, res) => {
+    try {
+        return res.json({ scripts: await simulator.listScripts() });
+    } catch (err) {
+        console.error('❌ Error listing simulation scripts:', err);
+        return res.status(500).json({ error: 'Failed to list simulation scripts' });
+    }
+});
+
+app.post('/api/admin/simulations', auth.requireRole('agent'), async(req, res) => {
+    const { name, description, script } = req.body || {};
+    try {
+        const saved = await simulator.saveScript({ name, description, script, actor: req.adminUser.username });
+        console.log(`🧪 Golden transcript "${saved.golden.name}" saved by ${req.adminUser.username}`);
+        return res.status(201).json(saved);
+    } catch (err) {
+        if (err instanceof RangeError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('❌ Error saving simulation script:', err);
+        return res.status(500).json({ error: 'Failed to save simulation script' });
+    }
+});
+
+// Replays every saved script; `passed` is false if any transcript changed
+app.post('/api/admin/simulations/replay', async(req, res) => {
+    try {
+        const result = await simulator.replayAll();
+        console.log(`🧪 Replayed ${result.results.length} golden transcript(s): ${result.passed ? 'all passed' : 'regressions found'}`);
+        return res.json(result);
+    } catch (err) {
+        console.error('❌ Error replaying simulation scripts:', err);
+        return res.status(500).json({ error: 'Failed to replay simulation scripts' });
+    }
+});
+
+// Sends a saved script's result, mapping a missing script to 404
+function simulationRoute(label, action) {
+    return async(req, res) => {
+        const id = parseInt(req.params.id, 10);
+        if (!Number.isInteger(id)) {
+            return res.status(404).json({ error: 'Simulation script not found' });
+        }
+        try {
+            const result = await action(id, req);
+            if (!result) {
+                return res.status(404).json({ error: 'Simulation script not found' });
+            }
+            return res.json(result);
+        } catch (err) {
+            console.error(`❌ Failed to ${label}:`, err);
+            return res.status(500).json({ error: `Failed to ${label}` });
+        }
+    };
+}
+
+app.post('/api/admin/simulations/:id/replay', simulationRoute('replay simulation script', id => simulator.replay(id)));
+
+app.post('/api/admin/simulations/:id/record', auth.requireRole('agent'), simulationRoute('re-record simulation script', (id, req) => (
+    simulator.record(id, req.adminUser.username)
+)));
+
+app.delete('/api/admin/simulations/:id', auth.requireRole('agent'), async(req, res) => {
+    try {
+        const deleted = await simulator.deleteScript(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Simulation script not found' });
+        }
+        return res.status(204).end();
+    } catch (err) {
+        console.error('❌ Error deleting simulation script:', err);
+        return res.status(500).json({ error: 'Failed to delete simulation script' });
+    }
+});
+
+// --- FLOW ROUTES ---
+app.get('/api/admin/flows', (req, res) => {
+    return res.json({ flows: flowRegistry.list(), metrics: flowMetrics.snapshot() });
+});
+
 app.listen(port, () => {
     console.log(`Bot server running on port ${port}`);
 });
\ No newline at end of file
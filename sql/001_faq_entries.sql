@@ -0,0 +1,18 @@
+-- FAQ knowledge base managed from the admin dashboard (SUPABASE_FAQ_ENTRIES_TABLE).
+-- Run once in the Supabase SQL editor. The bot seeds the table with the
+-- default questions the first time it finds it empty.
+--
+-- support_conversations, faqs and feedbacks predate these migrations; the
+-- numbered files alter them in order, so run them oldest first.
+
+create table if not exists faq_entries (
+    id bigint generated by default as identity primary key,
+    question text not null,
+    answer text not null,
+    category text,
+    position integer not null default 0,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+create index if not exists faq_entries_position_idx on faq_entries (position, id);
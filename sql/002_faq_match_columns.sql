@@ -0,0 +1,6 @@
+-- Which knowledge-base entry answered a stored FAQ question, and how well
+-- the BM25 matcher scored it.
+
+alter table faqs
+    add column if not exists faq_entry_id bigint references faq_entries (id) on delete set null,
+    add column if not exists match_score double precision;
@@ -0,0 +1,13 @@
+-- Conversation contexts for SESSION_STORE=storage (SUPABASE_SESSIONS_TABLE).
+-- One row per Dialogflow session; expired rows are removed by the sweep.
+
+create table if not exists session_state (
+    id bigint generated by default as identity primary key,
+    session_id text not null unique,
+    context jsonb not null default '{}'::jsonb,
+    expires_at timestamptz not null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+create index if not exists session_state_expires_at_idx on session_state (expires_at);
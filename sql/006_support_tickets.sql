@@ -0,0 +1,35 @@
+-- Support tickets and their comment threads (SUPABASE_TICKETS_TABLE,
+-- SUPABASE_TICKET_COMMENTS_TABLE), plus the ticket a stored support
+-- conversation opened or looked up.
+
+create table if not exists support_tickets (
+    id bigint generated by default as identity primary key,
+    ticket_code text not null unique,
+    session_id text,
+    user_name text,
+    user_email text,
+    message text,
+    channel text,
+    status text not null default 'open' check (status in ('open', 'pending', 'resolved')),
+    priority text not null default 'normal' check (priority in ('low', 'normal', 'high', 'urgent')),
+    assignee text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz,
+    resolved_at timestamptz
+);
+
+create index if not exists support_tickets_created_at_idx on support_tickets (created_at desc);
+create index if not exists support_tickets_user_email_idx on support_tickets (user_email);
+
+create table if not exists ticket_comments (
+    id bigint generated by default as identity primary key,
+    ticket_id bigint not null references support_tickets (id) on delete cascade,
+    author text not null default 'agent',
+    body text not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists ticket_comments_ticket_id_idx on ticket_comments (ticket_id, created_at);
+
+alter table support_conversations
+    add column if not exists ticket_code text;
@@ -0,0 +1,21 @@
+-- Outgoing email notifications and their delivery state
+-- (SUPABASE_NOTIFICATIONS_TABLE). Failed rows are retried until
+-- next_attempt_at; after the last attempt they are marked dead.
+
+create table if not exists notifications (
+    id bigint generated by default as identity primary key,
+    template text not null,
+    recipient text not null,
+    subject text,
+    body text,
+    status text not null default 'queued' check (status in ('queued', 'sent', 'failed', 'dead', 'skipped')),
+    attempts integer not null default 0,
+    last_error text,
+    next_attempt_at timestamptz,
+    sent_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+create index if not exists notifications_status_idx on notifications (status, next_attempt_at);
+create index if not exists notifications_created_at_idx on notifications (created_at desc);
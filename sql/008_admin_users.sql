@@ -0,0 +1,12 @@
+-- Dashboard accounts (SUPABASE_ADMIN_USERS_TABLE). The first admin is
+-- created from ADMIN_USERNAME / ADMIN_PASSWORD when the table is empty.
+-- password_hash holds scrypt hashes; keep this table out of any policy
+-- that exposes rows to browser clients.
+
+create table if not exists admin_users (
+    id bigint generated by default as identity primary key,
+    username text not null unique,
+    password_hash text not null,
+    role text not null default 'viewer' check (role in ('viewer', 'agent', 'admin')),
+    created_at timestamptz not null default now()
+);
@@ -0,0 +1,9 @@
+-- Which LLM provider and model produced a stored answer (LLM_PROVIDER).
+
+alter table support_conversations
+    add column if not exists llm_provider text,
+    add column if not exists llm_model text;
+
+alter table faqs
+    add column if not exists llm_provider text,
+    add column if not exists llm_model text;
@@ -0,0 +1,18 @@
+-- Help documents that ground fallback answers (SUPABASE_HELP_DOCS_TABLE),
+-- and the retrieved passages each generated answer was given, stored as
+-- a JSON array of { id, source, title, text, score }.
+
+create table if not exists help_docs (
+    id bigint generated by default as identity primary key,
+    title text not null,
+    format text not null default 'text' check (format in ('text', 'markdown')),
+    content text not null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+alter table support_conversations
+    add column if not exists sources jsonb;
+
+alter table faqs
+    add column if not exists sources jsonb;
@@ -0,0 +1,14 @@
+-- Token usage and estimated cost of each LLM call, and whether the answer
+-- came from the response cache (cached answers cost nothing).
+
+alter table support_conversations
+    add column if not exists llm_cached boolean,
+    add column if not exists llm_prompt_tokens integer,
+    add column if not exists llm_completion_tokens integer,
+    add column if not exists llm_cost_usd numeric(12, 6);
+
+alter table faqs
+    add column if not exists llm_cached boolean,
+    add column if not exists llm_prompt_tokens integer,
+    add column if not exists llm_completion_tokens integer,
+    add column if not exists llm_cost_usd numeric(12, 6);
@@ -0,0 +1,9 @@
+-- Sentiment label, comment polarity (-1..1) and keyword topics for each
+-- feedback entry; rows stored before this migration stay unclassified.
+
+alter table feedbacks
+    add column if not exists sentiment text check (sentiment in ('positive', 'neutral', 'negative')),
+    add column if not exists sentiment_score real,
+    add column if not exists topics text[] not null default '{}';
+
+create index if not exists feedbacks_sentiment_idx on feedbacks (sentiment, created_at);
@@ -0,0 +1,28 @@
+-- Live-agent handoff queue (SUPABASE_HANDOFFS_TABLE). A session stays
+-- queued until an agent claims it, active while they reply, then closed.
+-- Relayed messages and agent replies are stored as conversations with
+-- record_type 'handoff' / 'agent_reply'; agent_name is set on the latter.
+
+create table if not exists agent_handoffs (
+    id bigint generated by default as identity primary key,
+    session_id text not null,
+    platform text,
+    channel text,
+    status text not null default 'queued' check (status in ('queued', 'active', 'closed')),
+    reason text,
+    user_name text,
+    user_email text,
+    last_message text,
+    agent text,
+    claimed_at timestamptz,
+    closed_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+create index if not exists agent_handoffs_status_idx on agent_handoffs (status, id);
+create index if not exists agent_handoffs_session_id_idx on agent_handoffs (session_id);
+
+alter table support_conversations
+    add column if not exists record_type text,
+    add column if not exists agent_name text;
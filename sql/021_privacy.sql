@@ -0,0 +1,43 @@
+-- Data erasure and retention. Every erasure or retention run is written to
+-- privacy_audit_log (SUPABASE_PRIVACY_AUDIT_TABLE) with per-table counts,
+-- never with the erased data; the subject of an email erasure is masked.
+-- anonymized_at marks records the retention job has already redacted.
+
+create table if not exists privacy_audit_log (
+    id bigint generated by default as identity primary key,
+    action text not null,
+    actor text,
+    source text,
+    subject_type text,
+    subject text,
+    sessions integer,
+    counts jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now()
+);
+
+alter table support_conversations
+    add column if not exists anonymized_at timestamptz;
+
+alter table faqs
+    add column if not exists anonymized_at timestamptz;
+
+alter table feedbacks
+    add column if not exists anonymized_at timestamptz;
+
+-- Erasure requests look records up by session and by email address
+create index if not exists support_conversations_session_id_idx on support_conversations (session_id);
+create index if not exists support_conversations_user_email_idx on support_conversations (user_email);
+create index if not exists faqs_session_id_idx on faqs (session_id);
+create index if not exists faqs_user_email_idx on faqs (user_email);
+create index if not exists feedbacks_session_id_idx on feedbacks (session_id);
+create index if not exists feedbacks_user_email_idx on feedbacks (user_email);
+create index if not exists agent_handoffs_user_email_idx on agent_handoffs (user_email);
+
+-- Who a notification is about (support inbox alerts carry the user's name,
+-- email and message), so an erasure can find it
+alter table notifications
+    add column if not exists session_id text,
+    add column if not exists user_email text;
+
+create index if not exists notifications_session_id_idx on notifications (session_id);
+create index if not exists notifications_user_email_idx on notifications (user_email);
@@ -0,0 +1,4 @@
+-- Locale each conversation turn was answered in (config/locales).
+
+alter table support_conversations
+    add column if not exists locale text;
@@ -0,0 +1,16 @@
+-- Saved conversation simulator scripts and their golden transcripts
+-- (SUPABASE_SIMULATIONS_TABLE). `script` is the normalized script JSON,
+-- `expected` the per-step results recorded when it was last saved.
+
+create table if not exists simulation_scripts (
+    id bigint generated by default as identity primary key,
+    name text not null,
+    description text,
+    script jsonb not null,
+    expected jsonb not null,
+    created_by text,
+    last_status text check (last_status in ('recorded', 'passed', 'failed')),
+    last_run_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
@@ -0,0 +1,90 @@
+-- Server-side aggregation behind storage.aggregate() on the Supabase backend.
+-- Run once in the Supabase SQL editor. Without it the adapter falls back to
+-- scanning the needed columns page by page.
+--
+-- Buckets are UTC and formatted like JavaScript's toISOString() so both
+-- backends return identical rows. The function runs as the caller, so row
+-- level security still applies.
+
+create or replace function analytics_aggregate(
+    p_table text,
+    p_where jsonb default '{}',
+    p_from timestamptz default null,
+    p_to timestamptz default null,
+    p_granularity text default null,
+    p_group_by text[] default '{}',
+    p_metrics jsonb default '{}',
+    p_limit integer default null
+) returns jsonb
+language plpgsql
+stable
+as $$
+declare
+    select_list text[] := array['count(*) as count'];
+    group_list text[] := '{}';
+    conditions text[] := array['true'];
+    order_list text;
+    col text;
+    metric record;
+    op text;
+    target text;
+    result jsonb;
+begin
+    if p_granularity is not null then
+        if p_granularity not in ('hour', 'day', 'week', 'month') then
+            raise exception 'invalid granularity %', p_granularity;
+        end if;
+        select_list := select_list || format(
+            'to_char(date_trunc(%L, created_at at time zone ''UTC''), ''YYYY-MM-DD"T"HH24:MI:SS".000Z"'') as bucket',
+            p_granularity
+        );
+        group_list := group_list || 'bucket'::text;
+    end if;
+
+    foreach col in array p_group_by loop
+        select_list := select_list || format('%I', col);
+        group_list := group_list || format('%I', col);
+    end loop;
+
+    for metric in select key, value from jsonb_each(p_metrics) loop
+        select k into op from jsonb_object_keys(metric.value) k limit 1;
+        if op is null or op not in ('sum', 'countTrue', 'countNotNull') then
+            raise exception 'unknown metric %', op;
+        end if;
+        target := metric.value ->> op;
+        select_list := select_list || case op
+            when 'sum' then format('coalesce(sum(%I), 0) as %I', target, metric.key)
+            when 'countTrue' then format('count(*) filter (where %I) as %I', target, metric.key)
+            else format('count(%I) as %I', target, metric.key)
+        end;
+    end loop;
+
+    for col in select jsonb_object_keys(p_where) loop
+        if jsonb_typeof(p_where -> col) = 'null' then
+            conditions := conditions || format('%I is null', col);
+        else
+            conditions := conditions || format('%I::text = %L', col, p_where ->> col);
+        end if;
+    end loop;
+    if p_from is not null then
+        conditions := conditions || format('created_at >= %L', p_from);
+    end if;
+    if p_to is not null then
+        conditions := conditions || format('created_at < %L', p_to);
+    end if;
+
+    order_list := case when p_granularity is not null then 'bucket, count desc' else 'count desc' end;
+
+    execute format(
+        'select coalesce(jsonb_agg(to_jsonb(t)), ''[]'') from (select %s from %I where %s %s order by %s %s) t',
+        array_to_string(select_list, ', '),
+        p_table,
+        array_to_string(conditions, ' and '),
+        case when cardinality(group_list) > 0 then 'group by ' || array_to_string(group_list, ', ') else '' end,
+        order_list,
+        case when p_limit is not null then format('limit %s', p_limit) else '' end
+    ) into result;
+
+    return result;
+end;
+$$;
@@ -0,0 +1,138 @@
+'use strict';
+
+const crypto = require('crypto');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAuth, hashPassword, verifyPassword } = require('../../lib/auth');
+const { createFileStorage } = require('../../lib/storage/fileStorage');
+
+// Minimal stand-ins for the Express request and response
+function request({ token, cookie } = {}) {
+    const headers = {};
+    if (token) headers.authorization = `Bearer ${token}`;
+    if (cookie) headers.cookie = cookie;
+    return { headers };
+}
+
+function response() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+// Runs `middleware` and reports { next, status, req }
+function run(middleware, req) {
+    const res = response();
+    let next = false;
+    middleware(req, res, () => {
+        next = true;
+    });
+    return { next, status: res.statusCode, req };
+}
+
+describe('password hashing', () => {
+    it('verifies the right password and rejects a wrong one', () => {
+        const stored = hashPassword('correct horse');
+        assert.match(stored, /^scrypt\$[^$]+\$[^$]+$/);
+        assert.equal(verifyPassword('correct horse', stored), true);
+        assert.equal(verifyPassword('Correct horse', stored), false);
+    });
+
+    it('salts every hash', () => {
+        assert.notEqual(hashPassword('same'), hashPassword('same'));
+    });
+
+    it('rejects malformed or unknown hash formats', () => {
+        assert.equal(verifyPassword('x', null), false);
+        assert.equal(verifyPassword('x', 'bcrypt$abc$def'), false);
+        assert.equal(verifyPassword('x', 'scrypt$only-salt'), false);
+    });
+});
+
+describe('admin auth', () => {
+    let auth;
+    let warn;
+
+    beforeEach(async() => {
+        warn = console.warn;
+        console.warn = () => {};
+        auth = createAuth({ storage: createFileStorage({ dataDir: null }), table: 'admin_users', secret: 'test-secret', tokenTtlMs: 60000 });
+        await auth.createUser({ username: 'vera', password: 'viewer-pass', role: 'viewer' });
+        await auth.createUser({ username: 'alex', password: 'admin-pass', role: 'admin' });
+    });
+
+    afterEach(() => {
+        console.warn = warn;
+    });
+
+    it('logs in with the right password only', async() => {
+        const session = await auth.login('alex', 'admin-pass');
+        assert.deepEqual(session.user, { username: 'alex', role: 'admin' });
+        assert.equal(await auth.login('alex', 'wrong'), null);
+        assert.equal(await auth.login('nobody', 'admin-pass'), null);
+    });
+
+    it('runs scrypt for unknown usernames too', async() => {
+        const scrypt = crypto.scryptSync;
+        let calls = 0;
+        crypto.scryptSync = (...args) => {
+            calls++;
+            return scrypt(...args);
+        };
+        try {
+            assert.equal(await auth.login('nobody', 'whatever'), null);
+        } finally {
+            crypto.scryptSync = scrypt;
+        }
+        assert.equal(calls, 1);
+    });
+
+    it('refuses duplicate users and unknown roles', async() => {
+        await assert.rejects(auth.createUser({ username: 'alex', password: 'x', role: 'admin' }), RangeError);
+        await assert.rejects(auth.createUser({ username: 'new', password: 'x', role: 'owner' }), RangeError);
+    });
+
+    it('accepts a token from the bearer header or the cookie', async() => {
+        const { token } = await auth.login('alex', 'admin-pass');
+        const bearer = run(auth.requireRole('admin'), request({ token }));
+        assert.equal(bearer.next, true);
+        assert.deepEqual(bearer.req.adminUser, { username: 'alex', role: 'admin' });
+        const cookie = run(auth.requireRole('admin'), request({ cookie: `theme=dark; admin_token=${encodeURIComponent(token)}` }));
+        assert.equal(cookie.next, true);
+    });
+
+    it('rejects missing, expired and tampered tokens with 401', async() => {
+        assert.equal(run(auth.requireRole(), request()).status, 401);
+
+        const expiring = createAuth({ storage: createFileStorage({ dataDir: null }), table: 'admin_users', secret: 'test-secret', tokenTtlMs: -1 });
+        await expiring.createUser({ username: 'alex', password: 'admin-pass', role: 'admin' });
+        const { token: expired } = await expiring.login('alex', 'admin-pass');
+        assert.equal(run(auth.requireRole(), request({ token: expired })).status, 401);
+
+        const { token } = await auth.login('vera', 'viewer-pass');
+        const [body, signature] = token.split('.');
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        const forged = Buffer.from(JSON.stringify({ ...payload, role: 'admin' })).toString('base64url');
+        assert.equal(run(auth.requireRole('admin'), request({ token: `${forged}.${signature}` })).status, 401);
+        assert.equal(run(auth.requireRole(), request({ token: `${body}.${signature.slice(1)}x` })).status, 401);
+
+        const otherKey = createAuth({ storage: createFileStorage({ dataDir: null }), table: 'admin_users', secret: 'other-secret', tokenTtlMs: 60000 });
+        assert.equal(run(otherKey.requireRole(), request({ token })).status, 401);
+    });
+
+    it('rejects a role below the required one with 403', async() => {
+        const { token } = await auth.login('vera', 'viewer-pass');
+        assert.equal(run(auth.requireRole('viewer'), request({ token })).next, true);
+        assert.equal(run(auth.requireRole('agent'), request({ token })).status, 403);
+        assert.equal(run(auth.requireRole('admin'), request({ token })).status, 403);
+    });
+});
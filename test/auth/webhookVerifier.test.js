@@ -0,0 +1,74 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWebhookVerifier } = require('../../lib/auth');
+
+function basic(user, pass) {
+    return `Basic ${Buffer.from(`${user}:${pass}`).toString('base64')}`;
+}
+
+// Runs the verifier on a request with `headers`; resolves to 'next' or the status code
+function call(options, headers = {}) {
+    const verify = createWebhookVerifier({ secretHeader: 'X-Webhook-Secret', secrets: [], production: false, ...options });
+    let result = 'next';
+    const res = {
+        status(code) {
+            result = code;
+            return this;
+        },
+        json() {
+            return this;
+        }
+    };
+    verify({ headers, ip: '127.0.0.1' }, res, () => {});
+    return result;
+}
+
+describe('webhook verifier', () => {
+    let logs;
+
+    beforeEach(() => {
+        logs = { warn: console.warn, error: console.error };
+        console.warn = () => {};
+        console.error = () => {};
+    });
+
+    afterEach(() => {
+        console.warn = logs.warn;
+        console.error = logs.error;
+    });
+
+    it('accepts matching basic-auth credentials', () => {
+        const options = { basicUser: 'dialogflow', basicPass: 'p:a:ss' };
+        assert.equal(call(options, { authorization: basic('dialogflow', 'p:a:ss') }), 'next');
+        assert.equal(call(options, { authorization: basic('dialogflow', 'wrong') }), 401);
+        assert.equal(call(options, { authorization: basic('other', 'p:a:ss') }), 401);
+        assert.equal(call(options), 401);
+    });
+
+    it('accepts any configured secret, so secrets can be rotated', () => {
+        const options = { secrets: ['old-secret', 'new-secret'] };
+        assert.equal(call(options, { 'x-webhook-secret': 'old-secret' }), 'next');
+        assert.equal(call(options, { 'x-webhook-secret': 'new-secret' }), 'next');
+        assert.equal(call(options, { 'x-webhook-secret': 'new-secre' }), 401);
+        assert.equal(call(options), 401);
+    });
+
+    it('rejects every call when no credentials are configured', () => {
+        assert.equal(call({}), 503);
+        assert.equal(call({ production: true }), 503);
+    });
+
+    it('lets calls through when verification is turned off outside production', () => {
+        assert.equal(call({ allowUnverified: true }), 'next');
+    });
+
+    it('refuses to turn verification off in production', () => {
+        assert.equal(call({ allowUnverified: true, production: true }), 503);
+    });
+
+    it('keeps checking credentials when they are configured, even if turned off', () => {
+        assert.equal(call({ secrets: ['s3cret'], allowUnverified: true }, { 'x-webhook-secret': 'nope' }), 401);
+    });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const { Writable } = require('stream');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createExporter, parseExportFilters } = require('../../lib/exporter');
+const { createFileStorage } = require('../../lib/storage/fileStorage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Collects what the exporter writes, standing in for the HTTP response
+function createResponse() {
+    const chunks = [];
+    const res = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk.toString());
+            callback();
+        }
+    });
+    res.headers = {};
+    res.setHeader = (name, value) => {
+        res.headers[name] = value;
+    };
+    res.text = () => chunks.join('');
+    return res;
+}
+
+async function exportLines(exporter, query) {
+    const res = createResponse();
+    await exporter.streamExport(res, { dataset: 'conversations', format: 'jsonl', filters: parseExportFilters(query) });
+    return res.text().split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+describe('export filters', () => {
+    it('has no default range', () => {
+        assert.deepEqual(parseExportFilters({}), { from: null, to: null, where: {} });
+        assert.deepEqual(parseExportFilters({ from: '2020-01-01' }), { from: '2020-01-01T00:00:00.000Z', to: null, where: {} });
+    });
+
+    it('accepts ranges of any length', () => {
+        const filters = parseExportFilters({ from: '2000-01-01', to: '2030-12-31', granularity: 'hour' });
+        assert.equal(filters.from, '2000-01-01T00:00:00.000Z');
+        assert.equal(filters.to, '2031-01-01T00:00:00.000Z');
+    });
+
+    it('includes the whole day of a bare `to` date, but not of a timestamp', () => {
+        assert.equal(parseExportFilters({ to: '2026-03-01' }).to, '2026-03-02T00:00:00.000Z');
+        assert.equal(parseExportFilters({ to: '2026-03-01T12:00:00Z' }).to, '2026-03-01T12:00:00.000Z');
+    });
+
+    it('rejects bad dates and inverted ranges', () => {
+        assert.throws(() => parseExportFilters({ from: 'yesterday' }), { name: 'RangeError', message: 'from must be an ISO date' });
+        assert.throws(() => parseExportFilters({ from: '2026-03-02', to: '2026-03-01' }), { name: 'RangeError', message: 'from must be before to' });
+    });
+
+    it('filters on channel and intent', () => {
+        assert.deepEqual(parseExportFilters({ channel: 'web', intent: 'FAQ' }).where, { channel: 'web', intent_name: 'FAQ' });
+    });
+});
+
+describe('exporter', () => {
+    async function createSeeded() {
+        const storage = createFileStorage({ dataDir: null });
+        const now = Date.now();
+        await storage.insert('conversations', [
+            { session_id: 'old', channel: 'web', created_at: new Date(now - 400 * DAY_MS).toISOString() },
+            { session_id: 'last-month', channel: 'kommunicate', created_at: new Date(now - 45 * DAY_MS).toISOString() },
+            { session_id: 'today', channel: 'web', created_at: new Date(now - 1000).toISOString() }
+        ]);
+        return createExporter({ storage, tables: { conversations: 'conversations' }, pageSize: 2 });
+    }
+
+    it('exports the whole dataset when no range is given', async() => {
+        const rows = await exportLines(await createSeeded(), {});
+        assert.deepEqual(rows.map(row => row.session_id), ['old', 'last-month', 'today']);
+    });
+
+    it('applies the range and filters that are given', async() => {
+        const exporter = await createSeeded();
+        const since = new Date(Date.now() - 100 * DAY_MS).toISOString();
+        assert.deepEqual((await exportLines(exporter, { from: since })).map(row => row.session_id), ['last-month', 'today']);
+        assert.deepEqual((await exportLines(exporter, { to: since })).map(row => row.session_id), ['old']);
+        assert.deepEqual((await exportLines(exporter, { channel: 'web' })).map(row => row.session_id), ['old', 'today']);
+    });
+
+    it('writes a CSV header and one line per row', async() => {
+        const res = createResponse();
+        const count = await (await createSeeded()).streamExport(res, { dataset: 'conversations', format: 'csv', filters: parseExportFilters({}) });
+        assert.equal(count, 3);
+        assert.equal(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+        const lines = res.text().trim().split('\r\n');
+        assert.equal(lines.length, 4);
+        assert.match(lines[0], /^id,created_at,session_id,channel,/);
+    });
+});
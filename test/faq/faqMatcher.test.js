@@ -0,0 +1,112 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFaqMatcher, tokenize } = require('../../lib/faqMatcher');
+const { createBm25Index } = require('../../lib/bm25');
+
+// server.js defaults for FAQ_MATCH_ANSWER_THRESHOLD / FAQ_MATCH_SUGGEST_THRESHOLD
+const ANSWER_THRESHOLD = 0.75;
+const SUGGEST_THRESHOLD = 0.35;
+
+const ENTRIES = [
+    { id: 'contact', question: 'How can I contact customer support?', answer: 'You can reach our customer support team through live chat, email, or by submitting a ticket on our support page. Our team is available 24/7.' },
+    { id: 'password', question: 'I forgot my password. How can I reset it?', answer: "Use the 'Forgot Password' link on the login page, enter your registered email, and follow the link to reset your password." },
+    { id: 'account', question: 'How do I create an account?', answer: "Click 'Sign Up' on our website, enter your details, and verify your email." },
+    { id: 'refund', question: 'Do you offer refunds?', answer: 'Refunds are possible according to our policy. Submit a request via your account or contact support.' },
+    { id: 'order', question: 'Can I modify or cancel my order?', answer: 'You can modify/cancel your order within a limited window from your dashboard. If not, contact support.' }
+];
+
+const matcher = createFaqMatcher(ENTRIES);
+
+function ids(query, limit) {
+    return matcher.rank(query, limit).map(result => result.entry.id);
+}
+
+describe('tokenize', () => {
+    it('drops stopwords and punctuation, and stems', () => {
+        assert.deepEqual(tokenize('How do I track my orders?!'), ['track', 'order']);
+    });
+
+    it('maps synonyms and phrases to one canonical token', () => {
+        assert.deepEqual(tokenize('I lost my pwd'), ['forgot', 'password']);
+        assert.deepEqual(tokenize('signing up'), tokenize('register'));
+        assert.deepEqual(tokenize('money back'), ['refund']);
+        assert.deepEqual(tokenize('E-mail'), ['email']);
+    });
+
+    it('folds accents but keeps other scripts', () => {
+        assert.deepEqual(tokenize('Contraseña'), tokenize('contrasena'));
+        assert.deepEqual(tokenize('Пароль'), ['пароль']);
+    });
+});
+
+describe('FAQ matcher', () => {
+    it('puts the entry whose question matches best first', () => {
+        assert.equal(ids('how do I reset my password')[0], 'password');
+        assert.equal(ids('how do I create an account')[0], 'account');
+        assert.equal(ids('contact support about a refund')[0], 'refund');
+    });
+
+    it('orders every candidate by score and honours the limit', () => {
+        const results = matcher.rank('contact support about a refund', 5);
+        assert.ok(results.length > 1);
+        for (let i = 1; i < results.length; i++) assert.ok(results[i - 1].score >= results[i].score);
+        assert.equal(ids('contact support about a refund', 1).length, 1);
+    });
+
+    it('matches through synonyms the entries never use', () => {
+        const [best] = matcher.rank('I lost my pwd');
+        assert.equal(best.entry.id, 'password');
+        assert.ok(best.confidence >= ANSWER_THRESHOLD);
+        assert.equal(ids('change my purchase')[0], 'order');
+        assert.equal(ids('money back please')[0], 'refund');
+        assert.equal(ids('sign up')[0], 'account');
+    });
+
+    it('returns nothing for an unrelated or empty question', () => {
+        assert.deepEqual(matcher.rank('how do I bake a cake'), []);
+        assert.deepEqual(matcher.rank('how do I'), []);
+        assert.deepEqual(matcher.rank(''), []);
+    });
+
+    it('reports low confidence for a weak match, so the flow does not answer with it', () => {
+        const [best] = matcher.rank('submit a ticket for my dashboard policy');
+        assert.ok(best);
+        assert.ok(best.confidence < ANSWER_THRESHOLD, `confidence ${best.confidence}`);
+
+        const runnersUp = matcher.rank('contact support about a refund', 5).slice(1);
+        assert.ok(runnersUp.every(result => result.confidence < ANSWER_THRESHOLD));
+    });
+
+    it('keeps confidence between 0 and 1', () => {
+        for (const result of matcher.rank('contact support to cancel my order and get a refund', 5)) {
+            assert.ok(result.confidence >= 0 && result.confidence <= 1);
+        }
+        assert.ok(matcher.rank('contact support')[0].confidence >= SUGGEST_THRESHOLD);
+    });
+});
+
+describe('BM25 index', () => {
+    it('scores documents without the query terms as 0', () => {
+        const index = createBm25Index([['refund', 'policy'], ['password', 'reset']]);
+        assert.equal(index.score(new Set(['refund']), 1), 0);
+        assert.ok(index.score(new Set(['refund']), 0) > 0);
+    });
+
+    it('weights rare terms above common ones', () => {
+        const index = createBm25Index([['order', 'refund'], ['order', 'track'], ['order', 'cancel']]);
+        assert.ok(index.idf('refund') > index.idf('order'));
+        assert.ok(index.score(new Set(['refund']), 0) > index.score(new Set(['order']), 0));
+    });
+
+    it('favours repeated terms, with diminishing returns, and shorter documents', () => {
+        const index = createBm25Index([['refund'], ['refund', 'refund', 'refund', 'refund'], ['refund', 'a', 'b', 'c'], ['other']]);
+        const query = new Set(['refund']);
+        const once = index.score(query, 0);
+        const often = index.score(query, 1);
+        assert.ok(often > index.score(query, 2));
+        assert.ok(once > index.score(query, 2));
+        assert.ok(often < 4 * index.score(query, 2));
+    });
+});
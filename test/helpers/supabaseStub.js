@@ -0,0 +1,181 @@
+'use strict';
+
+// In-memory stand-in for the supabase-js client, covering the query builder
+// calls lib/storage/supabaseStorage.js makes. Like PostgREST it caps every
+// response at `maxRows` rows (1000 by default) unless a range asks for less.
+
+function compare(a, b) {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+}
+
+// Splits an or() filter on commas outside double quotes
+function splitFilters(expression) {
+    const parts = [];
+    let current = '';
+    let quoted = false;
+    for (let i = 0; i < expression.length; i++) {
+        const ch = expression[i];
+        if (ch === '\\') {
+            current += ch + expression[++i];
+        } else if (ch === '"') {
+            quoted = !quoted;
+            current += ch;
+        } else if (ch === ',' && !quoted) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    return parts.concat(current);
+}
+
+// `column.ilike."%term%"` -> row predicate
+function ilikeFilter(filter) {
+    const [column, op, ...rest] = filter.split('.');
+    if (op !== 'ilike') throw new Error(`Unsupported or() filter ${filter}`);
+    const pattern = rest.join('.').replace(/^"|"$/g, '').replace(/^%|%$/g, '').replace(/\\(.)/g, '$1').toLowerCase();
+    return row => row[column] != null && String(row[column]).toLowerCase().includes(pattern);
+}
+
+function createSupabaseStub({ maxRows = 1000 } = {}) {
+    const tables = new Map();
+    const calls = [];
+
+    function table(name) {
+        if (!tables.has(name)) tables.set(name, { nextId: 1, rows: [] });
+        return tables.get(name);
+    }
+
+    function from(name) {
+        const state = table(name);
+        const filters = [];
+        let action = 'select';
+        let payload = null;
+        let upsertKey = null;
+        let columns = '*';
+        let countOnly = false;
+        let order = null;
+        let limit = null;
+        let range = null;
+
+        function pick(row) {
+            if (columns === '*') return { ...row };
+            const picked = {};
+            for (const column of columns.split(',').map(c => c.trim())) picked[column] = row[column] ?? null;
+            return picked;
+        }
+
+        function run() {
+            calls.push({ table: name, action });
+            let rows = state.rows.filter(row => filters.every(test => test(row)));
+
+            if (action === 'insert' || action === 'upsert') {
+                const written = [];
+                for (const input of payload) {
+                    const existing = upsertKey && state.rows.find(row => row[upsertKey] === input[upsertKey]);
+                    if (existing) {
+                        Object.assign(existing, input);
+                        written.push(existing);
+                    } else {
+                        const row = { created_at: new Date().toISOString(), ...input, id: state.nextId++ };
+                        state.rows.push(row);
+                        written.push(row);
+                    }
+                }
+                rows = written;
+            } else if (action === 'update') {
+                for (const row of rows) Object.assign(row, payload);
+            } else if (action === 'delete') {
+                state.rows = state.rows.filter(row => !rows.includes(row));
+            }
+
+            if (countOnly) return { data: null, count: rows.length, error: null };
+            if (order) {
+                rows = rows.slice().sort((a, b) => (order.ascending ? 1 : -1) * compare(a[order.column] ?? null, b[order.column] ?? null));
+            }
+            if (range) rows = rows.slice(range[0], range[1] + 1);
+            rows = rows.slice(0, Math.min(limit || maxRows, maxRows));
+            return { data: rows.map(pick), error: null };
+        }
+
+        const builder = {
+            select(cols = '*', options = {}) {
+                columns = cols;
+                countOnly = Boolean(options.head);
+                return builder;
+            },
+            insert(rows) {
+                action = 'insert';
+                payload = rows;
+                return builder;
+            },
+            upsert(rows, options = {}) {
+                action = 'upsert';
+                payload = [].concat(rows);
+                upsertKey = options.onConflict || 'id';
+                return builder;
+            },
+            update(patch) {
+                action = 'update';
+                payload = patch;
+                return builder;
+            },
+            delete() {
+                action = 'delete';
+                return builder;
+            },
+            eq(column, value) {
+                filters.push(row => String(row[column]) === String(value));
+                return builder;
+            },
+            is(column, value) {
+                filters.push(row => (row[column] ?? null) === value);
+                return builder;
+            },
+            lt(column, value) {
+                filters.push(row => row[column] != null && compare(row[column], value) < 0);
+                return builder;
+            },
+            gt(column, value) {
+                filters.push(row => row[column] != null && compare(row[column], value) > 0);
+                return builder;
+            },
+            gte(column, value) {
+                filters.push(row => row[column] != null && compare(row[column], value) >= 0);
+                return builder;
+            },
+            or(expression) {
+                const tests = splitFilters(expression).map(ilikeFilter);
+                filters.push(row => tests.some(test => test(row)));
+                return builder;
+            },
+            order(column, { ascending = true } = {}) {
+                order = { column, ascending };
+                return builder;
+            },
+            limit(n) {
+                limit = n;
+                return builder;
+            },
+            range(start, end) {
+                range = [start, end];
+                return builder;
+            },
+            then(resolve, reject) {
+                return Promise.resolve().then(run).then(resolve, reject);
+            }
+        };
+        return builder;
+    }
+
+    // No SQL functions are installed, as on a fresh project
+    async function rpc(name) {
+        return { data: null, error: { code: 'PGRST202', message: `Could not find the function ${name}` } };
+    }
+
+    return { from, rpc, tables, calls };
+}
+
+module.exports = { createSupabaseStub };
@@ -0,0 +1,144 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLlmClient } = require('../../lib/llm');
+const { createMockProvider } = require('../../lib/llm/providers/mock');
+
+const UNAVAILABLE = 'Sorry, I cannot answer that right now.';
+
+// Mock provider that counts the calls reaching it
+function countingProvider(options) {
+    const provider = createMockProvider({ response: 'answer', ...options });
+    const counted = { ...provider, calls: 0 };
+    counted.generate = (...args) => {
+        counted.calls++;
+        return provider.generate(...args);
+    };
+    return counted;
+}
+
+function client(provider, options = {}) {
+    return createLlmClient({ provider, timeoutMs: 50, maxRetries: 0, retryBaseMs: 1, unavailableText: UNAVAILABLE, ...options });
+}
+
+describe('LLM client', () => {
+    let logs;
+
+    beforeEach(() => {
+        logs = { log: console.log, warn: console.warn, error: console.error };
+        console.log = console.warn = console.error = () => {};
+    });
+
+    afterEach(() => {
+        Object.assign(console, logs);
+    });
+
+    it('gives up on a slow provider after timeoutMs', async() => {
+        const llm = client(countingProvider({ delayMs: 1000 }), { timeoutMs: 20 });
+        const started = Date.now();
+        const result = await llm.generate('hello', { cache: false });
+        assert.ok(Date.now() - started < 500);
+        assert.equal(result.text, UNAVAILABLE);
+        assert.equal(result.provider, 'canned');
+        assert.equal(result.degraded, true);
+    });
+
+    it('answers within the timeout', async() => {
+        const result = await client(countingProvider({ delayMs: 5 })).generate('hello', { cache: false });
+        assert.equal(result.text, 'answer');
+        assert.equal(result.provider, 'mock');
+    });
+
+    it('retries a failed call up to maxRetries times', async() => {
+        const recovering = countingProvider({ failures: 2 });
+        const result = await client(recovering, { maxRetries: 2 }).generate('hello', { cache: false });
+        assert.equal(result.text, 'answer');
+        assert.equal(recovering.calls, 3);
+
+        const failing = countingProvider({ failures: 3 });
+        const fallback = await client(failing, { maxRetries: 2 }).generate('hello', { cache: false });
+        assert.equal(fallback.text, UNAVAILABLE);
+        assert.equal(failing.calls, 3);
+    });
+
+    it('retries a timed-out call', async() => {
+        const provider = countingProvider({ delayMs: 30 });
+        const result = await client(provider, { timeoutMs: 10, maxRetries: 1 }).generate('hello', { cache: false });
+        assert.equal(result.text, UNAVAILABLE);
+        assert.equal(provider.calls, 2);
+    });
+
+    describe('circuit breaker', () => {
+        let now;
+        let realNow;
+
+        beforeEach(() => {
+            realNow = Date.now;
+            now = realNow();
+            Date.now = () => now;
+        });
+
+        afterEach(() => {
+            Date.now = realNow;
+        });
+
+        it('opens after failureThreshold failures and stops calling the provider', async() => {
+            const provider = countingProvider({ failures: 10 });
+            const llm = client(provider, { breaker: { failureThreshold: 2, resetMs: 1000 } });
+            await llm.generate('one', { cache: false });
+            assert.equal(llm.status().circuit.state, 'closed');
+            await llm.generate('two', { cache: false });
+            assert.deepEqual(llm.status().circuit, { state: 'open', failures: 2 });
+
+            const result = await llm.generate('three', { cache: false });
+            assert.equal(result.text, UNAVAILABLE);
+            assert.equal(provider.calls, 2);
+        });
+
+        it('stops retrying once the circuit opens', async() => {
+            const provider = countingProvider({ failures: 10 });
+            const llm = client(provider, { maxRetries: 5, breaker: { failureThreshold: 2, resetMs: 1000 } });
+            await llm.generate('hello', { cache: false });
+            assert.equal(provider.calls, 2);
+        });
+
+        it('lets one trial call through after resetMs and re-opens when it fails', async() => {
+            const provider = countingProvider({ failures: 3 });
+            const llm = client(provider, { breaker: { failureThreshold: 2, resetMs: 1000 } });
+            await llm.generate('one', { cache: false });
+            await llm.generate('two', { cache: false });
+
+            now += 999;
+            await llm.generate('early', { cache: false });
+            assert.equal(provider.calls, 2);
+
+            now += 1;
+            await llm.generate('trial', { cache: false });
+            assert.equal(provider.calls, 3);
+            assert.equal(llm.status().circuit.state, 'open');
+
+            // Re-opened: a full resetMs before the next trial
+            now += 500;
+            await llm.generate('still open', { cache: false });
+            assert.equal(provider.calls, 3);
+        });
+
+        it('closes when the half-open trial succeeds', async() => {
+            const provider = countingProvider({ failures: 2 });
+            const llm = client(provider, { breaker: { failureThreshold: 2, resetMs: 1000 } });
+            await llm.generate('one', { cache: false });
+            await llm.generate('two', { cache: false });
+            assert.equal(llm.status().circuit.state, 'open');
+
+            now += 1000;
+            const trial = await llm.generate('trial', { cache: false });
+            assert.equal(trial.text, 'answer');
+            assert.deepEqual(llm.status().circuit, { state: 'closed', failures: 0 });
+
+            const next = await llm.generate('next', { cache: false });
+            assert.equal(next.text, 'answer');
+            assert.equal(provider.calls, 4);
+        });
+    });
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLlmClient, createFallbackGenerator } = require('../../lib/llm');
+const { createMockProvider } = require('../../lib/llm/providers/mock');
+const { createConversationMemory } = require('../../lib/conversationMemory');
+const { createLocales } = require('../../lib/locales');
+
+function setup() {
+    const llm = createLlmClient({ provider: createMockProvider({ response: '{{messages}} message(s): {{prompt}}' }) });
+    const conversationMemory = createConversationMemory({ sessionStore: null, llm });
+    const locales = createLocales({ dir: path.join(__dirname, '..', '..', 'config', 'locales') });
+    return createFallbackGenerator({ llm, conversationMemory, locales });
+}
+
+function ctx(sessionId, session = {}, locale = 'en') {
+    return { sessionId, session, locale };
+}
+
+describe('fallback generator', () => {
+    it('shares cached answers between sessions with no history', async() => {
+        const generate = setup();
+        const first = await generate('What are your opening hours?', ctx('a'));
+        const second = await generate('what are your opening hours', ctx('b'));
+        assert.equal(first.cached, false);
+        assert.equal(second.cached, true);
+        assert.equal(second.text, first.text);
+    });
+
+    it('never serves or stores an answer built from a session\'s history', async() => {
+        const generate = setup();
+        const history = [
+            { role: 'user', content: 'My name is Ana and order 5512 is late' },
+            { role: 'assistant', content: 'Sorry Ana, let me help.' }
+        ];
+        const personal = await generate('When will it arrive?', ctx('a', { history }));
+        assert.equal(personal.cached, false);
+        assert.match(personal.text, /^3 message/);
+
+        const other = await generate('When will it arrive?', ctx('b'));
+        assert.equal(other.cached, false);
+        assert.match(other.text, /^1 message/);
+    });
+
+    it('treats a summary as history', async() => {
+        const generate = setup();
+        await generate('Is it shipped?', ctx('a'));
+        const summarized = await generate('Is it shipped?', ctx('b', { summary: 'Ana asked about order 5512.' }));
+        assert.equal(summarized.cached, false);
+    });
+
+    it('keeps locales apart', async() => {
+        const generate = setup();
+        await generate('Hello there', ctx('a', {}, 'en'));
+        const spanish = await generate('Hello there', ctx('b', {}, 'es'));
+        assert.equal(spanish.cached, false);
+    });
+});
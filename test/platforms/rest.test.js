@@ -0,0 +1,71 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createFileStorage } = require('../../lib/storage/fileStorage');
+const { createSessionStore } = require('../../lib/session');
+const { createAgentQueue } = require('../../lib/agentQueue');
+const { createEventBus } = require('../../lib/events');
+const rest = require('../../lib/platforms/rest');
+
+describe('REST chat messages route', () => {
+    let server;
+    let baseUrl;
+    let sessionStore;
+    let agentQueue;
+
+    before(async() => {
+        sessionStore = createSessionStore({ backend: 'memory', ttlMs: 60000, maxEntries: 100 });
+        agentQueue = createAgentQueue({
+            storage: createFileStorage({ dataDir: null }),
+            table: 'agent_handoffs',
+            sessionStore,
+            saveConversationRecord: async() => {},
+            events: createEventBus()
+        });
+        const app = express();
+        app.get('/api/chat/:sessionId/messages', rest.createMessagesHandler(agentQueue));
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => server.close());
+
+    // Escalates the session a REST turn for `clientId` belongs to
+    async function escalate(clientId) {
+        const turn = rest.parseRequest({ sessionId: clientId, message: 'I want a human' });
+        return agentQueue.escalate({
+            sessionId: turn.sessionId,
+            turn,
+            channel: turn.channel,
+            parameters: {},
+            queryText: turn.text,
+            updateSession: patch => sessionStore.update(turn.sessionId, patch)
+        }, 'requested');
+    }
+
+    async function poll(clientId) {
+        const res = await fetch(`${baseUrl}/api/chat/${encodeURIComponent(clientId)}/messages`);
+        assert.equal(res.status, 200);
+        return res.json();
+    }
+
+    it('returns the agent replies queued for a REST session, once', async() => {
+        const handoff = await escalate('abc');
+        await agentQueue.sendReply(handoff.id, 'maria', 'Hi, Maria here. Let me check.');
+
+        assert.deepEqual(await poll('abc'), {
+            sessionId: 'abc',
+            messages: [{ type: 'text', text: 'Hi, Maria here. Let me check.' }]
+        });
+        assert.deepEqual((await poll('abc')).messages, []);
+    });
+
+    it('cannot read another platform\'s session', async() => {
+        await sessionStore.update('kommunicate:123', { outbox: ['private reply'] });
+        assert.deepEqual((await poll('kommunicate:123')).messages, []);
+        assert.deepEqual((await sessionStore.get('kommunicate:123')).outbox, ['private reply']);
+    });
+});
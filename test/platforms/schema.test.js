@@ -0,0 +1,166 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { validate, assertValid } = require('../../lib/platforms/schema');
+const { platforms, createWebhookHandler, messages: { reply } } = require('../../lib/platforms');
+
+const schema = {
+    type: 'object',
+    required: ['session'],
+    requireOneOf: ['text', 'event'],
+    properties: {
+        session: { type: 'string', minLength: 1, maxLength: 10 },
+        text: { type: 'string' },
+        event: { type: ['string', 'number'] },
+        tags: { type: 'array', maxLength: 2, items: { type: 'string' } },
+        meta: { type: 'object', properties: { score: { type: 'number' } } }
+    }
+};
+
+describe('schema validation', () => {
+    it('accepts a valid body, with optional fields absent or null', () => {
+        assert.deepEqual(validate({ session: 's1', text: 'hi' }, schema), []);
+        assert.deepEqual(validate({ session: 's1', event: 7, tags: null, meta: { score: 0.5 } }, schema), []);
+    });
+
+    it('reports missing fields', () => {
+        assert.deepEqual(validate({}, schema), [
+            { path: 'body.session', message: 'is required' },
+            { path: 'body', message: 'must include one of text, event' }
+        ]);
+        assert.deepEqual(validate({ session: null, text: 'hi' }, schema), [{ path: 'body.session', message: 'is required' }]);
+    });
+
+    it('reports wrong types with the path to the field', () => {
+        assert.deepEqual(validate('hello', schema), [{ path: 'body', message: 'must be object' }]);
+        assert.deepEqual(validate([], schema), [{ path: 'body', message: 'must be object' }]);
+        assert.deepEqual(validate({ session: 42, event: true, tags: ['a', 3], meta: { score: '1' } }, schema), [
+            { path: 'body.session', message: 'must be string' },
+            { path: 'body.event', message: 'must be string or number' },
+            { path: 'body.tags[1]', message: 'must be string' },
+            { path: 'body.meta.score', message: 'must be number' }
+        ]);
+    });
+
+    it('checks string and array lengths', () => {
+        assert.deepEqual(validate({ session: '   ', text: 'x', tags: ['a', 'b', 'c'] }, schema), [
+            { path: 'body.session', message: 'must not be empty' },
+            { path: 'body.tags', message: 'must have at most 2 items' }
+        ]);
+        assert.deepEqual(validate({ session: 'x'.repeat(11), text: 'x' }, schema), [
+            { path: 'body.session', message: 'must be at most 10 characters' }
+        ]);
+    });
+
+    it('throws a TypeError carrying the details', () => {
+        assert.throws(() => assertValid({}, schema, 'test'), error => {
+            assert.ok(error instanceof TypeError);
+            assert.equal(error.message, 'Invalid test request');
+            assert.equal(error.details.length, 2);
+            return true;
+        });
+        const body = { session: 's1', text: 'hi' };
+        assert.equal(assertValid(body, schema, 'test'), body);
+    });
+});
+
+// Per adapter: a body it accepts, and bodies it must reject with the expected details
+const CASES = {
+    dialogflowEs: {
+        route: '/dialogflow',
+        valid: { session: 'projects/p/agent/sessions/s1', queryResult: { queryText: 'hi' } },
+        invalid: [
+            [{ queryResult: {} }, 'Invalid Dialogflow ES request', [{ path: 'body.session', message: 'is required' }]],
+            [{ session: 's1', queryResult: { intentDetectionConfidence: 'high' } }, 'Invalid Dialogflow ES request', [{ path: 'body.queryResult.intentDetectionConfidence', message: 'must be number' }]]
+        ]
+    },
+    dialogflowCx: {
+        route: '/dialogflow/cx',
+        valid: { sessionInfo: { session: 'projects/p/sessions/s1' }, text: 'hi' },
+        invalid: [
+            [{ sessionInfo: {} }, 'Invalid Dialogflow CX request', [{ path: 'body.sessionInfo.session', message: 'is required' }]],
+            [{ sessionInfo: { session: 's1' }, text: ['hi'] }, 'Invalid Dialogflow CX request', [{ path: 'body.text', message: 'must be string' }]]
+        ]
+    },
+    kommunicate: {
+        route: '/kommunicate',
+        valid: { groupId: 42, message: 'hi' },
+        invalid: [
+            [{ message: 'hi' }, 'Invalid Kommunicate request', [{ path: 'body', message: 'must include one of groupId, from' }]],
+            [{ groupId: {}, message: 5 }, 'Invalid Kommunicate request', [
+                { path: 'body.groupId', message: 'must be string or number' },
+                { path: 'body.message', message: 'must be string' }
+            ]]
+        ]
+    },
+    rest: {
+        route: '/api/chat',
+        valid: { sessionId: 'abc', message: 'hi' },
+        invalid: [
+            [{ sessionId: 'abc' }, 'Invalid chat request', [{ path: 'body.message', message: 'is required' }]],
+            [{ session_id: 'abc', message: 'x'.repeat(4001) }, 'Invalid chat request', [{ path: 'body.message', message: 'must be at most 4000 characters' }]]
+        ]
+    }
+};
+
+describe('platform webhook routes', () => {
+    let server;
+    let baseUrl;
+    let turns;
+    let logs;
+
+    before(async() => {
+        logs = { log: console.log, warn: console.warn };
+        console.log = console.warn = () => {};
+        turns = [];
+        const app = express();
+        app.use(express.json({ limit: '1mb' }));
+        for (const [name, { route }] of Object.entries(CASES)) {
+            app.post(route, createWebhookHandler(route, platforms[name], async turn => {
+                turns.push(turn);
+                return reply('ok');
+            }));
+        }
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        Object.assign(console, logs);
+        server.close();
+    });
+
+    function post(route, body) {
+        return fetch(`${baseUrl}${route}`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+    }
+
+    for (const [name, { route, valid, invalid }] of Object.entries(CASES)) {
+        describe(name, () => {
+            it('rejects malformed bodies with a 400 listing every problem, without running the flows', async() => {
+                const before = turns.length;
+                for (const [body, error, details] of invalid) {
+                    assert.throws(() => platforms[name].parseRequest(body), { name: 'TypeError', message: error, details });
+                    const res = await post(route, body);
+                    assert.equal(res.status, 400);
+                    assert.deepEqual(await res.json(), { error, details });
+                }
+                assert.equal(turns.length, before);
+            });
+
+            it('rejects a body that is not an object', async() => {
+                const res = await post(route, ['not', 'an', 'object']);
+                assert.equal(res.status, 400);
+                assert.deepEqual(await res.json(), { error: invalid[0][1], details: [{ path: 'body', message: 'must be object' }] });
+            });
+
+            it('runs the flows for a valid body', async() => {
+                const res = await post(route, valid);
+                assert.equal(res.status, 200);
+                assert.equal(turns[turns.length - 1].text, 'hi');
+            });
+        });
+    }
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFileStorage } = require('../../lib/storage/fileStorage');
+const { createSupabaseStorage } = require('../../lib/storage/supabaseStorage');
+const { createSessionStore } = require('../../lib/session');
+const { createNotifier } = require('../../lib/notifier');
+const { createPrivacy } = require('../../lib/privacy');
+const { createSupabaseStub } = require('../helpers/supabaseStub');
+
+const tables = {
+    conversations: 'support_conversations',
+    faqs: 'faqs',
+    feedback: 'feedbacks',
+    handoffs: 'agent_handoffs',
+    tickets: 'support_tickets',
+    ticketComments: 'ticket_comments',
+    notifications: 'notifications'
+};
+
+function setup(storage = createFileStorage({ dataDir: null })) {
+    const sessionStore = createSessionStore({ backend: 'memory', ttlMs: 60000, maxEntries: 100 });
+    const privacy = createPrivacy({ storage, tables, auditTable: 'privacy_audit_log', sessionStore });
+    const notifier = createNotifier({
+        storage,
+        table: tables.notifications,
+        smtp: {},
+        from: 'bot@example.com',
+        templatesPath: path.join(__dirname, '..', '..', 'templates', 'notifications.json')
+    });
+    return { storage, privacy, notifier };
+}
+
+function ticket(overrides) {
+    return { ticket_code: 'TKT-AAAAAA', user_name: 'Ana', priority: 'normal', channel: 'web', message: 'My order is late', ...overrides };
+}
+
+describe('privacy erase', () => {
+    it('removes notifications about the user sent to the support inbox', async() => {
+        const { storage, privacy, notifier } = setup();
+        await storage.insert(tables.conversations, [{ session_id: 's1', user_email: 'ana@example.com' }]);
+        const anaTicket = ticket({ session_id: 's1', user_email: 'ana@example.com' });
+        await notifier.notify('support_ack', 'ana@example.com', anaTicket);
+        await notifier.notify('support_alert', 'support@example.com', anaTicket);
+        await notifier.notify('handoff_alert', 'support@example.com', { session_id: 's1', reason: 'requested', channel: 'web', message: 'I am Ana' });
+        await notifier.notify('support_alert', 'support@example.com', ticket({ session_id: 's2', user_name: 'Bo', user_email: 'bo@example.com' }));
+
+        const result = await privacy.erase({ email: 'ana@example.com', source: 'test' });
+
+        assert.equal(result.counts.notifications, 3);
+        const left = await storage.select(tables.notifications);
+        assert.deepEqual(left.map(row => row.user_email), ['bo@example.com']);
+    });
+
+    it('finds notifications recorded before they named their subject', async() => {
+        const { storage, privacy } = setup();
+        await storage.insert(tables.notifications, [
+            { template: 'support_alert', recipient: 'support@example.com', subject: 'New ticket from Ana', body: 'Name: Ana\nEmail: ana@example.com\n\nMessage:\nhi' },
+            { template: 'handoff_alert', recipient: 'support@example.com', subject: 'Waiting', body: 'Reason: requested\nSession: s1\n\nLast message:\nhi' },
+            { template: 'support_alert', recipient: 'support@example.com', subject: 'New ticket from Hana', body: 'Email: hana@example.com' },
+            { template: 'handoff_alert', recipient: 'support@example.com', subject: 'Waiting', body: 'Session: s10\n' }
+        ]);
+
+        const result = await privacy.erase({ email: 'ana@example.com', sessionId: 's1', source: 'test' });
+
+        assert.equal(result.counts.notifications, 2);
+        const left = await storage.select(tables.notifications);
+        assert.deepEqual(left.map(row => row.body), ['Email: hana@example.com', 'Session: s10\n']);
+    });
+
+    it('follows the email into sessions past a single storage page', async() => {
+        const { storage, privacy } = setup(createSupabaseStorage(createSupabaseStub()));
+        const rows = [];
+        for (let i = 0; i < 1100; i++) rows.push({ session_id: `s${i}`, user_email: 'ana@example.com' });
+        rows.push({ session_id: 's1099', user_email: null, user_message: 'said before giving an email' });
+        rows.push({ session_id: 'other', user_email: 'bo@example.com' });
+        await storage.insert(tables.conversations, rows);
+
+        const result = await privacy.erase({ email: 'ana@example.com', source: 'test' });
+
+        assert.equal(result.sessions, 1100);
+        const left = await storage.select(tables.conversations);
+        assert.deepEqual(left.map(row => row.session_id), ['other']);
+    });
+});
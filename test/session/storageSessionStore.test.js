@@ -0,0 +1,46 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFileStorage } = require('../../lib/storage/fileStorage');
+const { createSupabaseStorage } = require('../../lib/storage/supabaseStorage');
+const { createStorageSessionStore } = require('../../lib/session/storageSessionStore');
+const { createSupabaseStub } = require('../helpers/supabaseStub');
+
+const backends = {
+    file: () => createFileStorage({ dataDir: null }),
+    supabase: () => createSupabaseStorage(createSupabaseStub())
+};
+
+for (const [label, createBackend] of Object.entries(backends)) {
+    describe(`storage session store on ${label} storage`, () => {
+        it('keeps one row per session however often it is saved', async() => {
+            const storage = createBackend();
+            const store = createStorageSessionStore({ storage, table: 'session_state', ttlMs: 60000 });
+            await store.set('s1', { awaiting: 'support' });
+            await store.set('s1', { awaiting: null });
+            await store.set('s2', {});
+            assert.deepEqual(await store.get('s1'), { awaiting: null });
+            assert.equal(await storage.count('session_state', { where: { session_id: 's1' } }), 1);
+            assert.equal(await storage.count('session_state'), 2);
+        });
+
+        it('treats an expired session as gone', async() => {
+            const store = createStorageSessionStore({ storage: createBackend(), table: 'session_state', ttlMs: -1000 });
+            await store.set('s1', { awaiting: 'support' });
+            assert.equal(await store.get('s1'), null);
+        });
+
+        it('sweeps every expired session, past a single page, and nothing else', async() => {
+            const storage = createBackend();
+            const expired = createStorageSessionStore({ storage, table: 'session_state', ttlMs: -1000 });
+            const live = createStorageSessionStore({ storage, table: 'session_state', ttlMs: 60000 });
+            for (let i = 0; i < 1200; i++) await expired.set(`old-${i}`, {});
+            await live.set('current', { awaiting: 'support' });
+
+            assert.equal(await live.sweep(), 1200);
+            assert.equal(await storage.count('session_state'), 1);
+            assert.deepEqual(await live.get('current'), { awaiting: 'support' });
+        });
+    });
+}
@@ -0,0 +1,91 @@
+'use strict';
+
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulator, normalizeSteps, compareSteps } = require('../../lib/simulator');
+const { createLocales } = require('../../lib/locales');
+const { createFileStorage } = require('../../lib/storage/fileStorage');
+const golden = require('./fixtures/support.golden.json');
+
+const ROOT = path.join(__dirname, '..', '..');
+const TABLES = {
+    conversations: 'conversations',
+    faqs: 'faqs',
+    feedback: 'feedback',
+    handoffs: 'agent_handoffs',
+    tickets: 'tickets',
+    ticketComments: 'ticket_comments',
+    notifications: 'notifications',
+    faqEntries: 'faq_entries',
+    helpDocs: 'help_docs',
+    privacyAudit: 'privacy_audit'
+};
+
+function createTestSimulator(storage = createFileStorage({ dataDir: null })) {
+    return createSimulator({
+        flowsConfigPath: path.join(ROOT, 'config', 'flows.json'),
+        flowConfig: {
+            fallbackThreshold: 0.6,
+            faqAnswerThreshold: 0.75,
+            faqSuggestThreshold: 0.35,
+            helpCenterUrl: null,
+            supportInbox: 'support@example.com',
+            negativeFeedbackMaxRating: 2
+        },
+        locales: createLocales({ dir: path.join(ROOT, 'config', 'locales'), defaultLocale: 'en' }),
+        tables: TABLES,
+        liveStorage: storage,
+        faqSeed: [{ question: 'I forgot my password. How can I reset it?', answer: "Use the 'Forgot Password' link on the login page." }],
+        knowledge: { chunkSize: 800, topK: 3 },
+        memory: { maxMessages: 20, keepMessages: 6, tokenBudget: 1000 },
+        storage,
+        table: 'simulations'
+    });
+}
+
+describe('simulator', () => {
+    let logs;
+
+    before(() => {
+        logs = { log: console.log, warn: console.warn };
+        console.log = console.warn = () => {};
+    });
+
+    after(() => {
+        Object.assign(console, logs);
+    });
+
+    it('matches the golden transcript of a support conversation', async() => {
+        const result = await createTestSimulator().run(golden.script);
+        assert.deepEqual(compareSteps(golden.expected, normalizeSteps(result.steps)), []);
+        assert.deepEqual(result.totals, { writes: 2, llm_calls: 0, notifications: 2, errors: 0 });
+    });
+
+    it('keeps the slots filled on earlier steps for the whole run', async() => {
+        const { steps } = await createTestSimulator().run(golden.script);
+        const [ticket] = steps[3].writes.filter(write => write.table === TABLES.tickets);
+        assert.equal(ticket.row.user_name, 'Jane');
+        assert.equal(ticket.row.user_email, 'jane@example.com');
+    });
+
+    it('passes a replay of a saved script and reports a changed step', async() => {
+        const storage = createFileStorage({ dataDir: null });
+        const simulator = createTestSimulator(storage);
+        const { golden: row } = await simulator.saveScript({ name: 'support', script: golden.script, actor: 'admin' });
+        assert.deepEqual(row.expected, golden.expected);
+
+        const replayed = await simulator.replay(row.id);
+        assert.equal(replayed.passed, true);
+        assert.deepEqual(replayed.differences, []);
+
+        const expected = structuredClone(row.expected);
+        expected[1].messages[0].text = 'What should I call you?';
+        await storage.update('simulations', row.id, { expected });
+        const changed = await simulator.replay(row.id);
+        assert.equal(changed.passed, false);
+        assert.deepEqual(changed.differences.map(difference => difference.step), [2]);
+        const [stored] = await storage.select('simulations', { where: { id: row.id } });
+        assert.equal(stored.last_status, 'failed');
+    });
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkName, checkEmail, validateName, validateEmail, extractName, extractEmail } = require('../../lib/extractors');
+
+function reason(check, value) {
+    return check(value).reason;
+}
+
+describe('checkName', () => {
+    it('strips lead-ins and trailing punctuation', () => {
+        assert.deepEqual(checkName('My name is Sara.'), { value: 'Sara', reason: null });
+        assert.deepEqual(checkName('hi, I am José  Álvarez'), { value: 'José Álvarez', reason: null });
+        assert.deepEqual(checkName({ name: ' Omar ' }), { value: 'Omar', reason: null });
+        assert.equal(validateName('Mary-Jane O’Neil'), 'Mary-Jane O’Neil');
+    });
+
+    it('says why a value is not a name', () => {
+        assert.equal(reason(checkName, ''), 'empty');
+        assert.equal(reason(checkName, '   '), 'empty');
+        assert.equal(reason(checkName, null), 'empty');
+        assert.equal(reason(checkName, 'sara@example.com'), 'email');
+        assert.equal(reason(checkName, 'R2D2'), 'digits');
+        assert.equal(reason(checkName, 'A'.repeat(81)), 'too_long');
+        assert.equal(reason(checkName, 'Sara :)'), 'characters');
+        assert.equal(reason(checkName, 'a'), 'not_a_name');
+        assert.equal(reason(checkName, 'hello'), 'not_a_name');
+        assert.equal(reason(checkName, 'my name is test'), 'not_a_name');
+        assert.equal(reason(checkName, 'bcdfgh'), 'not_a_name');
+        assert.equal(reason(checkName, 'Aaaron'), 'not_a_name');
+        assert.equal(reason(checkName, 'one two three four five six seven'), 'not_a_name');
+    });
+});
+
+describe('checkEmail', () => {
+    it('normalizes the address', () => {
+        assert.deepEqual(checkEmail('mailto:Sara@Example.COM.'), { value: 'sara@example.com', reason: null });
+        assert.equal(validateEmail('<a@b.io>'), 'a@b.io');
+        assert.equal(validateEmail('a@xn--p1ai.xn--p1ai'), 'a@xn--p1ai.xn--p1ai');
+    });
+
+    it('says why an address is invalid', () => {
+        assert.equal(reason(checkEmail, ''), 'empty');
+        assert.equal(reason(checkEmail, undefined), 'empty');
+        assert.equal(reason(checkEmail, 'sara.example.com'), 'missing_at');
+        assert.equal(reason(checkEmail, `${'a'.repeat(250)}@x.com`), 'too_long');
+        assert.equal(reason(checkEmail, `${'a'.repeat(65)}@x.com`), 'format');
+        assert.equal(reason(checkEmail, 'a..b@x.com'), 'format');
+        assert.equal(reason(checkEmail, '.a@x.com'), 'format');
+        assert.equal(reason(checkEmail, '@x.com'), 'format');
+        assert.equal(reason(checkEmail, 'a@localhost'), 'domain');
+        assert.equal(reason(checkEmail, 'a@x.c'), 'domain');
+        assert.equal(reason(checkEmail, 'a@-x.com'), 'domain');
+        assert.equal(reason(checkEmail, 'a@x.123'), 'domain');
+    });
+});
+
+describe('extractors', () => {
+    it('reads the first parameter that is set', () => {
+        assert.equal(extractName({ person: { name: 'Lina' } }), 'Lina');
+        assert.equal(extractName({ 'given-name': ' Tom ' }), 'Tom');
+        assert.equal(extractEmail({ 'email-address': 'a@b.io' }), 'a@b.io');
+        assert.equal(extractEmail({}), null);
+        assert.equal(extractName(undefined), null);
+    });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSlotFiller, detectControl } = require('../../lib/slotFilling');
+const { checkName, checkEmail } = require('../../lib/extractors');
+
+function createFiller() {
+    return createSlotFiller([
+        {
+            name: 'name',
+            prompt: 'What is your name?',
+            invalidPrompt: 'Please tell me your name.',
+            invalidPrompts: { digits: 'Names should not contain numbers.' },
+            check: checkName
+        },
+        {
+            name: 'email',
+            prompt: 'What is your email?',
+            invalidPrompt: 'That email does not look right.',
+            invalidPrompts: { missing_at: 'An email address needs an @.', domain: 'Please check the part after the @.' },
+            check: checkEmail
+        },
+        {
+            name: 'ticket',
+            prompt: 'What is the ticket code?',
+            invalidPrompt: 'Ticket codes look like TCK-1234.',
+            validate: value => (/^TCK-\d{4}$/i.test(value) ? value.toUpperCase() : null)
+        }
+    ]);
+}
+
+describe('slot filler', () => {
+    it('asks for the slots in order until every one is filled', () => {
+        const filler = createFiller();
+        let values = {};
+        assert.equal(filler.nextMissing(values).name, 'name');
+
+        ({ values } = filler.fill(values, { name: 'I am Sara' }));
+        assert.equal(filler.nextMissing(values).prompt, 'What is your email?');
+
+        ({ values } = filler.fill(values, { email: 'Sara@Example.com', ticket: 'tck-0042' }));
+        assert.deepEqual(values, { name: 'Sara', email: 'sara@example.com', ticket: 'TCK-0042' });
+        assert.equal(filler.nextMissing(values), null);
+    });
+
+    it('keeps the earlier answer when a new one is invalid', () => {
+        const filler = createFiller();
+        const result = filler.fill({ name: 'Sara' }, { name: 'R2D2' });
+        assert.deepEqual(result.values, { name: 'Sara' });
+        assert.equal(result.invalid.name, 'name');
+        assert.equal(result.reason, 'digits');
+    });
+
+    it('fills the valid answers and reports the first invalid one', () => {
+        const filler = createFiller();
+        const result = filler.fill({}, { name: 'Sara', email: 'sara.example.com', ticket: 'nope' });
+        assert.deepEqual(result.values, { name: 'Sara' });
+        assert.equal(result.invalid.name, 'email');
+        assert.equal(result.reason, 'missing_at');
+        assert.equal(filler.nextMissing(result.values).name, 'email');
+    });
+
+    it('ignores empty candidates', () => {
+        const result = createFiller().fill({ name: 'Sara' }, { name: '', email: null });
+        assert.deepEqual(result, { values: { name: 'Sara' }, invalid: null, reason: null });
+    });
+
+    it('re-prompts with the reason-specific text, falling back to the generic one', () => {
+        const filler = createFiller();
+        const [name, email, ticket] = filler.slots;
+        assert.equal(filler.invalidPrompt(email, 'missing_at'), 'An email address needs an @.');
+        assert.equal(filler.invalidPrompt(email, 'format'), 'That email does not look right.');
+        assert.equal(filler.invalidPrompt(name, 'digits'), 'Names should not contain numbers.');
+        assert.equal(filler.invalidPrompt(ticket, null), 'Ticket codes look like TCK-1234.');
+
+        const { invalid, reason } = filler.fill({}, { name: 'Sara', email: 'sara@localhost' });
+        assert.equal(filler.invalidPrompt(invalid, reason), 'Please check the part after the @.');
+    });
+});
+
+describe('detectControl', () => {
+    it('recognizes cancel and restart words, with the locale extras', () => {
+        assert.equal(detectControl('Cancel.'), 'cancel');
+        assert.equal(detectControl('  start over! '), 'restart');
+        assert.equal(detectControl('cancelar', { cancel: ['cancelar'] }), 'cancel');
+        assert.equal(detectControl('cancel my order'), null);
+        assert.equal(detectControl(undefined), null);
+    });
+});
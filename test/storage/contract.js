@@ -0,0 +1,153 @@
+'use strict';
+
+// Behaviour every storage adapter must share (see lib/storage/index.js).
+// Each adapter's test file calls this with a factory returning a fresh,
+// empty adapter.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ROWS = [
+    { session_id: 's1', intent_name: 'FAQ', user_message: 'How do I reset my password?', rating: 5, used_gemini: false, created_at: '2026-01-01T10:00:00.000Z' },
+    { session_id: 's1', intent_name: 'Fallback', user_message: 'Tell me a joke', rating: 2, used_gemini: true, created_at: '2026-01-02T10:00:00.000Z' },
+    { session_id: 's2', intent_name: 'FAQ', user_message: 'Refund (partial), please', rating: 4, used_gemini: false, created_at: '2026-01-03T10:00:00.000Z' },
+    { session_id: 's3', intent_name: null, user_message: null, rating: null, used_gemini: true, created_at: '2026-01-04T10:00:00.000Z' }
+];
+
+function runStorageContract(label, createAdapter) {
+    describe(`${label} storage adapter`, () => {
+        let storage;
+        let inserted;
+
+        beforeEach(async() => {
+            storage = await createAdapter();
+            inserted = await storage.insert('records', ROWS);
+        });
+
+        describe('insert', () => {
+            it('returns the stored rows with ids', () => {
+                assert.equal(inserted.length, ROWS.length);
+                assert.equal(new Set(inserted.map(row => row.id)).size, ROWS.length);
+                assert.equal(inserted[0].user_message, ROWS[0].user_message);
+            });
+
+            it('fills in created_at when the row has none', async() => {
+                const [row] = await storage.insert('records', [{ session_id: 's9' }]);
+                assert.ok(!Number.isNaN(Date.parse(row.created_at)));
+            });
+        });
+
+        describe('select', () => {
+            it('returns every row of a table, and nothing for an unknown one', async() => {
+                assert.equal((await storage.select('records')).length, ROWS.length);
+                assert.deepEqual(await storage.select('missing'), []);
+            });
+
+            it('filters on equality, including null', async() => {
+                const rows = await storage.select('records', { where: { session_id: 's1', intent_name: 'FAQ' } });
+                assert.deepEqual(rows.map(row => row.user_message), ['How do I reset my password?']);
+                const nulls = await storage.select('records', { where: { intent_name: null } });
+                assert.deepEqual(nulls.map(row => row.session_id), ['s3']);
+            });
+
+            it('applies lt, gt and gte bounds', async() => {
+                const lt = await storage.select('records', { lt: { created_at: '2026-01-02T10:00:00.000Z' } });
+                assert.deepEqual(lt.map(row => row.session_id), ['s1']);
+                const gte = await storage.select('records', { gte: { created_at: '2026-01-03T10:00:00.000Z' }, orderBy: 'created_at' });
+                assert.deepEqual(gte.map(row => row.session_id), ['s2', 's3']);
+                const gt = await storage.select('records', { gt: { rating: 2 }, orderBy: 'rating' });
+                assert.deepEqual(gt.map(row => row.rating), [4, 5]);
+            });
+
+            it('searches case-insensitively across columns, punctuation included', async() => {
+                const rows = await storage.select('records', { search: { term: 'PASSWORD', columns: ['user_message', 'intent_name'] } });
+                assert.deepEqual(rows.map(row => row.session_id), ['s1']);
+                const punctuated = await storage.select('records', { search: { term: '(partial),', columns: ['user_message'] } });
+                assert.deepEqual(punctuated.map(row => row.session_id), ['s2']);
+            });
+
+            it('orders and limits', async() => {
+                const rows = await storage.select('records', { orderBy: 'created_at', ascending: false, limit: 2 });
+                assert.deepEqual(rows.map(row => row.session_id), ['s3', 's2']);
+            });
+
+            it('returns only the requested columns', async() => {
+                const [row] = await storage.select('records', { columns: 'id,session_id', where: { session_id: 's2' } });
+                assert.deepEqual(Object.keys(row).sort(), ['id', 'session_id']);
+            });
+        });
+
+        describe('count', () => {
+            it('counts all rows or the matching ones', async() => {
+                assert.equal(await storage.count('records'), ROWS.length);
+                assert.equal(await storage.count('records', { where: { session_id: 's1' } }), 2);
+                assert.equal(await storage.count('missing'), 0);
+            });
+        });
+
+        describe('aggregate', () => {
+            it('groups rows with metrics inside a created_at range', async() => {
+                const rows = await storage.aggregate('records', {
+                    from: '2026-01-01T00:00:00.000Z',
+                    to: '2026-01-04T00:00:00.000Z',
+                    groupBy: ['intent_name'],
+                    metrics: { llm: { countTrue: 'used_gemini' }, ratings: { sum: 'rating' } }
+                });
+                const byIntent = Object.fromEntries(rows.map(row => [row.intent_name, row]));
+                assert.equal(byIntent.FAQ.count, 2);
+                assert.equal(byIntent.FAQ.ratings, 9);
+                assert.equal(byIntent.Fallback.llm, 1);
+                assert.equal(rows.length, 2);
+            });
+
+            it('rejects an unknown granularity', async() => {
+                await assert.rejects(storage.aggregate('records', { granularity: 'year' }), RangeError);
+            });
+        });
+
+        describe('update', () => {
+            it('patches a row and returns it', async() => {
+                const row = await storage.update('records', inserted[1].id, { rating: 3 });
+                assert.equal(row.rating, 3);
+                assert.equal(row.id, inserted[1].id);
+                const [stored] = await storage.select('records', { where: { id: inserted[1].id } });
+                assert.equal(stored.rating, 3);
+                assert.equal(stored.session_id, 's1');
+            });
+
+            it('returns null for a missing row', async() => {
+                assert.equal(await storage.update('records', 9999, { rating: 1 }), null);
+            });
+        });
+
+        describe('upsert', () => {
+            it('inserts a row when no row has the key', async() => {
+                const row = await storage.upsert('sessions', { session_id: 'a', context: { step: 1 } }, 'session_id');
+                assert.ok(row.id);
+                assert.deepEqual(row.context, { step: 1 });
+                assert.equal(await storage.count('sessions'), 1);
+            });
+
+            it('updates the row with the same key instead of adding another', async() => {
+                const first = await storage.upsert('sessions', { session_id: 'a', context: { step: 1 } }, 'session_id');
+                await storage.upsert('sessions', { session_id: 'b', context: { step: 1 } }, 'session_id');
+                const second = await storage.upsert('sessions', { session_id: 'a', context: { step: 2 } }, 'session_id');
+                assert.equal(second.id, first.id);
+                assert.deepEqual(second.context, { step: 2 });
+                const rows = await storage.select('sessions', { where: { session_id: 'a' } });
+                assert.equal(rows.length, 1);
+                assert.equal(await storage.count('sessions'), 2);
+            });
+        });
+
+        describe('remove', () => {
+            it('deletes a row and reports whether it existed', async() => {
+                assert.equal(await storage.remove('records', inserted[0].id), true);
+                assert.equal(await storage.remove('records', inserted[0].id), false);
+                assert.equal(await storage.count('records'), ROWS.length - 1);
+            });
+        });
+    });
+}
+
+module.exports = { runStorageContract };
@@ -0,0 +1,49 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFileStorage } = require('../../lib/storage/fileStorage');
+const { runStorageContract } = require('./contract');
+
+const dirs = [];
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-storage-'));
+    dirs.push(dir);
+    return dir;
+}
+
+after(() => {
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+runStorageContract('file', () => createFileStorage({ dataDir: tempDir() }));
+runStorageContract('in-memory file', () => createFileStorage({ dataDir: null }));
+
+describe('file storage on disk', () => {
+    it('reloads what was written', async() => {
+        const dataDir = tempDir();
+        const [row] = await createFileStorage({ dataDir }).insert('records', [{ session_id: 's1' }]);
+        const reopened = createFileStorage({ dataDir });
+        assert.deepEqual(await reopened.select('records'), [row]);
+    });
+
+    it('rejects a write that cannot reach disk and keeps memory unchanged', async() => {
+        const dataDir = tempDir();
+        const storage = createFileStorage({ dataDir });
+        await storage.insert('records', [{ session_id: 's1' }]);
+        fs.mkdirSync(path.join(dataDir, 'records.json.tmp'));
+        const error = console.error;
+        console.error = () => {};
+        try {
+            await assert.rejects(storage.insert('records', [{ session_id: 's2' }]));
+            await assert.rejects(storage.remove('records', 1));
+        } finally {
+            console.error = error;
+        }
+        assert.deepEqual((await storage.select('records')).map(row => row.session_id), ['s1']);
+    });
+});
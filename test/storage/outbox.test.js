@@ -0,0 +1,162 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createOutbox } = require('../../lib/outbox');
+const { createFileStorage } = require('../../lib/storage/fileStorage');
+
+// In-memory storage whose inserts fail while `failing` is set
+function createFlakyStorage() {
+    const storage = createFileStorage({ dataDir: null });
+    const flaky = {
+        ...storage,
+        failing: false,
+        inserts: 0,
+        async insert(table, rows) {
+            flaky.inserts++;
+            if (flaky.failing) throw new Error('storage unavailable');
+            return storage.insert(table, rows);
+        }
+    };
+    return flaky;
+}
+
+function readEvents(file) {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+describe('outbox', () => {
+    let dir;
+    let file;
+    let now;
+    let realNow;
+    let logs;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+        file = path.join(dir, 'outbox.jsonl');
+        realNow = Date.now;
+        now = realNow();
+        Date.now = () => now;
+        logs = { log: console.log, warn: console.warn, error: console.error };
+        console.log = console.warn = console.error = () => {};
+    });
+
+    afterEach(() => {
+        Date.now = realNow;
+        Object.assign(console, logs);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('delivers records queued before a restart', async() => {
+        const storage = createFlakyStorage();
+        storage.failing = true;
+        const before = createOutbox({ storage, file });
+        before.enqueue('conversations', { session_id: 's1', user_message: 'hello' }, 'Conversation');
+        await before.flush();
+        assert.equal(before.stats().pending, 1);
+        assert.equal(await storage.count('conversations'), 0);
+
+        // The backoff is restored with the record, so wait it out
+        storage.failing = false;
+        now += 1000;
+        const after = createOutbox({ storage, file });
+        assert.equal(after.stats().pending, 1);
+        await after.flush();
+        assert.deepEqual(after.stats(), { pending: 0, dead: 0, oldest_pending_at: null });
+        const [row] = await storage.select('conversations');
+        assert.equal(row.user_message, 'hello');
+        assert.equal(fs.readFileSync(file, 'utf8'), '');
+    });
+
+    it('backs off exponentially between attempts, up to the cap', async() => {
+        const storage = createFlakyStorage();
+        storage.failing = true;
+        const outbox = createOutbox({ storage, file, retryBaseMs: 1000, retryMaxMs: 3000 });
+        outbox.enqueue('conversations', { session_id: 's1' });
+        await outbox.flush();
+        assert.equal(storage.inserts, 1);
+
+        // Not due yet: no new attempt
+        now += 999;
+        await outbox.flush();
+        assert.equal(storage.inserts, 1);
+
+        now += 1;
+        await outbox.flush();
+        now += 2000;
+        await outbox.flush();
+        now += 3000;
+        await outbox.flush();
+        assert.equal(storage.inserts, 4);
+
+        const delays = readEvents(file).filter(event => event.op === 'fail').map(event => event.next_at);
+        const start = now - 6000;
+        assert.deepEqual(delays.map((at, i) => at - [start, start + 1000, start + 3000, start + 6000][i]), [1000, 2000, 3000, 3000]);
+    });
+
+    it('moves a record to the dead letters after maxAttempts, until it is replayed', async() => {
+        const storage = createFlakyStorage();
+        storage.failing = true;
+        const outbox = createOutbox({ storage, file, maxAttempts: 3, retryBaseMs: 10 });
+        const id = outbox.enqueue('feedback', { session_id: 's1', rating: 2 }, 'Feedback');
+        for (let i = 0; i < 3; i++) {
+            await outbox.flush();
+            now += 1000;
+        }
+        assert.deepEqual(outbox.stats(), { pending: 0, dead: 1, oldest_pending_at: null });
+        const [letter] = outbox.listDeadLetters();
+        assert.equal(letter.id, id);
+        assert.equal(letter.attempts, 3);
+        assert.equal(letter.last_error, 'storage unavailable');
+
+        await outbox.flush();
+        assert.equal(storage.inserts, 3);
+
+        storage.failing = false;
+        assert.deepEqual(await outbox.replay(), { replayed: 1, delivered: 1, dead: 0 });
+        assert.equal(await storage.count('feedback'), 1);
+        assert.deepEqual(outbox.listDeadLetters(), []);
+    });
+
+    it('removes the stored row when a record is purged while its insert is in flight', async() => {
+        const storage = createFlakyStorage();
+        const insert = storage.insert;
+        let release;
+        storage.insert = (table, rows) => new Promise(resolve => {
+            release = () => resolve(insert(table, rows));
+        });
+        const outbox = createOutbox({ storage, file });
+        await new Promise(setImmediate);
+        outbox.enqueue('conversations', { session_id: 's1', user_message: 'erase me' });
+        const flushed = outbox.flush();
+        await new Promise(setImmediate);
+
+        const purged = outbox.purge(record => record.session_id === 's1');
+        assert.deepEqual(purged.map(record => record.user_message), ['erase me']);
+        release();
+        await flushed;
+
+        assert.equal(await storage.count('conversations'), 0);
+        assert.deepEqual(outbox.stats(), { pending: 0, dead: 0, oldest_pending_at: null });
+    });
+
+    it('compacts the log down to the live entries', async() => {
+        const storage = createFlakyStorage();
+        const insert = storage.insert;
+        storage.insert = (table, rows) => (rows[0].broken ? Promise.reject(new Error('bad row')) : insert(table, rows));
+        const outbox = createOutbox({ storage, file, maxAttempts: 1, compactAfter: 5 });
+        outbox.enqueue('conversations', { session_id: 'dead', broken: true });
+        for (let i = 0; i < 6; i++) outbox.enqueue('conversations', { session_id: `s${i}` });
+        await outbox.flush();
+
+        assert.equal(await storage.count('conversations'), 6);
+        assert.deepEqual(readEvents(file).map(event => event.op), ['add', 'fail']);
+
+        const restarted = createOutbox({ storage, file });
+        assert.deepEqual(restarted.listDeadLetters().map(letter => letter.record.session_id), ['dead']);
+    });
+});
@@ -0,0 +1,25 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSupabaseStorage } = require('../../lib/storage/supabaseStorage');
+const { createSupabaseStub } = require('../helpers/supabaseStub');
+const { runStorageContract } = require('./contract');
+
+runStorageContract('supabase', () => createSupabaseStorage(createSupabaseStub()));
+
+describe('supabase storage', () => {
+    it('aggregates past the 1000-row response cap', async() => {
+        const storage = createSupabaseStorage(createSupabaseStub());
+        const rows = Array.from({ length: 2500 }, (_, i) => ({ intent_name: i % 2 ? 'FAQ' : 'Fallback' }));
+        await storage.insert('records', rows);
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            const groups = await storage.aggregate('records', { groupBy: ['intent_name'] });
+            assert.deepEqual(groups.map(group => group.count).sort(), [1250, 1250]);
+        } finally {
+            console.warn = warn;
+        }
+    });
+});